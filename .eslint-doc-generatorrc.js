@@ -2,6 +2,8 @@
 
 /** @type {import('eslint-doc-generator').GenerateOptions} */
 const config = {
+    configEmoji: [["legacy-migration", "🚚"]],
+    ignoreConfig: ["all"],
     urlConfigs:
         "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/README.md#configurations",
 };
@@ -26,6 +26,7 @@ module.exports = [
     {
         ...eslintPluginMocha.configs.flat.recommended,
         files: ["tests/**/*.js"],
+        ignores: ["tests/testUtils.js"],
     },
 
     {
@@ -140,7 +141,10 @@ module.exports = [
             ],
             "eslint-plugin/no-meta-schema-default": "off", // TODO: enable this.
             "eslint-plugin/require-meta-default-options": "off", // TODO: enable this.
-            "eslint-plugin/require-meta-docs-recommended": "off", // We're not currently using this property.
+            "eslint-plugin/require-meta-docs-recommended": [
+                "error",
+                { allowNonBoolean: true }, // The smallest config enabling the rule, checked in tests/index.js.
+            ],
             "eslint-plugin/require-meta-docs-url": [
                 "error",
                 {
@@ -0,0 +1,8 @@
+"use strict";
+
+const plugin = require("../../index.js");
+
+module.exports = {
+    plugins: { qunit: plugin },
+    rules: plugin.configs.all.rules,
+};
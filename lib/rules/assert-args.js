@@ -23,6 +23,7 @@ module.exports = {
             description:
                 "enforce that the correct number of assert arguments are used",
             category: "Possible Errors",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/assert-args.md",
         },
         messages: {
@@ -82,7 +83,13 @@ module.exports = {
                 ),
                 assertArgs = callExpressionNode.arguments,
                 lastArg = assertArgs[assertArgs.length - 1],
-                mayHaveMessage = lastArg && isPossibleMessage(lastArg);
+                mayHaveMessage =
+                    utils.acceptsMessage(
+                        callExpressionNode.callee,
+                        assertContextVar,
+                    ) &&
+                    lastArg &&
+                    isPossibleMessage(lastArg);
 
             const definitelyTooFewArgs = allowedArities.every(function (arity) {
                 return assertArgs.length < arity;
@@ -112,7 +119,7 @@ module.exports = {
 
         return {
             CallExpression: function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     testStack.push({
                         assertContextVar: utils.getAssertContextNameForTest(
                             node.arguments,
@@ -130,7 +137,7 @@ module.exports = {
             },
 
             "CallExpression:exit": function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     testStack.pop();
                 }
             },
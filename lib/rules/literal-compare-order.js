@@ -23,6 +23,7 @@ module.exports = {
             description:
                 "enforce comparison assertions have arguments in the right order",
             category: "Possible Errors",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/literal-compare-order.md",
         },
         fixable: "code",
@@ -32,14 +33,30 @@ module.exports = {
             expectedFirst:
                 "Actual value {{actual}} should be specified after expected value {{expected}}.",
         },
-        schema: [],
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    useTypeInformation: {
+                        type: "boolean",
+                        description:
+                            "Whether to use type information, if available, to treat members of enums and `as const` objects as literals.",
+                        default: false,
+                    },
+                },
+                additionalProperties: false,
+            },
+        ],
     },
 
     create: function (context) {
         /** @type {Array<{assertContextVar: string | null}>} */
         const testStack = [],
             /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
-            sourceCode = context.sourceCode ?? context.getSourceCode();
+            sourceCode = context.sourceCode ?? context.getSourceCode(),
+            typeInformation = context.options[0]?.useTypeInformation
+                ? utils.getTypeInformation(context)
+                : null;
 
         function getAssertContext() {
             assert.ok(testStack.length);
@@ -61,6 +78,20 @@ module.exports = {
             ];
         }
 
+        /**
+         * @param {import('estree').Node} node
+         * @returns {boolean} Whether the node is a literal, or with type
+         *     information, a member expression with a literal type.
+         */
+        function isLiteral(node) {
+            return (
+                node.type === "Literal" ||
+                (!!typeInformation &&
+                    node.type === "MemberExpression" &&
+                    utils.isLiteralTyped(node, typeInformation))
+            );
+        }
+
         /**
          * @param {import('estree').Node[]} args
          * @param {boolean} compareActualFirst
@@ -72,8 +103,8 @@ module.exports = {
 
             if (
                 compareActualFirst &&
-                args[0].type === "Literal" &&
-                args[1].type !== "Literal"
+                isLiteral(args[0]) &&
+                !isLiteral(args[1])
             ) {
                 context.report({
                     node: args[0],
@@ -88,8 +119,8 @@ module.exports = {
                 });
             } else if (
                 !compareActualFirst &&
-                args[0].type !== "Literal" &&
-                args[1].type === "Literal"
+                !isLiteral(args[0]) &&
+                isLiteral(args[1])
             ) {
                 context.report({
                     node: args[0],
@@ -125,7 +156,7 @@ module.exports = {
 
         return {
             CallExpression: function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     testStack.push({
                         assertContextVar: utils.getAssertContextNameForTest(
                             node.arguments,
@@ -140,7 +171,7 @@ module.exports = {
             },
 
             "CallExpression:exit": function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     testStack.pop();
                 }
             },
@@ -0,0 +1,309 @@
+/**
+ * @fileoverview Enforce a maximum number of assertions in tests, hooks and
+ * modules.
+ * @author agent
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const utils = require("../utils");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const DEFAULT_MAX = 10;
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+/** @typedef {{
+ *   node: import('estree').Node,
+ *   name: string,
+ *   count: number,
+ * }} ModuleState */
+
+/** @typedef {{
+ *   node: import('estree').Node,
+ *   messageId: string,
+ *   name: string,
+ *   max: number | undefined,
+ *   assertVar: string | null,
+ *   count: number,
+ *   expectedCount: number | null,
+ * }} CallbackState */
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+    meta: {
+        type: "suggestion",
+        docs: {
+            description:
+                "enforce a maximum number of assertions in tests, hooks and modules",
+            category: "Best Practices",
+            recommended: false,
+            url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/max-assertions.md",
+        },
+        messages: {
+            tooManyAssertionsInTest:
+                "Test '{{name}}' has too many assertions ({{count}}). Maximum allowed is {{max}}.",
+            tooManyAssertionsInHook:
+                "Hook '{{name}}' has too many assertions ({{count}}). Maximum allowed is {{max}}.",
+            tooManyAssertionsInModule:
+                "Module '{{name}}' has too many assertions ({{count}}). Maximum allowed is {{max}}.",
+        },
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    max: {
+                        type: "integer",
+                        minimum: 0,
+                        description:
+                            "The maximum number of assertions in a test.",
+                        default: DEFAULT_MAX,
+                    },
+                    maxPerHook: {
+                        type: "integer",
+                        minimum: 0,
+                        description:
+                            "The maximum number of assertions in a hook. Hooks are not checked if this is not set.",
+                    },
+                    maxPerModule: {
+                        type: "integer",
+                        minimum: 0,
+                        description:
+                            "The maximum number of assertions in a module, including its hooks and nested modules. Modules are not checked if this is not set.",
+                    },
+                    countExpect: {
+                        type: "boolean",
+                        description:
+                            "Whether to use the number passed to `assert.expect()` instead of counting assertion calls, if a test or hook calls it.",
+                        default: false,
+                    },
+                },
+                additionalProperties: false,
+            },
+        ],
+    },
+
+    create: function (context) {
+        const options = context.options[0] || {},
+            maxPerTest = options.max ?? DEFAULT_MAX,
+            /** @type {number | undefined} */
+            maxPerHook = options.maxPerHook,
+            /** @type {number | undefined} */
+            maxPerModule = options.maxPerModule,
+            countExpect = !!options.countExpect,
+            /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
+            sourceCode = context.sourceCode ?? context.getSourceCode();
+
+        /** @type {ModuleState[]} */
+        const moduleStack = [];
+        /** @type {ModuleState | null} */
+        let flatModule = null;
+        /** @type {CallbackState[]} */
+        const callbackStack = [];
+
+        //----------------------------------------------------------------------
+        // Helper functions
+        //----------------------------------------------------------------------
+
+        /**
+         * @returns {ModuleState | null} The innermost module, if any.
+         */
+        function getCurrentModule() {
+            return moduleStack.length > 0
+                ? moduleStack[moduleStack.length - 1]
+                : flatModule;
+        }
+
+        /**
+         * @param {ModuleState | null} moduleState
+         */
+        function checkModule(moduleState) {
+            if (
+                moduleState &&
+                maxPerModule !== undefined &&
+                moduleState.count > maxPerModule
+            ) {
+                context.report({
+                    node: moduleState.node,
+                    messageId: "tooManyAssertionsInModule",
+                    data: {
+                        name: moduleState.name,
+                        count: String(moduleState.count),
+                        max: String(maxPerModule),
+                    },
+                });
+            }
+        }
+
+        /**
+         * @param {import('estree').Node} node
+         * @param {import('estree').Node | undefined} callback
+         * @param {{messageId: string, name: string, max: number | undefined}} kind
+         */
+        function pushCallback(node, callback, kind) {
+            callbackStack.push({
+                node,
+                ...kind,
+                assertVar: callback
+                    ? utils.getAssertContextName(callback)
+                    : null,
+                count: 0,
+                expectedCount: null,
+            });
+        }
+
+        function popCallback() {
+            const callbackState = /** @type {CallbackState} */ (
+                callbackStack.pop()
+            );
+            const count =
+                countExpect && callbackState.expectedCount !== null
+                    ? callbackState.expectedCount
+                    : callbackState.count;
+
+            if (callbackState.max !== undefined && count > callbackState.max) {
+                context.report({
+                    node: callbackState.node,
+                    messageId: callbackState.messageId,
+                    data: {
+                        name: callbackState.name,
+                        count: String(count),
+                        max: String(callbackState.max),
+                    },
+                });
+            }
+
+            const currentModule = getCurrentModule();
+            if (currentModule) {
+                currentModule.count += count;
+            }
+        }
+
+        /**
+         * @param {import('estree').CallExpression} node
+         */
+        function enterModule(node) {
+            const callback = utils.getCallback(node.arguments);
+            /** @type {ModuleState} */
+            const moduleState = {
+                node,
+                name: utils.getDisplayName(node.arguments[0], sourceCode),
+                count: 0,
+            };
+
+            if (moduleStack.length === 0) {
+                // Tests after a top-level module are not in the last flat
+                // module anymore.
+                checkModule(flatModule);
+                flatModule = callback ? null : moduleState;
+            }
+            if (callback) {
+                moduleStack.push(moduleState);
+            }
+        }
+
+        /**
+         * @param {import('estree').CallExpression} node
+         */
+        function exitModule(node) {
+            if (!utils.getCallback(node.arguments)) {
+                return;
+            }
+
+            const moduleState = /** @type {ModuleState} */ (moduleStack.pop());
+            checkModule(moduleState);
+
+            const parentModule = getCurrentModule();
+            if (parentModule) {
+                parentModule.count += moduleState.count;
+            }
+        }
+
+        /**
+         * @param {import('estree').CallExpression} node
+         */
+        function countCall(node) {
+            const callbackState = callbackStack[callbackStack.length - 1];
+            const expectedCount = utils.getExpectedCount(
+                node,
+                callbackState.assertVar,
+            );
+
+            if (expectedCount !== null) {
+                callbackState.expectedCount = expectedCount;
+            } else if (
+                utils.countsAsAssertion(node.callee, callbackState.assertVar)
+            ) {
+                callbackState.count++;
+            }
+        }
+
+        //----------------------------------------------------------------------
+        // Public
+        //----------------------------------------------------------------------
+
+        return {
+            CallExpression: function (node) {
+                if (utils.isModuleOrVariant(node.callee, context)) {
+                    enterModule(node);
+                } else if (utils.isTest(node.callee, context)) {
+                    pushCallback(node, utils.getCallback(node.arguments), {
+                        messageId: "tooManyAssertionsInTest",
+                        name: utils.getDisplayName(
+                            node.arguments[0],
+                            sourceCode,
+                        ),
+                        max: maxPerTest,
+                    });
+                } else if (utils.isHookCall(node, context)) {
+                    pushCallback(node, utils.getCallback(node.arguments), {
+                        messageId: "tooManyAssertionsInHook",
+                        name: sourceCode.getText(node.callee),
+                        max: maxPerHook,
+                    });
+                } else if (callbackStack.length > 0) {
+                    countCall(node);
+                }
+            },
+
+            "CallExpression:exit": function (node) {
+                if (utils.isModuleOrVariant(node.callee, context)) {
+                    exitModule(node);
+                } else if (
+                    utils.isTest(node.callee, context) ||
+                    utils.isHookCall(node, context)
+                ) {
+                    popCallback();
+                }
+            },
+
+            Property: function (node) {
+                if (utils.isHookProperty(node, context)) {
+                    pushCallback(node, node.value, {
+                        messageId: "tooManyAssertionsInHook",
+                        name: utils.getDisplayName(node.key, sourceCode),
+                        max: maxPerHook,
+                    });
+                }
+            },
+
+            "Property:exit": function (node) {
+                if (utils.isHookProperty(node, context)) {
+                    popCallback();
+                }
+            },
+
+            "Program:exit": function () {
+                checkModule(flatModule);
+            },
+        };
+    },
+};
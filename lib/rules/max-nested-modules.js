@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Enforce a maximum depth of nested modules.
+ * @author agent
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const utils = require("../utils");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const DEFAULT_MAX = 3;
+
+/** @typedef {{
+ *   node: import('estree').CallExpression,
+ *   hasHooks: boolean,
+ *   children: ModuleState[],
+ * }} ModuleState */
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+    meta: {
+        type: "suggestion",
+        docs: {
+            description: "enforce a maximum depth of nested modules",
+            category: "Best Practices",
+            recommended: false,
+            url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/max-nested-modules.md",
+        },
+        messages: {
+            tooDeeplyNested:
+                "Module '{{name}}' is nested too deeply ({{depth}}). Maximum allowed is {{max}}.",
+        },
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    max: {
+                        type: "integer",
+                        minimum: 0,
+                        description: "The maximum depth of nested modules.",
+                        default: DEFAULT_MAX,
+                    },
+                    onlyModulesWithHooks: {
+                        type: "boolean",
+                        description:
+                            "Whether to only count modules that declare hooks.",
+                        default: false,
+                    },
+                },
+                additionalProperties: false,
+            },
+        ],
+    },
+
+    create: function (context) {
+        const options = context.options[0] || {},
+            max = options.max ?? DEFAULT_MAX,
+            onlyModulesWithHooks = !!options.onlyModulesWithHooks,
+            /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
+            sourceCode = context.sourceCode ?? context.getSourceCode();
+
+        // Modules being traversed, innermost last.
+        /** @type {ModuleState[]} */
+        const moduleStack = [];
+        /** @type {ModuleState[]} */
+        const topLevelModules = [];
+
+        //----------------------------------------------------------------------
+        // Helper functions
+        //----------------------------------------------------------------------
+
+        /**
+         * Finds the module whose callback declares the hooks parameter that a
+         * hook call is made on, e.g. `hooks` in `hooks.beforeEach()`.
+         * @param {import('estree').CallExpression} node
+         * @returns {ModuleState | null}
+         */
+        function findModuleOfHookCall(node) {
+            const hooksVar = /** @type {import('estree').Identifier} */ (
+                /** @type {import('estree').MemberExpression} */ (node.callee)
+                    .object
+            ).name;
+
+            for (let i = moduleStack.length - 1; i >= 0; i--) {
+                const callback = utils.getCallback(
+                    moduleStack[i].node.arguments,
+                );
+
+                if (
+                    callback &&
+                    utils.getAssertContextName(callback) === hooksVar
+                ) {
+                    return moduleStack[i];
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Reports the modules that are nested too deeply.
+         * @param {ModuleState[]} moduleStates
+         * @param {number} parentDepth
+         */
+        function checkDepth(moduleStates, parentDepth) {
+            for (const { node, hasHooks, children } of moduleStates) {
+                const isCounted = !onlyModulesWithHooks || hasHooks;
+                const depth = isCounted ? parentDepth + 1 : parentDepth;
+
+                if (isCounted && depth > max) {
+                    context.report({
+                        node,
+                        messageId: "tooDeeplyNested",
+                        data: {
+                            name: utils.getDisplayName(
+                                node.arguments[0],
+                                sourceCode,
+                            ),
+                            depth: String(depth),
+                            max: String(max),
+                        },
+                    });
+                }
+
+                checkDepth(children, depth);
+            }
+        }
+
+        //----------------------------------------------------------------------
+        // Public
+        //----------------------------------------------------------------------
+
+        // Whether a module counts may only be known after its nested modules
+        // have been traversed, so the depths are checked at the end.
+        return {
+            CallExpression: function (node) {
+                if (utils.isModuleOrVariant(node.callee, context)) {
+                    /** @type {ModuleState} */
+                    const moduleState = {
+                        node,
+                        hasHooks: false,
+                        children: [],
+                    };
+
+                    (moduleStack.length > 0
+                        ? moduleStack[moduleStack.length - 1].children
+                        : topLevelModules
+                    ).push(moduleState);
+                    moduleStack.push(moduleState);
+                } else if (utils.isModuleHookCall(node, context)) {
+                    const moduleState = findModuleOfHookCall(node);
+
+                    if (moduleState) {
+                        moduleState.hasHooks = true;
+                    }
+                }
+            },
+
+            "CallExpression:exit": function (node) {
+                if (utils.isModuleOrVariant(node.callee, context)) {
+                    moduleStack.pop();
+                }
+            },
+
+            Property: function (node) {
+                // The module call is the parent of the hooks object.
+                const moduleCall = /** @type {import('eslint').Rule.Node} */ (
+                    node
+                ).parent?.parent;
+                const moduleState = moduleStack[moduleStack.length - 1];
+
+                if (
+                    moduleState?.node === moduleCall &&
+                    utils.isHookProperty(node, context)
+                ) {
+                    moduleState.hasHooks = true;
+                }
+            },
+
+            "Program:exit": function () {
+                checkDepth(topLevelModules, 0);
+            },
+        };
+    },
+};
@@ -24,6 +24,7 @@ module.exports = {
             description:
                 "disallow arrow functions as QUnit test/module callbacks",
             category: "Best Practices",
+            recommended: "strict",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-arrow-tests.md",
         },
         fixable: "code",
@@ -174,7 +175,7 @@ module.exports = {
                 propertyNode.parent.type === "ObjectExpression" &&
                 propertyNode.parent.parent &&
                 propertyNode.parent.parent.type === "CallExpression" &&
-                utils.isModule(propertyNode.parent.parent.callee)
+                utils.isModule(propertyNode.parent.parent.callee, context)
             );
         }
 
@@ -186,7 +187,7 @@ module.exports = {
             return (
                 propertyNode.type === "Property" &&
                 isPropertyInModule(propertyNode) &&
-                utils.isModuleHookPropertyKey(propertyNode.key)
+                utils.isModuleHookPropertyKey(propertyNode.key, context)
             );
         }
 
@@ -196,12 +197,21 @@ module.exports = {
 
         return {
             CallExpression: function (node) {
-                if (
-                    utils.isTest(node.callee) &&
+                if (utils.isEachTest(node.callee, context)) {
+                    if (node.arguments.length > 2) {
+                        checkCallback(node.arguments[2]);
+                    }
+                } else if (
+                    utils.isTest(node.callee, context) &&
                     node.arguments &&
                     node.arguments.length > 1
                 ) {
                     checkCallback(node.arguments[1]);
+                } else if (
+                    utils.isGlobalHook(node.callee, context) &&
+                    node.arguments.length > 0
+                ) {
+                    checkCallback(node.arguments[0]);
                 }
             },
 
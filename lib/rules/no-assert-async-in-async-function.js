@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Forbid assert.async() in async test callbacks and hooks.
+ * @author agent
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const utils = require("../utils");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const AWAITABLE_WITHOUT_PARENS = new Set([
+    "CallExpression",
+    "Identifier",
+    "MemberExpression",
+    "NewExpression",
+    "ThisExpression",
+]);
+
+/**
+ * @param {import('estree').Node | undefined} node
+ * @returns {boolean}
+ */
+function isAsyncFunction(node) {
+    return (
+        !!node &&
+        (node.type === "FunctionExpression" ||
+            node.type === "ArrowFunctionExpression") &&
+        node.async === true
+    );
+}
+
+/**
+ * @param {import('estree').Node} node
+ * @returns {import('estree').Node}
+ */
+function getParent(node) {
+    return /** @type {import('estree').Node} */ (
+        /** @type {import('eslint').Rule.Node} */ (node).parent
+    );
+}
+
+/**
+ * Finds the `const done = assert.async();` declaration that an
+ * `assert.async()` call initializes, if it is a statement of the given block.
+ * @param {import('estree').CallExpression} asyncCall
+ * @param {import('estree').Node} block
+ * @returns {import('estree').VariableDeclarator | null}
+ */
+function getDoneDeclarator(asyncCall, block) {
+    const declarator = getParent(asyncCall);
+    const declaration = getParent(declarator);
+
+    return asyncCall.arguments.length === 0 &&
+        declarator.type === "VariableDeclarator" &&
+        declarator.id.type === "Identifier" &&
+        declaration.type === "VariableDeclaration" &&
+        declaration.declarations.length === 1 &&
+        getParent(declaration) === block
+        ? declarator
+        : null;
+}
+
+/**
+ * Finds the function passed to `then()` that resolves the `done` callback,
+ * i.e. `done` itself in `.then(done)`, or the function in
+ * `.then(() => done())` and `.then(function () { done(); })`.
+ * @param {import('estree').Node} doneIdentifier
+ * @returns {import('estree').Node | null}
+ */
+function getThenHandler(doneIdentifier) {
+    const parent = getParent(doneIdentifier);
+
+    if (parent.type !== "CallExpression" || parent.callee !== doneIdentifier) {
+        return doneIdentifier;
+    }
+
+    let handler = getParent(parent);
+    if (
+        handler.type === "ExpressionStatement" &&
+        getParent(handler).type === "BlockStatement" &&
+        /** @type {import('estree').BlockStatement} */ (getParent(handler)).body
+            .length === 1
+    ) {
+        handler = getParent(getParent(handler));
+    }
+
+    return parent.arguments.length === 0 &&
+        (handler.type === "FunctionExpression" ||
+            handler.type === "ArrowFunctionExpression") &&
+        handler.params.length === 0
+        ? handler
+        : null;
+}
+
+/**
+ * Finds the `promise.then(handler);` call that the handler is passed to, if
+ * it is a statement of the given block.
+ * @param {import('estree').Node} handler
+ * @param {import('estree').Node} block
+ * @returns {(import('estree').CallExpression & { callee: import('estree').MemberExpression }) | null}
+ */
+function getThenCall(handler, block) {
+    const thenCall = getParent(handler);
+
+    return thenCall.type === "CallExpression" &&
+        thenCall.arguments.length === 1 &&
+        thenCall.arguments[0] === handler &&
+        thenCall.callee.type === "MemberExpression" &&
+        !thenCall.callee.computed &&
+        thenCall.callee.property.type === "Identifier" &&
+        thenCall.callee.property.name === "then" &&
+        getParent(thenCall).type === "ExpressionStatement" &&
+        getParent(getParent(thenCall)) === block
+        ? /** @type {import('estree').CallExpression & { callee: import('estree').MemberExpression }} */ (
+              thenCall
+          )
+        : null;
+}
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+    meta: {
+        type: "problem",
+        docs: {
+            description:
+                "disallow assert.async() in async test callbacks and hooks",
+            category: "Possible Errors",
+            recommended: false,
+            url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-assert-async-in-async-function.md",
+        },
+        messages: {
+            noAssertAsync:
+                "Do not use {{assertVar}}.async() in an async function. Await the asynchronous work instead.",
+            useAwait:
+                "Await the promise instead of resolving {{assertVar}}.async() in then().",
+        },
+        schema: [],
+        hasSuggestions: true,
+    },
+
+    create: function (context) {
+        const testStack = utils.createTestStack(context, {
+            includeHooks: true,
+            createState: (testCallback) => testCallback,
+        });
+
+        /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
+        const sourceCode = context.sourceCode ?? context.getSourceCode();
+
+        /**
+         * @param {import('estree').Node} statement
+         * @returns {[number, number]} The range of the statement, including
+         *     the whitespace up to the next token.
+         */
+        function getStatementRemovalRange(statement) {
+            const nextToken = /** @type {import('eslint').AST.Token} */ (
+                sourceCode.getTokenAfter(statement, { includeComments: true })
+            );
+
+            return [
+                /** @type {[number, number]} */ (statement.range)[0],
+                nextToken.range[0],
+            ];
+        }
+
+        /**
+         * Builds a suggestion that replaces
+         * `const done = assert.async(); promise.then(() => done());` with
+         * `await promise;`, if both are statements of the callback body and
+         * `done` is not used anywhere else.
+         * @param {import('estree').CallExpression} asyncCall
+         * @param {import('estree').Node} callback
+         * @param {string} assertVar
+         * @returns {import('eslint').Rule.SuggestionReportDescriptor[]}
+         */
+        function getSuggestions(asyncCall, callback, assertVar) {
+            const body = /** @type {import('estree').FunctionExpression} */ (
+                callback
+            ).body;
+            const declarator = getDoneDeclarator(asyncCall, body);
+            const references = declarator
+                ? sourceCode
+                      .getDeclaredVariables(declarator)[0]
+                      .references.filter((reference) => !reference.init)
+                : [];
+            const handler =
+                references.length === 1 &&
+                getThenHandler(references[0].identifier);
+            const thenCall = handler && getThenCall(handler, body);
+
+            if (!declarator || !thenCall) {
+                return [];
+            }
+
+            const promise = thenCall.callee.object;
+            const promiseText = AWAITABLE_WITHOUT_PARENS.has(promise.type)
+                ? sourceCode.getText(promise)
+                : `(${sourceCode.getText(promise)})`;
+
+            return [
+                {
+                    messageId: "useAwait",
+                    data: { assertVar },
+                    fix: (fixer) => [
+                        fixer.removeRange(
+                            getStatementRemovalRange(getParent(declarator)),
+                        ),
+                        fixer.replaceText(thenCall, `await ${promiseText}`),
+                    ],
+                },
+            ];
+        }
+
+        return {
+            CallExpression: function (node) {
+                const testCallback = testStack.current();
+
+                if (testStack.enter(node)) {
+                    return;
+                }
+                if (
+                    testCallback &&
+                    testCallback.assertVar &&
+                    isAsyncFunction(testCallback.callback) &&
+                    utils.isAsyncCallExpression(node, testCallback.assertVar)
+                ) {
+                    context.report({
+                        node: node,
+                        messageId: "noAssertAsync",
+                        data: { assertVar: testCallback.assertVar },
+                        suggest: getSuggestions(
+                            node,
+                            /** @type {import('estree').Node} */ (
+                                testCallback.callback
+                            ),
+                            testCallback.assertVar,
+                        ),
+                    });
+                }
+            },
+
+            "CallExpression:exit": testStack.exit,
+
+            Property: testStack.enter,
+
+            "Property:exit": testStack.exit,
+        };
+    },
+};
@@ -20,6 +20,7 @@ module.exports = {
         docs: {
             description: "require use of boolean assertions",
             category: "Best Practices",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-assert-equal-boolean.md",
         },
         fixable: "code",
@@ -27,13 +28,29 @@ module.exports = {
             useAssertTrueOrFalse:
                 "Use `assert.true or `assert.false` for boolean assertions.",
         },
-        schema: [],
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    useTypeInformation: {
+                        type: "boolean",
+                        description:
+                            "Whether to use type information, if available, to find boolean-typed arguments and to skip `equal()` calls whose actual value is not a boolean.",
+                        default: false,
+                    },
+                },
+                additionalProperties: false,
+            },
+        ],
     },
 
     create: function (context) {
         // Declare a test stack in case of nested test cases (not currently supported by QUnit).
         /** @type {Array<{assertVar: string | null}>} */
         const testStack = [];
+        const typeInformation = context.options[0]?.useTypeInformation
+            ? utils.getTypeInformation(context)
+            : null;
 
         function getCurrentAssertContextVariable() {
             assert(testStack.length, "Test stack should not be empty");
@@ -82,8 +99,24 @@ module.exports = {
             );
         }
 
+        /**
+         * @param {import('estree').Node} node
+         * @returns {boolean | null} The value of a boolean literal, or with
+         *     type information, of an expression of type `true` or `false`.
+         */
+        function getBooleanValue(node) {
+            if (node.type === "Literal" && typeof node.value === "boolean") {
+                return node.value;
+            }
+
+            return typeInformation
+                ? utils.getBooleanLiteralTypeValue(node, typeInformation)
+                : null;
+        }
+
         /**
          * Finds the first boolean argument of a CallExpression if one exists.
+         * Boolean literals are preferred over boolean-typed expressions.
          * @param {import('estree').CallExpression} node
          * @returns {import('estree').Node | undefined}
          */
@@ -91,10 +124,43 @@ module.exports = {
             if (node.type !== "CallExpression" || node.arguments.length < 2) {
                 return undefined; // eslint-disable-line unicorn/no-useless-undefined
             }
-            return [node.arguments[0], node.arguments[1]].find(
-                (arg) =>
-                    arg.type === "Literal" &&
-                    (arg.value === true || arg.value === false),
+            const args = [node.arguments[0], node.arguments[1]];
+
+            return (
+                args.find(
+                    (arg) =>
+                        arg.type === "Literal" &&
+                        typeof arg.value === "boolean",
+                ) ?? args.find((arg) => getBooleanValue(arg) !== null)
+            );
+        }
+
+        /**
+         * `assert.equal()` compares loosely, so with type information it is
+         * only reported if the compared value is a boolean, too. Otherwise the
+         * replacement with `assert.true()` or `assert.false()` would change
+         * the meaning of the assertion.
+         * @param {import('estree').CallExpression} node
+         * @param {import('estree').Node} booleanArgument
+         * @returns {boolean}
+         */
+        function isLooseComparisonOfNonBoolean(node, booleanArgument) {
+            const assertionName =
+                node.callee.type === "MemberExpression"
+                    ? /** @type {import('estree').Identifier} */ (
+                          node.callee.property
+                      ).name
+                    : /** @type {import('estree').Identifier} */ (node.callee)
+                          .name;
+            const otherArgument =
+                node.arguments[0] === booleanArgument
+                    ? node.arguments[1]
+                    : node.arguments[0];
+
+            return (
+                !!typeInformation &&
+                assertionName === "equal" &&
+                !utils.isBooleanTyped(otherArgument, typeInformation)
             );
         }
 
@@ -107,13 +173,12 @@ module.exports = {
                 messageId: "useAssertTrueOrFalse",
                 fix(fixer) {
                     const booleanArgument = getBooleanArgument(node);
-                    if (
-                        !booleanArgument ||
-                        booleanArgument.type !== "Literal"
-                    ) {
+                    if (!booleanArgument) {
                         return null;
                     }
-                    const newAssertionFunctionName = booleanArgument.value
+                    const newAssertionFunctionName = getBooleanValue(
+                        booleanArgument,
+                    )
                         ? "true"
                         : "false";
 
@@ -144,8 +209,8 @@ module.exports = {
         return {
             CallExpression: function (node) {
                 if (
-                    utils.isTest(node.callee) ||
-                    utils.isAsyncTest(node.callee)
+                    utils.isTest(node.callee, context) ||
+                    utils.isAsyncTest(node.callee, context)
                 ) {
                     testStack.push({
                         assertVar: utils.getAssertContextNameForTest(
@@ -154,16 +219,22 @@ module.exports = {
                     });
                 } else if (
                     testStack.length > 0 &&
-                    isEqualityAssertion(node.callee) &&
-                    getBooleanArgument(node)
+                    isEqualityAssertion(node.callee)
                 ) {
-                    reportError(node);
+                    const booleanArgument = getBooleanArgument(node);
+
+                    if (
+                        booleanArgument &&
+                        !isLooseComparisonOfNonBoolean(node, booleanArgument)
+                    ) {
+                        reportError(node);
+                    }
                 }
             },
             "CallExpression:exit": function (node) {
                 if (
-                    utils.isTest(node.callee) ||
-                    utils.isAsyncTest(node.callee)
+                    utils.isTest(node.callee, context) ||
+                    utils.isAsyncTest(node.callee, context)
                 ) {
                     testStack.pop();
                 }
@@ -23,6 +23,7 @@ module.exports = {
         docs: {
             description: "disallow the use of assert.equal",
             category: "Best Practices",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-assert-equal.md",
         },
         messages: {
@@ -167,8 +168,11 @@ module.exports = {
             return !!(
                 propertyNode.parent &&
                 propertyNode.parent.type === "Property" &&
-                utils.isModuleHookPropertyKey(propertyNode.parent.key) &&
-                utils.isInModule(propertyNode.parent)
+                utils.isModuleHookPropertyKey(
+                    propertyNode.parent.key,
+                    context,
+                ) &&
+                utils.isInModule(propertyNode.parent, context)
             );
         }
 
@@ -197,8 +201,8 @@ module.exports = {
         return {
             CallExpression: function (node) {
                 if (
-                    utils.isTest(node.callee) ||
-                    utils.isAsyncTest(node.callee)
+                    utils.isTest(node.callee, context) ||
+                    utils.isAsyncTest(node.callee, context)
                 ) {
                     testStack.push({
                         assertVar: utils.getAssertContextNameForTest(
@@ -215,8 +219,8 @@ module.exports = {
             },
             "CallExpression:exit": function (node) {
                 if (
-                    utils.isTest(node.callee) ||
-                    utils.isAsyncTest(node.callee)
+                    utils.isTest(node.callee, context) ||
+                    utils.isAsyncTest(node.callee, context)
                 ) {
                     testStack.pop();
                 }
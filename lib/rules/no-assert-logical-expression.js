@@ -22,7 +22,7 @@ module.exports = {
             description:
                 "disallow binary logical expressions in assert arguments",
             category: "Best Practices",
-            recommended: false,
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-assert-logical-expression.md",
         },
         fixable: null,
@@ -74,7 +74,7 @@ module.exports = {
 
         return {
             CallExpression: function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     const assertContextVar = utils.getAssertContextNameForTest(
                         node.arguments,
                     );
@@ -101,7 +101,7 @@ module.exports = {
             },
 
             "CallExpression:exit": function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     testStack.pop();
                 }
             },
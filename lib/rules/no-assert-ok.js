@@ -28,6 +28,198 @@ const ERROR_MESSAGE_CONFIG = {
     },
 };
 
+/**
+ * @typedef {{
+ *   firstArg: import('estree').Node,
+ *   otherArgsText: string[],
+ *   isNegative: boolean,
+ *   isLocal: boolean,
+ *   getText: (node: import('estree').Node) => string,
+ *   suggest: (messageId: string, assertion: string, args: string[]) => import('eslint').Rule.SuggestionReportDescriptor,
+ * }} SuggestionContext
+ */
+
+/**
+ * ok(a === b) => strictEqual(a, b)
+ * @param {SuggestionContext} suggestionContext
+ * @returns {import('eslint').Rule.SuggestionReportDescriptor[] | null}
+ */
+function getEqualitySuggestions({
+    firstArg,
+    otherArgsText,
+    isNegative,
+    getText,
+    suggest,
+}) {
+    const equalityAssertion = utils.getEqualityAssertion(firstArg, isNegative);
+    if (!equalityAssertion || firstArg.type !== "BinaryExpression") {
+        return null;
+    }
+
+    return [
+        suggest("useAssertion", equalityAssertion, [
+            getText(firstArg.left),
+            getText(firstArg.right),
+            ...otherArgsText,
+        ]),
+    ];
+}
+
+/**
+ * ok(!x) => notOk(x), false(x)
+ * @param {SuggestionContext} suggestionContext
+ * @returns {import('eslint').Rule.SuggestionReportDescriptor[] | null}
+ */
+function getNegationSuggestions({
+    firstArg,
+    otherArgsText,
+    isNegative,
+    isLocal,
+    getText,
+    suggest,
+}) {
+    const { argument, negationDepth } = utils.unwrapNegation(firstArg);
+    if (negationDepth % 2 === 0) {
+        return null;
+    }
+
+    const args = [getText(argument), ...otherArgsText];
+    const suggestions = [
+        suggest("useAssertion", isNegative ? "ok" : "notOk", args),
+    ];
+
+    // `true()` and `false()` were never available as globals.
+    if (isLocal) {
+        suggestions.push(
+            suggest("useAssertion", isNegative ? "true" : "false", args),
+        );
+    }
+
+    return suggestions;
+}
+
+/**
+ * Checks for a call like `arr.includes(x)`, which usually returns a boolean.
+ * This is only a hint for suggestions, since any object can define
+ * `includes()`.
+ * @param {import('estree').Node} node
+ * @returns {boolean}
+ */
+function isIncludesCall(node) {
+    return (
+        node.type === "CallExpression" &&
+        node.callee.type === "MemberExpression" &&
+        node.callee.property.type === "Identifier" &&
+        node.callee.property.name === "includes"
+    );
+}
+
+/**
+ * ok(x instanceof Y) => true(x instanceof Y, "x is an instance of Y")
+ * ok(arr.includes(x)) => true(arr.includes(x))
+ * @param {SuggestionContext} suggestionContext
+ * @returns {import('eslint').Rule.SuggestionReportDescriptor[] | null}
+ */
+function getBooleanSuggestions({
+    firstArg,
+    otherArgsText,
+    isNegative,
+    isLocal,
+    getText,
+    suggest,
+}) {
+    const booleanAssertion = isNegative ? "false" : "true";
+
+    if (!isLocal) {
+        return null;
+    }
+
+    if (
+        firstArg.type === "BinaryExpression" &&
+        firstArg.operator === "instanceof"
+    ) {
+        const message = `${getText(firstArg.left)} is ${
+            isNegative ? "not " : ""
+        }an instance of ${getText(firstArg.right)}`;
+
+        return [
+            suggest("useAssertionWithMessage", booleanAssertion, [
+                getText(firstArg),
+                ...(otherArgsText.length > 0
+                    ? otherArgsText
+                    : [JSON.stringify(message)]),
+            ]),
+        ];
+    }
+
+    if (utils.isBooleanExpression(firstArg) || isIncludesCall(firstArg)) {
+        return [
+            suggest("useAssertion", booleanAssertion, [
+                getText(firstArg),
+                ...otherArgsText,
+            ]),
+        ];
+    }
+
+    return null;
+}
+
+/**
+ * Suggests a more specific assertion based on the shape of the asserted value.
+ * @param {import('estree').CallExpression} node
+ * @param {import('eslint').Rule.RuleContext} context
+ * @returns {import('eslint').Rule.SuggestionReportDescriptor[]}
+ */
+function getSuggestions(node, context) {
+    /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
+    const sourceCode = context.sourceCode ?? context.getSourceCode();
+    const [firstArg, ...otherArgs] = node.arguments;
+    const callee = node.callee;
+
+    if (!firstArg) {
+        return [];
+    }
+
+    const assertVar =
+        callee.type === "MemberExpression"
+            ? sourceCode.getText(callee.object)
+            : null;
+    const assertion = sourceCode.getText(
+        callee.type === "MemberExpression" ? callee.property : callee,
+    );
+
+    /** @type {SuggestionContext} */
+    const suggestionContext = {
+        firstArg,
+        otherArgsText: otherArgs.map((arg) => sourceCode.getText(arg)),
+        isNegative: assertion === "notOk",
+        isLocal: assertVar !== null,
+        getText: (argNode) => sourceCode.getText(argNode),
+        suggest: function (messageId, replacementAssertion, args) {
+            const replacement = assertVar
+                ? `${assertVar}.${replacementAssertion}`
+                : replacementAssertion;
+
+            return {
+                messageId,
+                data: { replacement },
+                fix: (fixer) =>
+                    fixer.replaceText(
+                        node,
+                        `${replacement}(${args.join(", ")})`,
+                    ),
+            };
+        },
+    };
+
+    return (
+        getEqualitySuggestions(suggestionContext) ??
+        getNegationSuggestions(suggestionContext) ??
+        getBooleanSuggestions(suggestionContext) ??
+        []
+    );
+}
+
 /** @type {import('eslint').Rule.RuleModule} */
 module.exports = {
     meta: {
@@ -35,15 +227,22 @@ module.exports = {
         docs: {
             description: "disallow the use of assert.ok/assert.notOk",
             category: "Best Practices",
+            recommended: "strict",
         },
         messages: {
             [GLOBAL_ERROR_MESSAGE_ID]:
                 "Unexpected {{assertion}}. Use strictEqual, deepEqual, or propEqual.",
             [LOCAL_ERROR_MESSAGE_ID]:
                 "Unexpected {{assertVar}}.{{assertion}}. Use {{assertVar}}.strictEqual, {{assertVar}}.deepEqual, or {{assertVar}}.propEqual.",
+            useAssertion: "Use {{replacement}}() instead.",
+            useAssertionWithMessage:
+                "Use {{replacement}}() instead and describe the expected type in the message.",
         },
         schema: [],
+        hasSuggestions: true,
     },
 
-    create: utils.createAssertionCheck(assertions, ERROR_MESSAGE_CONFIG),
+    create: utils.createAssertionCheck(assertions, ERROR_MESSAGE_CONFIG, {
+        getSuggestions,
+    }),
 };
@@ -18,6 +18,7 @@ module.exports = {
         docs: {
             description: "disallow async calls in loops",
             category: "Best Practices",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-async-in-loops.md",
         },
         messages: {
@@ -98,12 +99,12 @@ module.exports = {
                 callType = `${assertContextVar}.async()`;
             } else if (
                 node.type === "CallExpression" &&
-                utils.isStop(node.callee)
+                utils.isStop(node.callee, context)
             ) {
                 callType = "stop()";
             } else if (
                 node.type === "CallExpression" &&
-                utils.isStart(node.callee)
+                utils.isStart(node.callee, context)
             ) {
                 callType = "start()";
             }
@@ -130,7 +131,7 @@ module.exports = {
 
         return {
             CallExpression: function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     const assertContextVar = utils.getAssertContextNameForTest(
                         node.arguments,
                     );
@@ -141,8 +142,8 @@ module.exports = {
                 } else if (loopStack.length > 0) {
                     const isStopOrStartOrAsync =
                         isAsyncCallExpression(node) ||
-                        utils.isStop(node.callee) ||
-                        utils.isStart(node.callee);
+                        utils.isStop(node.callee, context) ||
+                        utils.isStart(node.callee, context);
 
                     if (isStopOrStartOrAsync) {
                         reportError(node);
@@ -150,7 +151,7 @@ module.exports = {
                 }
             },
             "CallExpression:exit": function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     assertVariableStack.pop();
                 }
             },
@@ -37,7 +37,7 @@ module.exports = {
         docs: {
             description: "disallow async module callbacks",
             category: "Possible Errors",
-            recommended: false,
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-async-module-callbacks.md",
         },
         fixable: null,
@@ -51,7 +51,7 @@ module.exports = {
     create: function (context) {
         return {
             CallExpression: function (node) {
-                if (utils.isModule(node.callee)) {
+                if (utils.isModule(node.callee, context)) {
                     const callback = node.arguments[1];
                     if (callback && isAsyncFunctionExpression(callback)) {
                         context.report({
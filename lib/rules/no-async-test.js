@@ -14,6 +14,12 @@ const utils = require("../utils");
 // Rule Definition
 //------------------------------------------------------------------------------
 
+/** @typedef {{
+ *   node: import('estree').CallExpression,
+ *   startCalls: Array<import('estree').CallExpression>,
+ *   hasStop: boolean,
+ * }} AsyncTestState */
+
 /** @type {import('eslint').Rule.RuleModule} */
 module.exports = {
     meta: {
@@ -21,24 +27,248 @@ module.exports = {
         docs: {
             description: "disallow the use of asyncTest or QUnit.asyncTest",
             category: "Best Practices",
+            recommended: "legacy-migration",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-async-test.md",
         },
+        fixable: "code",
         messages: {
             unexpectedAsyncTest:
                 "Unexpected asynchronous test. Use assert.async() instead.",
+            convertToAssertAsync:
+                "Convert to QUnit.test() and use assert.async() instead of start().",
         },
         schema: [],
+        hasSuggestions: true,
     },
 
     create: function (context) {
+        /** @type {Array<AsyncTestState>} */
+        const asyncTestStack = [];
+
+        /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
+        const sourceCode = context.sourceCode ?? context.getSourceCode();
+
+        /**
+         * Checks for a call to a local function that has the name of a QUnit
+         * function, e.g. `start()` after `function start() {}`.
+         * @param {import('estree').CallExpression} node
+         * @returns {boolean}
+         */
+        function isLocalCall(node) {
+            return (
+                node.callee.type === "Identifier" &&
+                utils.isLocalNonQUnitBinding(node.callee, context)
+            );
+        }
+
+        /**
+         * @param {import('estree').Node} functionExpr
+         * @param {string} name
+         * @returns {boolean}
+         */
+        function usesIdentifier(functionExpr, name) {
+            return sourceCode
+                .getTokens(functionExpr)
+                .some(
+                    (token) =>
+                        token.type === "Identifier" && token.value === name,
+                );
+        }
+
+        /**
+         * @param {AsyncTestState} asyncTestState
+         * @param {import('estree').Node} callback
+         * @param {boolean} needsAssertParam
+         * @returns {boolean}
+         */
+        function isAmbiguousConversion(
+            asyncTestState,
+            callback,
+            needsAssertParam,
+        ) {
+            const { node, startCalls, hasStop } = asyncTestState;
+
+            return (
+                hasStop ||
+                startCalls.length === 0 ||
+                startCalls[0].arguments.length > 0 ||
+                usesIdentifier(callback, "done") ||
+                (needsAssertParam &&
+                    usesIdentifier(
+                        callback,
+                        utils.getSettings(context).assertIdentifier,
+                    )) ||
+                (node.callee.type === "Identifier" &&
+                    utils.isLocalNonQUnitBinding(node.callee, context))
+            );
+        }
+
+        /**
+         * Returns the replacement for the `asyncTest` callee, or for its
+         * property in `QUnit.asyncTest`. An imported `asyncTest` is replaced
+         * by the `test` function or the namespace imported from QUnit, and a
+         * global one by `QUnit.test`.
+         * @param {import('estree').Node} callee
+         * @returns {string | null} The replacement, or null if QUnit is not
+         *     imported in a way that gives access to `test`.
+         */
+        function getTestCallee(callee) {
+            if (callee.type !== "Identifier") {
+                return "test";
+            }
+            if (utils.getQUnitImportName(callee, context) === null) {
+                return "QUnit.test";
+            }
+
+            const testName = utils.findQUnitImportBinding(
+                callee,
+                "test",
+                context,
+            );
+            if (testName) {
+                return testName;
+            }
+
+            const namespaceName = utils.findQUnitImportBinding(
+                callee,
+                "QUnit",
+                context,
+            );
+            return namespaceName ? `${namespaceName}.test` : null;
+        }
+
+        /**
+         * Builds the rewrite to `QUnit.test()` with `assert.async()`. The
+         * rewrite is only safe to apply automatically if the test calls
+         * `start()` exactly once, never calls `stop()`, and the rewrite does
+         * not shadow any identifiers. Otherwise it is offered as a suggestion.
+         * Tests with several `start()` calls are not rewritten, since the
+         * calls may be in exclusive branches or may all run, and a single
+         * `done()` callback must only be called once.
+         * @param {AsyncTestState} asyncTestState
+         * @returns {{ fix: import('eslint').Rule.ReportFixer, isAmbiguous: boolean } | null}
+         */
+        function getConversion(asyncTestState) {
+            const { node, startCalls } = asyncTestState;
+            const callback = node.arguments[node.arguments.length - 1];
+
+            if (
+                !callback ||
+                startCalls.length > 1 ||
+                (callback.type !== "FunctionExpression" &&
+                    callback.type !== "ArrowFunctionExpression") ||
+                callback.body.type !== "BlockStatement"
+            ) {
+                return null;
+            }
+
+            const params = callback.params.filter(
+                (param) => param.type !== "Identifier" || param.name !== "this",
+            );
+            if (params.length > 0 && params[0].type !== "Identifier") {
+                return null;
+            }
+
+            const callee = node.callee;
+            const testCallee = getTestCallee(callee);
+            if (!testCallee) {
+                return null;
+            }
+
+            const assertVar =
+                utils.getAssertContextName(callback) ??
+                utils.getSettings(context).assertIdentifier;
+            const body = callback.body;
+            const doneDeclaration = `var done = ${assertVar}.async();`;
+
+            return {
+                isAmbiguous: isAmbiguousConversion(
+                    asyncTestState,
+                    callback,
+                    params.length === 0,
+                ),
+                fix: function (fixer) {
+                    const fixes = [
+                        callee.type === "MemberExpression"
+                            ? fixer.replaceText(callee.property, testCallee)
+                            : fixer.replaceText(callee, testCallee),
+                    ];
+
+                    if (params.length === 0) {
+                        fixes.push(
+                            utils.addAssertParam(
+                                fixer,
+                                callback,
+                                sourceCode,
+                                assertVar,
+                            ),
+                        );
+                    }
+
+                    fixes.push(
+                        utils.insertAtStartOfBlock(
+                            fixer,
+                            body,
+                            doneDeclaration,
+                            sourceCode,
+                        ),
+                    );
+
+                    for (const startCall of startCalls) {
+                        fixes.push(fixer.replaceText(startCall, "done()"));
+                    }
+
+                    return fixes;
+                },
+            };
+        }
+
         return {
             CallExpression: function (node) {
-                if (utils.isAsyncTest(node.callee)) {
-                    context.report({
-                        node: node,
-                        messageId: "unexpectedAsyncTest",
+                const asyncTestState =
+                    asyncTestStack[asyncTestStack.length - 1];
+
+                if (utils.isAsyncTest(node.callee, context)) {
+                    asyncTestStack.push({
+                        node,
+                        startCalls: [],
+                        hasStop: false,
                     });
+                } else if (asyncTestState && !isLocalCall(node)) {
+                    if (utils.isStart(node.callee, context)) {
+                        asyncTestState.startCalls.push(node);
+                    } else if (utils.isStop(node.callee, context)) {
+                        asyncTestState.hasStop = true;
+                    }
+                }
+            },
+
+            "CallExpression:exit": function (node) {
+                if (!utils.isAsyncTest(node.callee, context)) {
+                    return;
                 }
+
+                const conversion = getConversion(
+                    /** @type {AsyncTestState} */ (asyncTestStack.pop()),
+                );
+
+                context.report({
+                    node: node,
+                    messageId: "unexpectedAsyncTest",
+                    fix:
+                        conversion && !conversion.isAmbiguous
+                            ? conversion.fix
+                            : null,
+                    suggest:
+                        conversion && conversion.isAmbiguous
+                            ? [
+                                  {
+                                      messageId: "convertToAssertAsync",
+                                      fix: conversion.fix,
+                                  },
+                              ]
+                            : [],
+                });
             },
         };
     },
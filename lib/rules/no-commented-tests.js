@@ -4,6 +4,49 @@
  */
 "use strict";
 
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const utils = require("../utils");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replaceAll(/[$()*+.?[\\\]^{|}]/g, String.raw`\$&`);
+}
+
+/**
+ * Builds the pattern for test calls in comments, e.g. `QUnit.test("`, with
+ * the test functions and QUnit namespace from the shared settings.
+ * @param {import('eslint').Rule.RuleContext} context
+ * @returns {RegExp}
+ */
+function getWarningRegExp(context) {
+    const { namespace, testFunctions } = utils.getSettings(context);
+    const terms = [
+        ...[...new Set(["QUnit", namespace])].flatMap((name) => [
+            `${name}.test`,
+            `${name}.asyncTest`,
+            `${name}.skip`,
+        ]),
+        "test",
+        "asyncTest",
+        ...testFunctions,
+    ];
+
+    return new RegExp(
+        String.raw`\b(${terms.map((term) => escapeRegExp(term)).join("|")})\s*\(\s*["'\`]`,
+        "g",
+    );
+}
+
 //------------------------------------------------------------------------------
 // Rule Definition
 //------------------------------------------------------------------------------
@@ -15,6 +58,7 @@ module.exports = {
         docs: {
             description: "disallow commented tests",
             category: "Best Practices",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-commented-tests.md",
         },
         messages: {
@@ -28,8 +72,7 @@ module.exports = {
         /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
         const sourceCode = context.sourceCode ?? context.getSourceCode(),
             newlineRegExp = /\r\n|\r|\n/g,
-            warningRegExp =
-                /\b(QUnit\.test|QUnit\.asyncTest|QUnit\.skip|test|asyncTest)\s*\(\s*["'`]/g;
+            warningRegExp = getWarningRegExp(context);
 
         /**
          * @param {string} text
@@ -23,6 +23,7 @@ module.exports = {
             description:
                 "disallow comparing relational expressions to booleans in assertions",
             category: "Best Practices",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-compare-relation-boolean.md",
         },
         fixable: "code",
@@ -30,7 +31,20 @@ module.exports = {
             redundantComparison:
                 "Redundant comparison of relational expression to boolean literal.",
         },
-        schema: [],
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    useTypeInformation: {
+                        type: "boolean",
+                        description:
+                            "Whether to use type information, if available, to also report comparisons of boolean-typed identifiers to booleans.",
+                        default: false,
+                    },
+                },
+                additionalProperties: false,
+            },
+        ],
     },
 
     create: function (context) {
@@ -47,7 +61,10 @@ module.exports = {
                 ">=",
                 "in",
                 "instanceof",
-            ]);
+            ]),
+            typeInformation = context.options[0]?.useTypeInformation
+                ? utils.getTypeInformation(context)
+                : null;
 
         /**
          * @param {import('estree').Node} calleeNode
@@ -86,15 +103,31 @@ module.exports = {
             return 0;
         }
 
+        /**
+         * @param {import('estree').Node} node
+         * @returns {boolean} Whether the node is a relational expression, or
+         *     with type information, a boolean-typed identifier.
+         */
+        function isRelation(node) {
+            if (node.type === "BinaryExpression") {
+                return RELATIONAL_OPS.has(node.operator);
+            }
+
+            return (
+                !!typeInformation &&
+                node.type === "Identifier" &&
+                utils.isBooleanTyped(node, typeInformation)
+            );
+        }
+
         /**
          * @param {import('estree').CallExpression} callExprNode
          * @param {import('estree').Literal} literalNode
-         * @param {import('estree').BinaryExpression} binaryExprNode
+         * @param {import('estree').Node} relationNode
          */
-        function checkAndReport(callExprNode, literalNode, binaryExprNode) {
+        function checkAndReport(callExprNode, literalNode, relationNode) {
             if (
-                binaryExprNode.type === "BinaryExpression" &&
-                RELATIONAL_OPS.has(binaryExprNode.operator) &&
+                isRelation(relationNode) &&
                 literalNode.type === "Literal" &&
                 typeof literalNode.value === "boolean"
             ) {
@@ -139,7 +172,7 @@ module.exports = {
                         const newAssertionFunctionName =
                             countNegations % 2 === 0 ? "ok" : "notOk";
                         const newArgsTextArray = [
-                            binaryExprNode,
+                            relationNode,
                             ...callExprNode.arguments.slice(2),
                         ].map((arg) => sourceCode.getText(arg));
                         const newArgsTextJoined = newArgsTextArray.join(", ");
@@ -168,7 +201,7 @@ module.exports = {
 
             if (
                 firstTwoArgsSorted[0].type === "Literal" &&
-                firstTwoArgsSorted[1].type === "BinaryExpression"
+                firstTwoArgsSorted[1].type !== "Literal"
             ) {
                 checkAndReport(
                     callExprNode,
@@ -180,7 +213,7 @@ module.exports = {
 
         return {
             CallExpression: function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     testStack.push({
                         assertContextVar: utils.getAssertContextNameForTest(
                             node.arguments,
@@ -195,7 +228,7 @@ module.exports = {
             },
 
             "CallExpression:exit": function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     testStack.pop();
                 }
             },
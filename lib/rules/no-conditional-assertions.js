@@ -37,7 +37,7 @@ module.exports = {
             description:
                 "disallow assertions within if statements or conditional expressions",
             category: "Best Practices",
-            recommended: false,
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-conditional-assertions.md",
         },
         fixable: null, // or "code" or "whitespace"
@@ -114,7 +114,7 @@ module.exports = {
 
         return {
             CallExpression: function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     testStack.push({
                         assertContextVar: utils.getAssertContextNameForTest(
                             node.arguments,
@@ -126,7 +126,7 @@ module.exports = {
             },
 
             "CallExpression:exit": function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     testStack.pop();
                 }
             },
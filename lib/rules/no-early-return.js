@@ -10,6 +10,92 @@
 //------------------------------------------------------------------------------
 
 const utils = require("../utils");
+const { getStaticValue } = require("@eslint-community/eslint-utils");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+const NEGATABLE_WITHOUT_PARENS = new Set([
+    "CallExpression",
+    "Identifier",
+    "Literal",
+    "MemberExpression",
+    "UnaryExpression",
+]);
+
+/**
+ * Finds the `if (condition) { return; }` guard that a return statement belongs
+ * to, if the guard is a top-level statement of the test callback.
+ * @param {import('eslint').Rule.Node} returnNode
+ * @param {import('estree').Node} callback
+ * @returns {import('estree').IfStatement | null}
+ */
+function getGuardStatement(returnNode, callback) {
+    if (
+        returnNode.type !== "ReturnStatement" ||
+        returnNode.argument ||
+        (callback.type !== "FunctionExpression" &&
+            callback.type !== "ArrowFunctionExpression")
+    ) {
+        return null;
+    }
+
+    let guard = returnNode.parent;
+    if (guard.type === "BlockStatement" && guard.body.length === 1) {
+        guard = guard.parent;
+    }
+
+    return guard.type === "IfStatement" &&
+        !guard.alternate &&
+        guard.parent === callback.body
+        ? guard
+        : null;
+}
+
+/**
+ * Checks that a guard is the first statement of the callback of a plain
+ * `QUnit.test(name, callback)` call.
+ * @param {import('estree').CallExpression} test
+ * @param {import('estree').IfStatement} guard
+ * @param {import('estree').Node} callback
+ * @returns {boolean}
+ */
+function isGuardOfTestCallback(test, guard, callback) {
+    const callee = test.callee;
+
+    return (
+        callee.type === "MemberExpression" &&
+        callee.property.type === "Identifier" &&
+        callee.property.name === "test" &&
+        test.arguments.length === 2 &&
+        test.arguments[1] === callback &&
+        /** @type {import('estree').BlockStatement} */ (
+            /** @type {import('estree').FunctionExpression} */ (callback).body
+        ).body[0] === guard
+    );
+}
+
+/**
+ * @param {import('estree').Expression} condition
+ * @param {import('eslint').SourceCode} sourceCode
+ * @returns {string} The negated condition, usable as a function argument.
+ */
+function negateCondition(condition, sourceCode) {
+    if (condition.type === "UnaryExpression" && condition.operator === "!") {
+        const text = sourceCode.getText(condition.argument);
+
+        return condition.argument.type === "SequenceExpression"
+            ? `(${text})`
+            : text;
+    }
+
+    const text = sourceCode.getText(condition);
+
+    return NEGATABLE_WITHOUT_PARENS.has(condition.type)
+        ? `!${text}`
+        : `!(${text})`;
+}
 
 //------------------------------------------------------------------------------
 // Rule Definition
@@ -22,23 +108,304 @@ module.exports = {
         docs: {
             description: "disallow early return in tests",
             category: "Best Practices",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-early-return.md",
         },
         messages: {
             noEarlyReturn: "Do not return early from a QUnit test.",
+            useTestIf:
+                "Use {{callee}}.if() to run the test only if the condition holds.",
+            useSkip: "Use {{callee}}() to skip the test.",
+            wrapInCondition:
+                "Wrap the rest of the test in the negated condition.",
+            addSkippedAssertion:
+                "Add an assertion recording that the test was skipped.",
         },
         schema: [],
+        hasSuggestions: true,
     },
 
     create: function (context) {
         /** @type {string | null} */
         let assertContextVar = null;
-        /** @type {Array<{returnAndAssertNodes: import('eslint').Rule.Node[]}>} */
+        /** @type {import('estree').CallExpression | null} */
+        let testNode = null;
+        /** @type {Array<{node: import('estree').Node, returnAndAssertNodes: import('eslint').Rule.Node[]}>} */
         const functionScopes = [];
 
-        function pushFunction() {
+        /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
+        const sourceCode = context.sourceCode ?? context.getSourceCode();
+
+        /**
+         * @param {import('estree').Node} node
+         * @returns {import('eslint').Scope.Scope}
+         */
+        function getScope(node) {
+            /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
+            return sourceCode.getScope
+                ? sourceCode.getScope(node)
+                : // @ts-expect-error -- removed in ESLint 10, but needed for ESLint 8 compat
+                  context.getScope();
+        }
+
+        /**
+         * Checks that a guard condition only refers to variables declared
+         * outside of the test callback, so that it can be evaluated when the
+         * test is defined instead of when it runs.
+         * @param {import('estree').Expression} condition
+         * @param {import('estree').Node} callback
+         * @returns {boolean}
+         */
+        function isModuleLevelCondition(condition, callback) {
+            const callbackScope = sourceCode.scopeManager.acquire(
+                callback,
+                true,
+            );
+            const [start, end] = /** @type {[number, number]} */ (
+                condition.range
+            );
+
+            /**
+             * @param {import('eslint').Scope.Scope} scope
+             * @returns {boolean}
+             */
+            function refersToCallbackScope(scope) {
+                return (
+                    scope.references.some(
+                        (reference) =>
+                            reference.identifier.range &&
+                            reference.identifier.range[0] >= start &&
+                            reference.identifier.range[1] <= end &&
+                            reference.resolved?.scope === callbackScope,
+                    ) ||
+                    scope.childScopes.some((childScope) =>
+                        refersToCallbackScope(childScope),
+                    )
+                );
+            }
+
+            return (
+                !!callbackScope &&
+                !refersToCallbackScope(callbackScope) &&
+                !sourceCode
+                    .getTokens(condition)
+                    .some(
+                        (token) =>
+                            (token.type === "Keyword" ||
+                                token.type === "Identifier") &&
+                            ["this", "await", "yield"].includes(token.value),
+                    )
+            );
+        }
+
+        /**
+         * @param {import('eslint').Rule.RuleFixer} fixer
+         * @param {import('estree').IfStatement} guard
+         * @returns {import('eslint').Rule.Fix}
+         */
+        function removeGuard(fixer, guard) {
+            const nextToken = /** @type {import('eslint').AST.Token} */ (
+                sourceCode.getTokenAfter(guard, { includeComments: true })
+            );
+
+            return fixer.removeRange([
+                /** @type {[number, number]} */ (guard.range)[0],
+                nextToken.range[0],
+            ]);
+        }
+
+        /**
+         * Builds a suggestion that moves a guard at the start of the test into
+         * `QUnit.test.if()`, or into `QUnit.skip()` if the guard always
+         * returns.
+         * @param {import('estree').CallExpression} test
+         * @param {import('estree').IfStatement} guard
+         * @param {import('estree').Node} callback
+         * @returns {import('eslint').Rule.SuggestionReportDescriptor | null}
+         */
+        function getConditionalTestSuggestion(test, guard, callback) {
+            const callee = test.callee;
+
+            if (
+                callee.type !== "MemberExpression" ||
+                callee.computed ||
+                !isGuardOfTestCallback(test, guard, callback)
+            ) {
+                return null;
+            }
+
+            const staticValue = getStaticValue(guard.test, getScope(guard));
+            if (staticValue && staticValue.value) {
+                const property = callee.property;
+
+                return {
+                    messageId: "useSkip",
+                    data: {
+                        callee: `${sourceCode.getText(callee.object)}.skip`,
+                    },
+                    fix: (fixer) => [
+                        fixer.replaceText(property, "skip"),
+                        removeGuard(fixer, guard),
+                    ],
+                };
+            }
+
+            if (!isModuleLevelCondition(guard.test, callback)) {
+                return null;
+            }
+
+            const titleArg = test.arguments[0];
+            const condition = negateCondition(guard.test, sourceCode);
+
+            return {
+                messageId: "useTestIf",
+                data: { callee: sourceCode.getText(callee) },
+                fix: (fixer) => [
+                    fixer.insertTextAfter(callee, ".if"),
+                    fixer.insertTextAfter(titleArg, `, ${condition}`),
+                    removeGuard(fixer, guard),
+                ],
+            };
+        }
+
+        /**
+         * Builds a suggestion that replaces the guard with an if statement
+         * around the rest of the test body.
+         * @param {import('estree').IfStatement} guard
+         * @param {import('estree').BlockStatement} body
+         * @returns {import('eslint').Rule.SuggestionReportDescriptor | null}
+         */
+        function getWrapSuggestion(guard, body) {
+            const firstToken = /** @type {import('eslint').AST.Token} */ (
+                sourceCode.getTokenAfter(guard, { includeComments: true })
+            );
+            const lastToken = /** @type {import('eslint').AST.Token} */ (
+                sourceCode.getTokenBefore(
+                    /** @type {import('eslint').AST.Token} */ (
+                        sourceCode.getLastToken(body)
+                    ),
+                    { includeComments: true },
+                )
+            );
+            const restRange = [firstToken.range[0], lastToken.range[1]];
+            const restText = sourceCode.text.slice(...restRange);
+            const condition = negateCondition(guard.test, sourceCode);
+
+            if (
+                sourceCode
+                    .getTokensBetween(guard, lastToken)
+                    .some(
+                        (token) =>
+                            token.type === "Template" &&
+                            token.loc.start.line !== token.loc.end.line,
+                    )
+            ) {
+                // Re-indenting would change the contents of the template.
+                return null;
+            }
+
+            let text;
+            if (firstToken.loc.start.line === guard.loc?.end.line) {
+                text = `if (${condition}) { ${restText} }`;
+            } else {
+                const indent = utils.getIndentation(guard, sourceCode);
+                const indentUnit =
+                    indent.slice(
+                        utils.getIndentation(body, sourceCode).length,
+                    ) || "    ";
+                const indentedRest = restText
+                    .split("\n")
+                    .map((line, index) =>
+                        index === 0 || line.trim() === ""
+                            ? line
+                            : `${indentUnit}${line}`,
+                    )
+                    .join("\n");
+
+                text = `if (${condition}) {\n${indent}${indentUnit}${indentedRest}\n${indent}}`;
+            }
+
+            return {
+                messageId: "wrapInCondition",
+                fix: (fixer) =>
+                    fixer.replaceTextRange(
+                        [
+                            /** @type {[number, number]} */ (guard.range)[0],
+                            restRange[1],
+                        ],
+                        text,
+                    ),
+            };
+        }
+
+        /**
+         * Builds a suggestion that adds `assert.ok(true, "skipped: ...")`
+         * before the return so the skipped test still has an assertion.
+         * @param {import('eslint').Rule.Node} returnNode
+         * @param {import('estree').IfStatement} guard
+         * @returns {import('eslint').Rule.SuggestionReportDescriptor}
+         */
+        function getSkippedAssertionSuggestion(returnNode, guard) {
+            const reason = JSON.stringify(
+                `skipped: ${sourceCode.getText(guard.test)}`,
+            );
+            const assertion = `${assertContextVar}.ok(true, ${reason});`;
+            const consequent = guard.consequent;
+
+            return {
+                messageId: "addSkippedAssertion",
+                fix: (fixer) =>
+                    consequent.type === "BlockStatement"
+                        ? utils.insertAtStartOfBlock(
+                              fixer,
+                              consequent,
+                              assertion,
+                              sourceCode,
+                          )
+                        : fixer.replaceText(
+                              returnNode,
+                              `{ ${assertion} return; }`,
+                          ),
+            };
+        }
+
+        /**
+         * @param {import('eslint').Rule.Node} returnNode
+         * @param {import('estree').Node} functionNode
+         * @returns {import('eslint').Rule.SuggestionReportDescriptor[]}
+         */
+        function getSuggestions(returnNode, functionNode) {
+            const callback = testNode?.arguments.find(
+                (arg) => arg === functionNode,
+            );
+            const guard = callback && getGuardStatement(returnNode, callback);
+
+            if (
+                !testNode ||
+                !guard ||
+                (functionNode.type !== "FunctionExpression" &&
+                    functionNode.type !== "ArrowFunctionExpression") ||
+                functionNode.body.type !== "BlockStatement"
+            ) {
+                return [];
+            }
+
+            return /** @type {import('eslint').Rule.SuggestionReportDescriptor[]} */ (
+                [
+                    getConditionalTestSuggestion(testNode, guard, functionNode),
+                    getWrapSuggestion(guard, functionNode.body),
+                    getSkippedAssertionSuggestion(returnNode, guard),
+                ].filter(Boolean)
+            );
+        }
+
+        /**
+         * @param {import('estree').Node} node
+         */
+        function pushFunction(node) {
             if (assertContextVar !== null) {
                 functionScopes.push({
+                    node,
                     returnAndAssertNodes: [],
                 });
             }
@@ -80,6 +447,7 @@ module.exports = {
                             context.report({
                                 node: node,
                                 messageId: "noEarlyReturn",
+                                suggest: getSuggestions(node, lastScope.node),
                             });
                         }
                     }
@@ -89,10 +457,11 @@ module.exports = {
 
         return {
             CallExpression: function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     assertContextVar = utils.getAssertContextNameForTest(
                         node.arguments,
                     );
+                    testNode = node;
                 } else if (
                     assertContextVar &&
                     utils.isAssertion(node.callee, assertContextVar) &&
@@ -117,8 +486,9 @@ module.exports = {
             },
 
             "CallExpression:exit": function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     assertContextVar = null;
+                    testNode = null;
                 }
             },
 
@@ -0,0 +1,345 @@
+/**
+ * @fileoverview Disallow tests that make no assertions.
+ * @author agent
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const { findVariable } = require("@eslint-community/eslint-utils");
+const utils = require("../utils");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * @param {import('estree').Node | null | undefined} node
+ * @returns {node is import('estree').FunctionDeclaration | import('estree').FunctionExpression | import('estree').ArrowFunctionExpression}
+ */
+function isFunction(node) {
+    return (
+        !!node &&
+        (node.type === "FunctionDeclaration" ||
+            node.type === "FunctionExpression" ||
+            node.type === "ArrowFunctionExpression")
+    );
+}
+
+/**
+ * Checks for comments that configure ESLint, e.g. `// eslint-disable-line` or
+ * `global` comments. These do not explain anything.
+ * @param {import('estree').Comment} comment
+ * @returns {boolean}
+ */
+function isDirectiveComment(comment) {
+    return comment.type === "Line"
+        ? /^\s*eslint-disable-(?:next-)?line(?:\s|$)/u.test(comment.value)
+        : /^\s*(?:eslint(?:-[\w-]+)?|globals?|exported)(?:\s|$)/u.test(
+              comment.value,
+          );
+}
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+/** @typedef {{
+ *   node: import('estree').CallExpression,
+ *   assertVar: string | null,
+ *   hasAssertions: boolean,
+ *   expectZeroCalls: import('estree').CallExpression[],
+ * }} TestState */
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+    meta: {
+        type: "suggestion",
+        docs: {
+            description: "disallow tests that make no assertions",
+            category: "Best Practices",
+            recommended: false,
+            url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-empty-test.md",
+        },
+        messages: {
+            noAssertions: "Test makes no assertions.",
+            missingExpectZeroReason:
+                "Add a comment explaining why this test makes no assertions.",
+        },
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    countHelperAssertions: {
+                        type: "boolean",
+                        description:
+                            "Whether to count assertions made by functions defined in the same file that the test passes `assert` to.",
+                        default: false,
+                    },
+                },
+                additionalProperties: false,
+            },
+        ],
+    },
+
+    create: function (context) {
+        /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
+        const sourceCode = context.sourceCode ?? context.getSourceCode();
+        const countHelperAssertions =
+            !!context.options[0]?.countHelperAssertions;
+
+        /** @type {TestState[]} */
+        const testStack = [];
+
+        // The current code path segments of each function being traversed,
+        // used to ignore unreachable calls, e.g. after a `return` statement.
+        /** @type {Array<Set<import('eslint').Rule.CodePathSegment>>} */
+        const segmentsStack = [];
+
+        /**
+         * @param {import('estree').Node} node
+         * @returns {import('eslint').Scope.Scope}
+         */
+        function getScope(node) {
+            /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
+            return sourceCode.getScope
+                ? sourceCode.getScope(node)
+                : // @ts-expect-error -- removed in ESLint 10, but needed for ESLint 8 compat
+                  context.getScope();
+        }
+
+        /**
+         * Resolves the callee of a call to a function declared in this file,
+         * e.g. `function check(assert) {}` or `const check = (assert) => {}`.
+         * @param {import('estree').CallExpression} node
+         * @returns {import('estree').FunctionDeclaration | import('estree').FunctionExpression | import('estree').ArrowFunctionExpression | null}
+         */
+        function getLocalFunction(node) {
+            if (node.callee.type !== "Identifier") {
+                return null;
+            }
+
+            const variable = findVariable(getScope(node), node.callee);
+            const definition = variable?.defs[0];
+            if (!definition) {
+                return null;
+            }
+
+            if (isFunction(definition.node)) {
+                return definition.node;
+            }
+
+            return definition.node.type === "VariableDeclarator" &&
+                isFunction(definition.node.init)
+                ? definition.node.init
+                : null;
+        }
+
+        /**
+         * Returns the name of the parameter of a local function that
+         * receives `assert` in this call.
+         * @param {import('estree').CallExpression} node
+         * @param {string} assertVar
+         * @returns {{ helper: import('estree').Node, assertParam: string } | null}
+         */
+        function getHelperCall(node, assertVar) {
+            const argumentIndex = node.arguments.findIndex(
+                (arg) => arg.type === "Identifier" && arg.name === assertVar,
+            );
+            const helper = argumentIndex === -1 ? null : getLocalFunction(node);
+            if (!helper) {
+                return null;
+            }
+
+            const param = helper.params[argumentIndex];
+
+            return param?.type === "Identifier"
+                ? { helper, assertParam: param.name }
+                : null;
+        }
+
+        /**
+         * Checks whether a local function makes an assertion through its
+         * `assert` parameter, either itself or through other local helpers.
+         * @param {import('estree').CallExpression} node A call that passes
+         *     `assert` to a local function.
+         * @param {string} assertVar
+         * @param {Set<import('estree').Node>} visited
+         * @returns {boolean}
+         */
+        function isAssertingHelperCall(node, assertVar, visited) {
+            const helperCall = getHelperCall(node, assertVar);
+            if (!helperCall || visited.has(helperCall.helper)) {
+                return false;
+            }
+            visited.add(helperCall.helper);
+
+            return (
+                utils.findCallExpressions(
+                    helperCall.helper,
+                    sourceCode.visitorKeys,
+                    (call) =>
+                        utils.countsAsAssertion(
+                            call.callee,
+                            helperCall.assertParam,
+                        ) ||
+                        isAssertingHelperCall(
+                            call,
+                            helperCall.assertParam,
+                            visited,
+                        ),
+                ).length > 0
+            );
+        }
+
+        /**
+         * @param {import('estree').CallExpression} node
+         * @returns {boolean}
+         */
+        function hasReasonComment(node) {
+            const { parent } = /** @type {import('eslint').Rule.Node} */ (node);
+            /** @type {import('estree').Node} */
+            const statement =
+                parent?.type === "ExpressionStatement" ? parent : node;
+            const endLine = /** @type {import('estree').SourceLocation} */ (
+                statement.loc
+            ).end.line;
+
+            return [
+                ...sourceCode.getCommentsBefore(statement),
+                ...sourceCode.getCommentsInside(statement),
+                ...sourceCode
+                    .getCommentsAfter(statement)
+                    .filter(
+                        (comment) =>
+                            /** @type {import('estree').SourceLocation} */ (
+                                comment.loc
+                            ).start.line === endLine,
+                    ),
+            ].some((comment) => !isDirectiveComment(comment));
+        }
+
+        /**
+         * @param {TestState} testState
+         */
+        function checkTest(testState) {
+            if (testState.hasAssertions) {
+                return;
+            }
+
+            if (testState.expectZeroCalls.length === 0) {
+                context.report({
+                    node: testState.node,
+                    messageId: "noAssertions",
+                });
+                return;
+            }
+
+            for (const expectCall of testState.expectZeroCalls) {
+                if (!hasReasonComment(expectCall)) {
+                    context.report({
+                        node: expectCall,
+                        messageId: "missingExpectZeroReason",
+                    });
+                }
+            }
+        }
+
+        /**
+         * @param {import('estree').CallExpression} node
+         * @returns {boolean}
+         */
+        function isTestWithCallback(node) {
+            return (
+                utils.isTest(node.callee, context) &&
+                node.arguments.some(
+                    (arg) =>
+                        arg.type === "FunctionExpression" ||
+                        arg.type === "ArrowFunctionExpression",
+                )
+            );
+        }
+
+        /**
+         * @returns {boolean}
+         */
+        function isReachable() {
+            const segments = segmentsStack[segmentsStack.length - 1];
+
+            return [...segments].some((segment) => segment.reachable);
+        }
+
+        /**
+         * @param {import('estree').CallExpression} node
+         * @param {TestState} testState
+         */
+        function checkCall(node, testState) {
+            const { assertVar } = testState;
+
+            if (!isReachable()) {
+                return;
+            }
+
+            if (utils.countsAsAssertion(node.callee, assertVar)) {
+                testState.hasAssertions = true;
+            } else if (utils.getExpectedCount(node, assertVar) === 0) {
+                testState.expectZeroCalls.push(node);
+            } else if (
+                countHelperAssertions &&
+                assertVar &&
+                isAssertingHelperCall(node, assertVar, new Set())
+            ) {
+                testState.hasAssertions = true;
+            }
+        }
+
+        return {
+            onCodePathStart: function () {
+                segmentsStack.push(new Set());
+            },
+
+            onCodePathEnd: function () {
+                segmentsStack.pop();
+            },
+
+            onCodePathSegmentStart: function (segment) {
+                segmentsStack[segmentsStack.length - 1].add(segment);
+            },
+
+            onCodePathSegmentEnd: function (segment) {
+                segmentsStack[segmentsStack.length - 1].delete(segment);
+            },
+
+            onUnreachableCodePathSegmentStart: function (segment) {
+                segmentsStack[segmentsStack.length - 1].add(segment);
+            },
+
+            onUnreachableCodePathSegmentEnd: function (segment) {
+                segmentsStack[segmentsStack.length - 1].delete(segment);
+            },
+
+            CallExpression: function (node) {
+                if (isTestWithCallback(node)) {
+                    testStack.push({
+                        node,
+                        assertVar: utils.getAssertContextNameForTest(
+                            node.arguments,
+                        ),
+                        hasAssertions: false,
+                        expectZeroCalls: [],
+                    });
+                } else if (testStack.length > 0) {
+                    checkCall(node, testStack[testStack.length - 1]);
+                }
+            },
+
+            "CallExpression:exit": function (node) {
+                if (isTestWithCallback(node)) {
+                    checkTest(/** @type {TestState} */ (testStack.pop()));
+                }
+            },
+        };
+    },
+};
@@ -8,7 +8,10 @@
 // Requirements
 //------------------------------------------------------------------------------
 
-const { getAssertionNames } = require("../utils");
+const {
+    getGlobalAssertionFixer,
+    getGlobalAssertionNames,
+} = require("../utils");
 const { ReferenceTracker } = require("@eslint-community/eslint-utils");
 
 //------------------------------------------------------------------------------
@@ -22,8 +25,10 @@ module.exports = {
         docs: {
             description: "disallow global QUnit assertions",
             category: "Possible Errors",
+            recommended: "legacy-migration",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-global-assertions.md",
         },
+        fixable: "code",
         messages: {
             unexpectedGlobalAssertion:
                 "Unexpected global `{{ assertion }}` assertion.",
@@ -46,7 +51,7 @@ module.exports = {
                 const tracker = new ReferenceTracker(scope);
                 /** @type {Record<string, { [ReferenceTracker.CALL]: boolean }>} */
                 const traceMap = {};
-                for (const assertionName of getAssertionNames()) {
+                for (const assertionName of getGlobalAssertionNames()) {
                     traceMap[assertionName] = { [ReferenceTracker.CALL]: true };
                 }
 
@@ -65,6 +70,7 @@ module.exports = {
                         data: {
                             assertion: node.callee.name,
                         },
+                        fix: getGlobalAssertionFixer(node, context),
                     });
                 }
             },
@@ -8,6 +8,7 @@
 // Requirements
 //------------------------------------------------------------------------------
 
+const { getGlobalAssertionFixer } = require("../utils");
 const { ReferenceTracker } = require("@eslint-community/eslint-utils");
 
 //------------------------------------------------------------------------------
@@ -21,8 +22,10 @@ module.exports = {
         docs: {
             description: "disallow global expect",
             category: "Possible Errors",
+            recommended: "legacy-migration",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-global-expect.md",
         },
+        fixable: "code",
         messages: {
             unexpectedGlobalExpect: "Unexpected global expect.",
         },
@@ -50,6 +53,7 @@ module.exports = {
                     context.report({
                         node: node,
                         messageId: "unexpectedGlobalExpect",
+                        fix: getGlobalAssertionFixer(node, context),
                     });
                 }
             },
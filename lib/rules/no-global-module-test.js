@@ -21,6 +21,7 @@ module.exports = {
         docs: {
             description: "disallow global module/test/asyncTest",
             category: "Possible Errors",
+            recommended: "legacy-migration",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-global-module-test.md",
         },
         messages: {
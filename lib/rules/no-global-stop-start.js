@@ -6,6 +6,7 @@
  */
 "use strict";
 
+const { getStopStartMigration } = require("../utils");
 const { ReferenceTracker } = require("@eslint-community/eslint-utils");
 
 //------------------------------------------------------------------------------
@@ -19,12 +20,17 @@ module.exports = {
         docs: {
             description: "disallow global stop/start",
             category: "Possible Errors",
+            recommended: "legacy-migration",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-global-stop-start.md",
         },
+        fixable: "code",
         messages: {
             unexpectedGlobalStopStart: "Unexpected global {{callee}}() call.",
+            migrateToAssertAsync:
+                "Replace stop() and start() with assert.async().",
         },
         schema: [],
+        hasSuggestions: true,
     },
 
     create: function (context) {
@@ -58,12 +64,27 @@ module.exports = {
                     if (node.callee.type !== "Identifier") {
                         continue;
                     }
+                    const migration = getStopStartMigration(node, context);
+
                     context.report({
                         node: node,
                         messageId: "unexpectedGlobalStopStart",
                         data: {
                             callee: node.callee.name,
                         },
+                        fix:
+                            migration && !migration.isAmbiguous
+                                ? migration.fix
+                                : null,
+                        suggest:
+                            migration && migration.isAmbiguous
+                                ? [
+                                      {
+                                          messageId: "migrateToAssertAsync",
+                                          fix: migration.fix,
+                                      },
+                                  ]
+                                : [],
                     });
                 }
             },
@@ -14,7 +14,12 @@ const utils = require("../utils");
 // Rule Definition
 //------------------------------------------------------------------------------
 
-const NESTABLE_HOOK_NAMES = new Set(["afterEach", "beforeEach"]);
+const NESTABLE_HOOK_NAMES = new Set([
+    "after",
+    "afterEach",
+    "before",
+    "beforeEach",
+]);
 
 /** @type {import('eslint').Rule.RuleModule} */
 module.exports = {
@@ -23,7 +28,7 @@ module.exports = {
         docs: {
             description: "disallow the use of hooks from ancestor modules",
             category: "Possible Errors",
-            recommended: false,
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-hooks-from-ancestor-modules.md",
         },
         fixable: null,
@@ -62,6 +67,7 @@ module.exports = {
                     "CallExpression" &&
                 utils.isModule(
                     callExpressionNode.parent.parent.parent.parent.callee,
+                    context,
                 )
             );
         }
@@ -76,7 +82,12 @@ module.exports = {
                 node.callee.type === "MemberExpression" &&
                 node.callee.object.type === "Identifier" &&
                 node.callee.property.type === "Identifier" &&
-                NESTABLE_HOOK_NAMES.has(node.callee.property.name) &&
+                (NESTABLE_HOOK_NAMES.has(node.callee.property.name) ||
+                    utils
+                        .getSettings(context)
+                        .hookNames.has(node.callee.property.name)) &&
+                // The global hooks API, e.g. `import { hooks } from "qunit"`.
+                !utils.isGlobalHook(node.callee, context) &&
                 isInModuleCallbackBody(node)
             );
         }
@@ -116,7 +127,7 @@ module.exports = {
         return {
             // eslint-disable-next-line complexity
             CallExpression: function (node) {
-                if (utils.isModule(node.callee)) {
+                if (utils.isModule(node.callee, context)) {
                     if (node.arguments.length === 0) {
                         return;
                     }
@@ -184,7 +195,7 @@ module.exports = {
             },
 
             "CallExpression:exit": function (node) {
-                if (utils.isModule(node.callee)) {
+                if (utils.isModule(node.callee, context)) {
                     moduleStack.pop();
                 }
             },
@@ -31,6 +31,7 @@ module.exports = {
         docs: {
             description: "disallow identical test and module names",
             category: "Possible Errors",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-identical-names.md",
         },
         messages: {
@@ -41,10 +42,33 @@ module.exports = {
             duplicateModuleAncestor:
                 "Module name is used by ancestor on line {{ line }}.",
         },
-        schema: [],
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    ignoreCase: {
+                        type: "boolean",
+                        description:
+                            "Whether to compare names case-insensitively.",
+                        default: false,
+                    },
+                    normalizeWhitespace: {
+                        type: "boolean",
+                        description:
+                            "Whether to ignore leading and trailing whitespace and treat consecutive whitespace characters as a single space when comparing names.",
+                        default: false,
+                    },
+                },
+                additionalProperties: false,
+            },
+        ],
     },
 
     create: function (context) {
+        const options = context.options[0] || {},
+            ignoreCase = !!options.ignoreCase,
+            normalizeWhitespace = !!options.normalizeWhitespace;
+
         const TOP_LEVEL_MODULE_NODE = "top-level-module"; //  Constant representing the implicit top-level module.
         /** @type {Array<import('estree').Node | typeof TOP_LEVEL_MODULE_NODE>} */
         const modulesStack = [TOP_LEVEL_MODULE_NODE];
@@ -55,22 +79,26 @@ module.exports = {
             tests: [], // Children test nodes.
             hasNestedTests: false, // Whether this module has tests nested inside it.
         });
+        /** @type {Map<import('estree').Node, string>} */
+        const titles = new Map(); // Static titles of tests and modules.
 
         //----------------------------------------------------------------------
         // Helper functions
         //----------------------------------------------------------------------
 
         /**
-         * @param {import('estree').Node} node
-         * @returns {boolean}
+         * @param {string} title
+         * @returns {string}
          */
-        function isFirstArgLiteral(node) {
-            return (
-                node.type === "CallExpression" &&
-                node.arguments &&
-                node.arguments[0] &&
-                node.arguments[0].type === "Literal"
-            );
+        function normalizeTitle(title) {
+            let result = title;
+            if (normalizeWhitespace) {
+                result = result.trim().replaceAll(/\s+/gu, " ");
+            }
+            if (ignoreCase) {
+                result = result.toLowerCase();
+            }
+            return result;
         }
 
         /**
@@ -107,23 +135,119 @@ module.exports = {
             return modulesStack[modulesStack.length - 1];
         }
 
+        /**
+         * @param {import('estree').Property} property
+         * @returns {string | null}
+         */
+        function getStaticPropertyKey(property) {
+            if (property.computed) {
+                return null;
+            }
+            if (property.key.type === "Identifier") {
+                return property.key.name;
+            }
+            if (property.key.type === "Literal") {
+                return String(property.key.value);
+            }
+            return null;
+        }
+
+        /**
+         * Returns the keys of a dataset passed to a data-driven test, or null
+         * if they cannot be determined statically.
+         * @param {import('estree').Node | undefined} datasetNode
+         * @returns {string[] | null}
+         */
+        function getDatasetKeys(datasetNode) {
+            if (
+                datasetNode?.type === "ArrayExpression" &&
+                datasetNode.elements.every(
+                    (element) => element && element.type !== "SpreadElement",
+                )
+            ) {
+                return datasetNode.elements.map((_, index) => String(index));
+            }
+
+            if (datasetNode?.type === "ObjectExpression") {
+                const keys = datasetNode.properties.map((property) =>
+                    property.type === "Property"
+                        ? getStaticPropertyKey(property)
+                        : null,
+                );
+                if (keys.every((key) => key !== null)) {
+                    return /** @type {string[]} */ (keys);
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Returns the names of the tests that QUnit creates for a test call.
+         * A data-driven test creates one test per dataset item, named
+         * "title [key]".
+         * @param {import('estree').CallExpression} node
+         * @param {string} title
+         * @returns {string[] | null}
+         */
+        function getExpandedTestNames(node, title) {
+            if (!utils.isEachTest(node.callee, context)) {
+                return [normalizeTitle(title)];
+            }
+
+            const datasetKeys = getDatasetKeys(node.arguments[1]);
+            return datasetKeys
+                ? datasetKeys.map((key) => normalizeTitle(`${title} [${key}]`))
+                : null;
+        }
+
         /**
          * @param {import('estree').Node} node
+         * @param {import('estree').Node} otherNode
+         * @returns {boolean}
          */
-        // eslint-disable-next-line complexity
-        function handleTestNames(node) {
-            if (node.type !== "CallExpression" || !utils.isTest(node.callee)) {
-                return;
+        function hasSameTitle(node, otherNode) {
+            return (
+                normalizeTitle(/** @type {string} */ (titles.get(node))) ===
+                normalizeTitle(/** @type {string} */ (titles.get(otherNode)))
+            );
+        }
+
+        /**
+         * @param {import('estree').CallExpression} node
+         * @param {import('estree').CallExpression} otherNode
+         * @returns {boolean}
+         */
+        function isDuplicateTest(node, otherNode) {
+            const title = /** @type {string} */ (titles.get(node));
+            const otherTitle = /** @type {string} */ (titles.get(otherNode));
+            const names = getExpandedTestNames(node, title);
+            const otherNames = getExpandedTestNames(otherNode, otherTitle);
+
+            if (names && otherNames) {
+                return names.some((name) => otherNames.includes(name));
             }
 
+            // Data-driven tests whose datasets are not static are assumed to
+            // create the same tests if they have the same title.
+            return (
+                utils.isEachTest(node.callee, context) &&
+                utils.isEachTest(otherNode.callee, context) &&
+                hasSameTitle(node, otherNode)
+            );
+        }
+
+        /**
+         * @param {import('estree').Node} node
+         */
+        function handleTestNames(node) {
             if (
-                node.arguments.length === 0 ||
-                node.arguments[0].type !== "Literal"
+                node.type !== "CallExpression" ||
+                !utils.isTest(node.callee, context)
             ) {
                 return;
             }
 
-            const title = node.arguments[0].value;
             const currentModuleNode = getCurrentModuleNode();
             const currentModuleInfo =
                 mapModuleNodeToInfo.get(currentModuleNode);
@@ -133,10 +257,7 @@ module.exports = {
 
             // Check if we have seen this test name in the current module yet.
             const duplicateTestTitle = currentModuleInfo.tests.find(
-                (t) =>
-                    t.type === "CallExpression" &&
-                    t.arguments[0].type === "Literal" &&
-                    t.arguments[0].value === title,
+                (t) => t.type === "CallExpression" && isDuplicateTest(node, t),
             );
             if (
                 duplicateTestTitle &&
@@ -162,14 +283,10 @@ module.exports = {
          */
         // eslint-disable-next-line complexity
         function handleModuleNames(node) {
-            if (node.type === "CallExpression" && utils.isModule(node.callee)) {
-                if (node.arguments.length === 0) {
-                    return;
-                }
-                if (node.arguments[0].type !== "Literal") {
-                    return;
-                }
-                const title = node.arguments[0].value;
+            if (
+                node.type === "CallExpression" &&
+                utils.isModuleOrVariant(node.callee, context)
+            ) {
                 const currentModuleNode = modulesStack[modulesStack.length - 1];
 
                 const currentModuleInfo =
@@ -181,10 +298,7 @@ module.exports = {
 
                 // Check if we have seen the same title in a sibling module.
                 const duplicateModuleTitle = currentModuleInfo.modules.find(
-                    (moduleNode) =>
-                        moduleNode.type === "CallExpression" &&
-                        moduleNode.arguments[0].type === "Literal" &&
-                        moduleNode.arguments[0].value === title,
+                    (moduleNode) => hasSameTitle(node, moduleNode),
                 );
                 if (
                     duplicateModuleTitle &&
@@ -209,8 +323,7 @@ module.exports = {
                     .find(
                         (moduleNode) =>
                             moduleNode.type === "CallExpression" &&
-                            moduleNode.arguments[0].type === "Literal" &&
-                            moduleNode.arguments[0].value === title,
+                            hasSameTitle(node, moduleNode),
                     );
                 if (
                     duplicateAncestorModuleTitle &&
@@ -244,9 +357,18 @@ module.exports = {
 
         return {
             CallExpression: function (node) {
-                if (!isFirstArgLiteral(node)) {
+                if (
+                    !utils.isModuleOrVariant(node.callee, context) &&
+                    !utils.isTest(node.callee, context)
+                ) {
+                    return;
+                }
+
+                const title = utils.getStaticTitle(node.arguments[0], context);
+                if (title === null) {
                     return;
                 }
+                titles.set(node, title);
 
                 handleModuleNames(node);
                 handleTestNames(node);
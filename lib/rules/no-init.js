@@ -6,6 +6,12 @@
  */
 "use strict";
 
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const utils = require("../utils");
+
 //------------------------------------------------------------------------------
 // Rule Definition
 //------------------------------------------------------------------------------
@@ -17,6 +23,7 @@ module.exports = {
         docs: {
             description: "disallow use of QUnit.init",
             category: "Possible Errors",
+            recommended: "legacy-migration",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-init.md",
         },
         messages: {
@@ -31,15 +38,17 @@ module.exports = {
         //--------------------------------------------------------------------------
 
         return {
-            "CallExpression[callee.object.name='QUnit'][callee.property.name='init']":
+            "CallExpression[callee.property.name='init']":
                 /**
-                 * @param {import('eslint').Rule.Node} node
+                 * @param {import('estree').CallExpression & { callee: import('estree').MemberExpression }} node
                  */
                 function (node) {
-                    context.report({
-                        node: node,
-                        messageId: "noInit",
-                    });
+                    if (utils.isQUnitNamespace(node.callee.object, context)) {
+                        context.report({
+                            node: node,
+                            messageId: "noInit",
+                        });
+                    }
                 },
         };
     },
@@ -4,6 +4,12 @@
  */
 "use strict";
 
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const utils = require("../utils");
+
 //------------------------------------------------------------------------------
 // Rule Definition
 //------------------------------------------------------------------------------
@@ -15,6 +21,7 @@ module.exports = {
         docs: {
             description: "disallow use of QUnit.jsDump",
             category: "Possible Errors",
+            recommended: "legacy-migration",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-jsdump.md",
         },
         messages: {
@@ -29,15 +36,17 @@ module.exports = {
         //--------------------------------------------------------------------------
 
         return {
-            "CallExpression[callee.object.name='QUnit'][callee.property.name='jsDump']":
+            "CallExpression[callee.property.name='jsDump']":
                 /**
-                 * @param {import('eslint').Rule.Node} node
+                 * @param {import('estree').CallExpression & { callee: import('estree').MemberExpression }} node
                  */
                 function (node) {
-                    context.report({
-                        node: node,
-                        messageId: "noJsDump",
-                    });
+                    if (utils.isQUnitNamespace(node.callee.object, context)) {
+                        context.report({
+                            node: node,
+                            messageId: "noJsDump",
+                        });
+                    }
                 },
         };
     },
@@ -16,56 +16,35 @@ const utils = require("../utils");
 
 const GLOBAL_ERROR_MESSAGE_ID = "unexpectedGlobalLooseAssertion";
 const LOCAL_ERROR_MESSAGE_ID = "unexpectedLocalLooseAssertion";
+const GLOBAL_RECOMMENDATION_MESSAGE_ID = "unexpectedGlobalAssertion";
+const LOCAL_RECOMMENDATION_MESSAGE_ID = "unexpectedLocalAssertion";
+const SUGGESTION_MESSAGE_ID = "useRecommendedAssertion";
 const DEFAULT_ASSERTIONS = ["equal", "ok", "notEqual", "notOk"];
 
-const ERROR_MESSAGE_CONFIG = {
-    equal: {
-        unexpectedGlobalAssertionMessageId: GLOBAL_ERROR_MESSAGE_ID,
-        unexpectedLocalAssertionMessageId: LOCAL_ERROR_MESSAGE_ID,
-    },
-    ok: {
-        unexpectedGlobalAssertionMessageId: GLOBAL_ERROR_MESSAGE_ID,
-        unexpectedLocalAssertionMessageId: LOCAL_ERROR_MESSAGE_ID,
-    },
-    notEqual: {
-        unexpectedGlobalAssertionMessageId: GLOBAL_ERROR_MESSAGE_ID,
-        unexpectedLocalAssertionMessageId: LOCAL_ERROR_MESSAGE_ID,
-    },
-    notOk: {
-        unexpectedGlobalAssertionMessageId: GLOBAL_ERROR_MESSAGE_ID,
-        unexpectedLocalAssertionMessageId: LOCAL_ERROR_MESSAGE_ID,
-    },
+// Replacements that can be applied by renaming the assertion. `true` and
+// `false` are stricter than `ok` and `notOk`, so they are only safe to apply
+// automatically if the asserted value is a boolean.
+/** @type {Record<string, Set<string>>} */
+const COMPATIBLE_REPLACEMENTS = {
+    equal: new Set(["strictEqual", "deepEqual", "propEqual"]),
+    notEqual: new Set(["notStrictEqual", "notDeepEqual", "notPropEqual"]),
+    ok: new Set(["true"]),
+    notOk: new Set(["false"]),
 };
-
-/**
- * @typedef {{unexpectedGlobalAssertionMessage?: string, unexpectedLocalAssertionMessage?: string, unexpectedGlobalAssertionMessageId?: string, unexpectedLocalAssertionMessageId?: string}} ErrorMessageConfig
- * @param {string[]} disallowed
- * @returns {ErrorMessageConfig}
- */
-function buildErrorMessage(disallowed) {
-    const globalMessage = `Unexpected {{assertion}}. Use ${disallowed.join(
-        ", ",
-    )}.`;
-    const localMessage = `Unexpected {{assertVar}}.{{assertion}}. Use ${disallowed
-        .map((ass) => `{{assertVar}}.${ass}`)
-        .join(", ")}.`;
-    return {
-        unexpectedGlobalAssertionMessage: globalMessage,
-        unexpectedLocalAssertionMessage: localMessage,
-    };
-}
+const BOOLEAN_ASSERTIONS = new Set(["true", "false"]);
 
 /**
  * @typedef {[Array<string | {disallowed: string, recommended: string[]}>, ...never[]]} Options
  * @param {Options} options
- * @returns {[string[], Record<string, ErrorMessageConfig>]}
+ * @returns {[string[], Record<string, string[]>]} The disallowed assertions,
+ *     and the recommended replacements of those configured with objects.
  */
 function parseOptions(options) {
     if (options[0]) {
         /** @type {string[]} */
         const assertions = [];
-        /** @type {Record<string, ErrorMessageConfig>} */
-        const errorMessageConfig = {};
+        /** @type {Record<string, string[]>} */
+        const recommendations = {};
         for (const assertion of options[0]) {
             if (typeof assertion === "string") {
                 // Skip if rule was defined before.
@@ -73,26 +52,86 @@ function parseOptions(options) {
                     continue;
                 }
                 assertions.push(assertion);
-                errorMessageConfig[assertion] =
-                    ERROR_MESSAGE_CONFIG[
-                        /** @type {keyof typeof ERROR_MESSAGE_CONFIG} */ (
-                            assertion
-                        )
-                    ];
             } else {
                 // Skip if rule was defined before.
                 if (assertions.includes(assertion.disallowed)) {
                     continue;
                 }
                 assertions.push(assertion.disallowed);
-                errorMessageConfig[assertion.disallowed] = buildErrorMessage(
-                    assertion.recommended,
-                );
+                recommendations[assertion.disallowed] = assertion.recommended;
             }
         }
-        return [assertions, errorMessageConfig];
+        return [assertions, recommendations];
     }
-    return [DEFAULT_ASSERTIONS, ERROR_MESSAGE_CONFIG];
+    return [DEFAULT_ASSERTIONS, {}];
+}
+
+/**
+ * @param {import('estree').CallExpression} node
+ * @returns {import('estree').Node}
+ */
+function getAssertionNameNode(node) {
+    return node.callee.type === "MemberExpression"
+        ? node.callee.property
+        : node.callee;
+}
+
+/**
+ * Returns the configured replacements that can be applied by renaming the
+ * assertion. `true()` and `false()` were never available as globals.
+ * @param {import('estree').CallExpression} node
+ * @param {string[]} recommended
+ * @returns {string[]}
+ */
+function getCompatibleReplacements(node, recommended) {
+    const nameNode = getAssertionNameNode(node);
+    const assertion = nameNode.type === "Identifier" ? nameNode.name : "";
+    const isGlobal = node.callee.type === "Identifier";
+
+    return recommended.filter(
+        (replacement) =>
+            COMPATIBLE_REPLACEMENTS[assertion].has(replacement) &&
+            !(isGlobal && BOOLEAN_ASSERTIONS.has(replacement)),
+    );
+}
+
+/**
+ * @param {import('estree').CallExpression} node
+ * @param {string} replacement
+ * @returns {boolean}
+ */
+function isSafeReplacement(node, replacement) {
+    return (
+        !BOOLEAN_ASSERTIONS.has(replacement) ||
+        utils.isBooleanExpression(node.arguments[0])
+    );
+}
+
+/**
+ * @param {import('estree').CallExpression} node
+ * @param {string} replacement
+ * @returns {import('eslint').Rule.ReportFixer}
+ */
+function createFix(node, replacement) {
+    return (fixer) =>
+        fixer.replaceText(getAssertionNameNode(node), replacement);
+}
+
+/**
+ * Fixes the assertion if exactly one replacement is configured and it is safe
+ * to apply.
+ * @param {import('estree').CallExpression} node
+ * @param {string[]} recommended
+ * @returns {import('eslint').Rule.ReportFixer | null}
+ */
+function getFix(node, recommended) {
+    const [replacement] = getCompatibleReplacements(node, recommended);
+
+    return recommended.length === 1 &&
+        replacement &&
+        isSafeReplacement(node, replacement)
+        ? createFix(node, replacement)
+        : null;
 }
 
 /** @type {import('eslint').Rule.RuleModule} */
@@ -103,13 +142,20 @@ module.exports = {
             description:
                 "disallow the use of assert.equal/assert.ok/assert.notEqual/assert.notOk",
             category: "Best Practices",
+            recommended: "strict",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-loose-assertions.md",
         },
+        fixable: "code",
         messages: {
             [GLOBAL_ERROR_MESSAGE_ID]:
                 "Unexpected {{assertion}}. Use strictEqual, notStrictEqual, deepEqual, or propEqual.",
             [LOCAL_ERROR_MESSAGE_ID]:
                 "Unexpected {{assertVar}}.{{assertion}}. Use {{assertVar}}.strictEqual, {{assertVar}}.notStrictEqual, {{assertVar}}.deepEqual, or {{assertVar}}.propEqual.",
+            [GLOBAL_RECOMMENDATION_MESSAGE_ID]:
+                "Unexpected {{assertion}}. Use {{recommended}}.",
+            [LOCAL_RECOMMENDATION_MESSAGE_ID]:
+                "Unexpected {{assertVar}}.{{assertion}}. Use {{recommended}}.",
+            [SUGGESTION_MESSAGE_ID]: "Use {{replacement}}() instead.",
         },
         schema: [
             {
@@ -144,14 +190,78 @@ module.exports = {
                 uniqueItems: true,
             },
         ],
+        hasSuggestions: true,
     },
 
     create: function (context) {
-        const [assertions, errorMessageConfig] = parseOptions(
-            /** @type {Options} */ (context.options),
-        );
+        const [assertions, recommendations] = parseOptions(
+                /** @type {Options} */ (context.options),
+            ),
+            /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
+            sourceCode = context.sourceCode ?? context.getSourceCode();
+
+        /**
+         * Suggests each configured replacement that can be applied by
+         * renaming the assertion.
+         * @param {import('estree').CallExpression} node
+         * @param {string[]} recommended
+         * @returns {import('eslint').Rule.SuggestionReportDescriptor[]}
+         */
+        function getSuggestions(node, recommended) {
+            const objectPrefix =
+                node.callee.type === "MemberExpression"
+                    ? `${sourceCode.getText(node.callee.object)}.`
+                    : "";
+
+            return getCompatibleReplacements(node, recommended).map(
+                (replacement) => ({
+                    messageId: SUGGESTION_MESSAGE_ID,
+                    data: { replacement: `${objectPrefix}${replacement}` },
+                    fix: createFix(node, replacement),
+                }),
+            );
+        }
+
+        /**
+         * @param {import('estree').CallExpression} node
+         * @param {{assertVar: string, assertion: string}} data
+         * @param {boolean} isGlobal
+         */
+        function report(node, data, isGlobal) {
+            const recommended = recommendations[data.assertion];
+
+            if (!recommended) {
+                context.report({
+                    node,
+                    messageId: isGlobal
+                        ? GLOBAL_ERROR_MESSAGE_ID
+                        : LOCAL_ERROR_MESSAGE_ID,
+                    data,
+                });
+                return;
+            }
+
+            const fix = getFix(node, recommended);
+            const assertPrefix = isGlobal ? "" : `${data.assertVar}.`;
+
+            context.report({
+                node,
+                messageId: isGlobal
+                    ? GLOBAL_RECOMMENDATION_MESSAGE_ID
+                    : LOCAL_RECOMMENDATION_MESSAGE_ID,
+                data: {
+                    ...data,
+                    recommended: recommended
+                        .map((assertion) => `${assertPrefix}${assertion}`)
+                        .join(", "),
+                },
+                fix,
+                suggest: fix ? [] : getSuggestions(node, recommended),
+            });
+        }
+
         return utils
-            .createAssertionCheck(assertions, errorMessageConfig)
+            .createAssertionCheck(assertions, {}, { report })
             .call(this, context);
     },
 };
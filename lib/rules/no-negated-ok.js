@@ -7,13 +7,6 @@
 const assert = require("node:assert"),
     utils = require("../utils");
 
-const ASSERTION_OPPOSITES = {
-    false: "true",
-    notOk: "ok",
-    ok: "notOk",
-    true: "false",
-};
-
 //------------------------------------------------------------------------------
 // Rule Definition
 //------------------------------------------------------------------------------
@@ -25,6 +18,7 @@ module.exports = {
         docs: {
             description: "disallow negation in assert.ok/assert.notOk",
             category: "Best Practices",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-negated-ok.md",
         },
         fixable: "code",
@@ -96,44 +90,6 @@ module.exports = {
             return utils.isAssertion(calleeNode, assertVar);
         }
 
-        /**
-         * @param {import('estree').Node} argNode
-         * @returns {number}
-         */
-        function getNegationDepth(argNode) {
-            let negationDepth = 0,
-                node = argNode;
-
-            while (
-                node &&
-                node.type === "UnaryExpression" &&
-                node.operator === "!"
-            ) {
-                ++negationDepth;
-                node = node.argument;
-            }
-
-            return negationDepth;
-        }
-
-        /**
-         * @param {import('estree').Node} argNode
-         * @returns {import('estree').Node}
-         */
-        function unwrapNegation(argNode) {
-            let node = argNode;
-
-            while (
-                node &&
-                node.type === "UnaryExpression" &&
-                node.operator === "!"
-            ) {
-                node = node.argument;
-            }
-
-            return node;
-        }
-
         /**
          * @param {import('eslint').Rule.Node} callExprNode
          */
@@ -144,7 +100,8 @@ module.exports = {
                 callExprNode.arguments.length > 0
             ) {
                 const firstArgNode = callExprNode.arguments[0],
-                    negationDepth = getNegationDepth(firstArgNode);
+                    { argument, negationDepth } =
+                        utils.unwrapNegation(firstArgNode);
 
                 if (negationDepth % 2 === 1) {
                     context.report({
@@ -172,21 +129,16 @@ module.exports = {
                             const assertionVariableName =
                                 callExprNode.callee.object.name;
 
-                            const propertyName =
-                                callExprNode.callee.property.name;
-                            if (
-                                propertyName !== "true" &&
-                                propertyName !== "false" &&
-                                propertyName !== "ok" &&
-                                propertyName !== "notOk"
-                            ) {
+                            const oppositeAssertionFunctionName =
+                                utils.getOppositeOkAssertion(
+                                    callExprNode.callee.property.name,
+                                );
+                            if (!oppositeAssertionFunctionName) {
                                 return null;
                             }
 
-                            const oppositeAssertionFunctionName =
-                                ASSERTION_OPPOSITES[propertyName];
                             const newArgsTextArray = [
-                                unwrapNegation(firstArgNode),
+                                argument,
                                 ...callExprNode.arguments.slice(1),
                             ].map((arg) => sourceCode.getText(arg));
                             const newArgsTextJoined =
@@ -203,7 +155,7 @@ module.exports = {
 
         return {
             CallExpression: function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     asyncStateStack.push({
                         assertContextVar: utils.getAssertContextNameForTest(
                             node.arguments,
@@ -218,7 +170,7 @@ module.exports = {
             },
 
             "CallExpression:exit": function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     asyncStateStack.pop();
                 }
             },
@@ -21,6 +21,7 @@ module.exports = {
         docs: {
             description: "disallow nested QUnit.test() calls",
             category: "Possible Errors",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-nested-tests.md",
         },
         messages: {
@@ -33,13 +34,13 @@ module.exports = {
     create: function (context) {
         return {
             CallExpression: function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     let currentNode = node;
                     while (currentNode.parent) {
                         const { parent } = currentNode;
                         if (
                             parent.type === "CallExpression" &&
-                            utils.isTest(parent.callee)
+                            utils.isTest(parent.callee, context)
                         ) {
                             context.report({
                                 node,
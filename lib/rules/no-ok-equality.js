@@ -18,6 +18,7 @@ module.exports = {
             description:
                 "disallow equality comparisons in assert.ok/assert.notOk",
             category: "Best Practices",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-ok-equality.md",
         },
         fixable: "code",
@@ -120,53 +121,11 @@ module.exports = {
         }
 
         /**
-         * @param {import('estree').Node} arg
-         * @returns {boolean}
-         */
-        function isEqual(arg) {
-            return (
-                arg.type === "BinaryExpression" &&
-                ["===", "==", "!==", "!="].includes(arg.operator)
-            );
-        }
-
-        /**
-         * @param {import('estree').Node} arg
-         * @returns {boolean}
-         */
-        function isStrict(arg) {
-            return (
-                arg.type === "BinaryExpression" &&
-                ["===", "!=="].includes(arg.operator)
-            );
-        }
-
-        /**
-         * @param {import('estree').Node} arg
-         * @returns {boolean}
-         */
-        function isNegative(arg) {
-            return (
-                arg.type === "BinaryExpression" &&
-                ["!==", "!="].includes(arg.operator)
-            );
-        }
-
-        /**
-         * @param {{strict: boolean, negative: boolean}} criteria
+         * @param {string} assertMethod
          * @returns {string}
          */
-        function getSuggestedAssertion(criteria) {
+        function getSuggestedAssertion(assertMethod) {
             const assertVar = getAssertContextVar();
-            let assertMethod;
-
-            if (criteria.strict) {
-                assertMethod = criteria.negative
-                    ? "notStrictEqual"
-                    : "strictEqual";
-            } else {
-                assertMethod = criteria.negative ? "notEqual" : "equal";
-            }
 
             if (assertVar) {
                 return `${assertVar}.${assertMethod}`;
@@ -184,47 +143,43 @@ module.exports = {
         function checkArguments(args, isCalleeNegative, isGlobal, node) {
             if (args.length > 0) {
                 const firstArg = args[0],
-                    isArgEqual = isEqual(firstArg),
-                    isArgStrictEqual = isStrict(firstArg),
-                    isArgNegative = isNegative(firstArg);
-
-                const suggestion = getSuggestedAssertion({
-                    strict: isArgStrictEqual,
-                    negative: isArgNegative !== isCalleeNegative,
-                });
+                    assertMethod = utils.getEqualityAssertion(
+                        firstArg,
+                        isCalleeNegative,
+                    );
 
-                if (firstArg.type !== "BinaryExpression") {
+                if (!assertMethod || firstArg.type !== "BinaryExpression") {
                     return;
                 }
 
+                const suggestion = getSuggestedAssertion(assertMethod);
+
                 const a = sourceCode.getText(firstArg.left);
                 const b = sourceCode.getText(firstArg.right);
 
-                if (isArgEqual) {
-                    context.report({
-                        node: node,
-                        messageId: "noEqualityCheckInOk",
-                        data: {
-                            assertion: sourceCode.getText(node.callee),
-                            suggestion,
+                context.report({
+                    node: node,
+                    messageId: "noEqualityCheckInOk",
+                    data: {
+                        assertion: sourceCode.getText(node.callee),
+                        suggestion,
+                        a,
+                        b,
+                    },
+                    fix(fixer) {
+                        const newArgs = [
                             a,
                             b,
-                        },
-                        fix(fixer) {
-                            const newArgs = [
-                                a,
-                                b,
-                                ...args
-                                    .slice(1)
-                                    .map((arg) => sourceCode.getText(arg)),
-                            ];
-                            return fixer.replaceText(
-                                node,
-                                `${suggestion}(${newArgs.join(", ")})`,
-                            );
-                        },
-                    });
-                }
+                            ...args
+                                .slice(1)
+                                .map((arg) => sourceCode.getText(arg)),
+                        ];
+                        return fixer.replaceText(
+                            node,
+                            `${suggestion}(${newArgs.join(", ")})`,
+                        );
+                    },
+                });
             }
         }
 
@@ -238,7 +193,7 @@ module.exports = {
                         isGlobal,
                         node,
                     );
-                } else if (utils.isTest(node.callee)) {
+                } else if (utils.isTest(node.callee, context)) {
                     asyncStateStack.push({
                         assertContextVar: utils.getAssertContextNameForTest(
                             node.arguments,
@@ -248,7 +203,7 @@ module.exports = {
             },
 
             "CallExpression:exit": function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     asyncStateStack.pop();
                 }
             },
@@ -21,6 +21,7 @@ module.exports = {
         docs: {
             description: "disallow QUnit.only",
             category: "Best Practices",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-only.md",
         },
         messages: {
@@ -32,7 +33,7 @@ module.exports = {
     create: function (context) {
         return {
             CallExpression: function (node) {
-                if (utils.isOnly(node.callee)) {
+                if (utils.isOnly(node.callee, context)) {
                     context.report({
                         node: node,
                         messageId: "noQUnitOnly",
@@ -4,6 +4,12 @@
  */
 "use strict";
 
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const utils = require("../utils");
+
 //------------------------------------------------------------------------------
 // Rule Definition
 //------------------------------------------------------------------------------
@@ -15,6 +21,7 @@ module.exports = {
         docs: {
             description: "disallow QUnit.push",
             category: "Possible Errors",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-qunit-push.md",
         },
         messages: {
@@ -29,15 +36,17 @@ module.exports = {
         //--------------------------------------------------------------------------
 
         return {
-            "CallExpression[callee.object.name='QUnit'][callee.property.name='push']":
+            "CallExpression[callee.property.name='push']":
                 /**
-                 * @param {import('estree').Node} node
+                 * @param {import('estree').CallExpression & { callee: import('estree').MemberExpression }} node
                  */
                 function (node) {
-                    context.report({
-                        node: node,
-                        messageId: "noQUnitPush",
-                    });
+                    if (utils.isQUnitNamespace(node.callee.object, context)) {
+                        context.report({
+                            node: node,
+                            messageId: "noQUnitPush",
+                        });
+                    }
                 },
         };
     },
@@ -21,7 +21,7 @@ module.exports = {
         docs: {
             description: "disallow QUnit.start() within tests or test hooks",
             category: "Possible Errors",
-            recommended: false,
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-qunit-start-in-tests.md",
         },
         fixable: null,
@@ -47,7 +47,7 @@ module.exports = {
         function isQUnitStart(calleeNode) {
             return (
                 calleeNode.type === "MemberExpression" &&
-                utils.isStart(calleeNode)
+                utils.isStart(calleeNode, context)
             );
         }
 
@@ -57,8 +57,16 @@ module.exports = {
 
         return {
             CallExpression: function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     contextStack.push("test");
+                } else if (
+                    utils.isGlobalHook(node.callee, context) &&
+                    node.callee.type === "MemberExpression" &&
+                    node.callee.property.type === "Identifier"
+                ) {
+                    contextStack.push(
+                        `global ${node.callee.property.name} hook`,
+                    );
                 } else if (
                     contextStack.length > 0 &&
                     isQUnitStart(node.callee)
@@ -78,8 +86,8 @@ module.exports = {
 
             Property: function (node) {
                 if (
-                    utils.isModuleHookPropertyKey(node.key) &&
-                    utils.isInModule(node) &&
+                    utils.isModuleHookPropertyKey(node.key, context) &&
+                    utils.isInModule(node, context) &&
                     node.key.type === "Identifier"
                 ) {
                     contextStack.push(`${node.key.name} hook`);
@@ -87,15 +95,18 @@ module.exports = {
             },
 
             "CallExpression:exit": function (node) {
-                if (utils.isTest(node.callee)) {
+                if (
+                    utils.isTest(node.callee, context) ||
+                    utils.isGlobalHook(node.callee, context)
+                ) {
                     contextStack.pop();
                 }
             },
 
             "Property:exit": function (node) {
                 if (
-                    utils.isModuleHookPropertyKey(node.key) &&
-                    utils.isInModule(node)
+                    utils.isModuleHookPropertyKey(node.key, context) &&
+                    utils.isInModule(node, context)
                 ) {
                     contextStack.pop();
                 }
@@ -21,12 +21,17 @@ module.exports = {
         docs: {
             description: "disallow QUnit.stop",
             category: "Possible Errors",
+            recommended: "legacy-migration",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-qunit-stop.md",
         },
+        fixable: "code",
         messages: {
             noQUnitStop: "Use assert.async() instead of QUnit.stop().",
+            migrateToAssertAsync:
+                "Replace stop() and start() with assert.async().",
         },
         schema: [],
+        hasSuggestions: true,
     },
 
     create: function (context) {
@@ -38,7 +43,7 @@ module.exports = {
             return (
                 calleeNode &&
                 calleeNode.type === "MemberExpression" &&
-                utils.isStop(calleeNode)
+                utils.isStop(calleeNode, context)
             );
         }
 
@@ -49,9 +54,27 @@ module.exports = {
         return {
             CallExpression: function (node) {
                 if (isQUnitStop(node.callee)) {
+                    const migration = utils.getStopStartMigration(
+                        node,
+                        context,
+                    );
+
                     context.report({
                         node: node,
                         messageId: "noQUnitStop",
+                        fix:
+                            migration && !migration.isAmbiguous
+                                ? migration.fix
+                                : null,
+                        suggest:
+                            migration && migration.isAmbiguous
+                                ? [
+                                      {
+                                          messageId: "migrateToAssertAsync",
+                                          fix: migration.fix,
+                                      },
+                                  ]
+                                : [],
                     });
                 }
             },
@@ -6,6 +6,12 @@
  */
 "use strict";
 
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const utils = require("../utils");
+
 //------------------------------------------------------------------------------
 // Rule Definition
 //------------------------------------------------------------------------------
@@ -17,6 +23,7 @@ module.exports = {
         docs: {
             description: "disallow overwriting of QUnit logging callbacks",
             category: "Possible Errors",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-reassign-log-callbacks.md",
         },
         messages: {
@@ -40,21 +47,23 @@ module.exports = {
         // Public
         //--------------------------------------------------------------------------
 
-        /** @type {Record<string, (node: import('estree').Node) => void>} */
+        /** @type {Record<string, (node: import('estree').AssignmentExpression & { left: import('estree').MemberExpression }) => void>} */
         const visitors = {};
 
         for (const callbackName of LOG_CALLBACKS) {
             visitors[
-                `AssignmentExpression[left.object.name='QUnit'][left.property.name='${callbackName}']`
+                `AssignmentExpression[left.property.name='${callbackName}']`
             ] =
                 /**
-                 * @param {import('estree').Node} node
+                 * @param {import('estree').AssignmentExpression & { left: import('estree').MemberExpression }} node
                  */
                 function (node) {
-                    context.report({
-                        node: node,
-                        messageId: "noReassignLogCallbacks",
-                    });
+                    if (utils.isQUnitNamespace(node.left.object, context)) {
+                        context.report({
+                            node: node,
+                            messageId: "noReassignLogCallbacks",
+                        });
+                    }
                 };
         }
 
@@ -19,6 +19,7 @@ module.exports = {
         docs: {
             description: "disallow setup/teardown module hooks",
             category: "Possible Errors",
+            recommended: "legacy-migration",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-setup-teardown.md",
         },
         fixable: "code",
@@ -71,8 +72,8 @@ module.exports = {
         return {
             Property: function (node) {
                 if (
-                    utils.isModuleHookPropertyKey(node.key) &&
-                    utils.isInModule(node)
+                    utils.isModuleHookPropertyKey(node.key, context) &&
+                    utils.isInModule(node, context)
                 ) {
                     checkModuleHook(node);
                 }
@@ -21,7 +21,7 @@ module.exports = {
         docs: {
             description: "disallow QUnit.skip",
             category: "Best Practices",
-            recommended: false,
+            recommended: "strict",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-skip.md",
         },
         messages: {
@@ -33,7 +33,7 @@ module.exports = {
     create: function (context) {
         return {
             CallExpression: function (node) {
-                if (utils.isSkip(node.callee)) {
+                if (utils.isSkip(node.callee, context)) {
                     context.report({
                         node: node,
                         messageId: "noQUnitSkip",
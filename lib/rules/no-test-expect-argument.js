@@ -21,8 +21,10 @@ module.exports = {
         docs: {
             description: "disallow the expect argument in QUnit.test",
             category: "Possible Errors",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-test-expect-argument.md",
         },
+        fixable: "code",
         messages: {
             noExpectArgument: "Do not use expect argument in {{callee}}().",
         },
@@ -33,15 +35,97 @@ module.exports = {
         /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
         const sourceCode = context.sourceCode ?? context.getSourceCode();
 
+        /**
+         * @param {import('estree').Node} callback
+         * @returns {boolean}
+         */
+        function callsExpect(callback) {
+            return sourceCode
+                .getTokens(callback)
+                .some(
+                    (token) =>
+                        token.type === "Identifier" && token.value === "expect",
+                );
+        }
+
+        /**
+         * Moves the expect argument into an `assert.expect()` call at the start
+         * of the test callback, as the "always" mode of `require-expect`
+         * expects. Returns null if the callback already calls `expect()`, has
+         * no block body, or the assert context cannot be resolved.
+         * @param {import('estree').CallExpression} node
+         * @returns {import('eslint').Rule.ReportFixer | null}
+         */
+        function getFix(node) {
+            const [titleArg, expectArg, callback] = node.arguments;
+
+            if (
+                node.arguments.length !== 3 ||
+                (callback.type !== "FunctionExpression" &&
+                    callback.type !== "ArrowFunctionExpression") ||
+                callback.body.type !== "BlockStatement" ||
+                callsExpect(callback) ||
+                sourceCode.commentsExistBetween(titleArg, callback)
+            ) {
+                return null;
+            }
+
+            const body = callback.body;
+            const assertContext = utils.resolveAssertContext(
+                body,
+                callback,
+                context,
+            );
+            if (!assertContext) {
+                return null;
+            }
+
+            const { assertVar, needsAssertParam } = assertContext;
+            const expectCall = `${assertVar}.expect(${sourceCode.getText(expectArg)});`;
+
+            return function (fixer) {
+                const fixes = [
+                    fixer.removeRange([
+                        /** @type {[number, number]} */ (titleArg.range)[1],
+                        /** @type {[number, number]} */ (expectArg.range)[1],
+                    ]),
+                    utils.insertAtStartOfBlock(
+                        fixer,
+                        body,
+                        expectCall,
+                        sourceCode,
+                    ),
+                ];
+
+                if (needsAssertParam) {
+                    fixes.push(
+                        utils.addAssertParam(
+                            fixer,
+                            callback,
+                            sourceCode,
+                            assertVar,
+                        ),
+                    );
+                }
+
+                return fixes;
+            };
+        }
+
         return {
             CallExpression: function (node) {
-                if (utils.isTest(node.callee) && node.arguments.length > 2) {
+                if (
+                    utils.isTest(node.callee, context) &&
+                    !utils.isEachTest(node.callee, context) &&
+                    node.arguments.length > 2
+                ) {
                     context.report({
                         node: node,
                         messageId: "noExpectArgument",
                         data: {
                             callee: sourceCode.getText(node.callee),
                         },
+                        fix: getFix(node),
                     });
                 }
             },
@@ -58,6 +58,7 @@ module.exports = {
             description:
                 "disallow assert.throws() with block, string, and message args",
             category: "Possible errors",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-throws-string.md",
         },
         messages: {
@@ -99,7 +100,7 @@ module.exports = {
 
         return {
             CallExpression: function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     testStack.push({
                         assertVar: utils.getAssertContextNameForTest(
                             node.arguments,
@@ -114,7 +115,7 @@ module.exports = {
             },
 
             "CallExpression:exit": function (node) {
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     testStack.pop();
                 }
             },
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Forbid the use of QUnit.todo
+ * @author agent
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const utils = require("../utils");
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+// Matches GitHub-style (#123), Jira-style (ABC-123) and URL issue references.
+const DEFAULT_ISSUE_PATTERN = String.raw`#\d+|\b[A-Z][A-Z0-9]+-\d+\b|https?://\S+`;
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+    meta: {
+        type: "suggestion",
+        docs: {
+            description: "disallow QUnit.todo",
+            category: "Best Practices",
+            recommended: false,
+            url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-todo.md",
+        },
+        messages: {
+            noQUnitTodo: "Unexpected todo() call.",
+            noQUnitTodoWithoutIssue:
+                "Unexpected todo() call without an issue reference.",
+        },
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    allowWithIssueReference: {
+                        type: "boolean",
+                        description:
+                            "Whether to allow todos that reference an issue in their name or in a preceding comment.",
+                        default: false,
+                    },
+                    issuePattern: {
+                        type: "string",
+                        description:
+                            "Regular expression that matches an issue reference.",
+                        default: DEFAULT_ISSUE_PATTERN,
+                    },
+                },
+                additionalProperties: false,
+            },
+        ],
+    },
+
+    create: function (context) {
+        const options = context.options[0] || {},
+            allowWithIssueReference = !!options.allowWithIssueReference,
+            issueRegExp = new RegExp(
+                options.issuePattern || DEFAULT_ISSUE_PATTERN,
+                "u",
+            ),
+            /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
+            sourceCode = context.sourceCode ?? context.getSourceCode();
+
+        /**
+         * @param {import('estree').CallExpression & import('eslint').Rule.NodeParentExtension} node
+         * @returns {boolean}
+         */
+        function hasIssueReference(node) {
+            const title = utils.getStaticTitle(node.arguments[0], context);
+            if (title !== null && issueRegExp.test(title)) {
+                return true;
+            }
+
+            const commentTarget =
+                node.parent.type === "ExpressionStatement" ? node.parent : node;
+
+            return sourceCode
+                .getCommentsBefore(commentTarget)
+                .some((comment) => issueRegExp.test(comment.value));
+        }
+
+        return {
+            CallExpression: function (node) {
+                if (!utils.isTodo(node.callee, context)) {
+                    return;
+                }
+
+                if (!allowWithIssueReference) {
+                    context.report({
+                        node: node,
+                        messageId: "noQUnitTodo",
+                    });
+                } else if (!hasIssueReference(node)) {
+                    context.report({
+                        node: node,
+                        messageId: "noQUnitTodoWithoutIssue",
+                    });
+                }
+            },
+        };
+    },
+};
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Require assert.rejects() calls to be awaited or returned.
+ * @author agent
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const utils = require("../utils");
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+    meta: {
+        type: "problem",
+        docs: {
+            description:
+                "require that assert.rejects() calls are awaited or returned",
+            category: "Possible Errors",
+            recommended: false,
+            url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/no-unawaited-rejects.md",
+        },
+        fixable: "code",
+        messages: {
+            unawaitedRejects:
+                "{{assertVar}}.rejects() must be awaited or returned.",
+        },
+        schema: [],
+    },
+
+    create: function (context) {
+        const testStack = utils.createTestStack(context, {
+            includeHooks: true,
+            createState: (testCallback) => testCallback,
+        });
+
+        /**
+         * @param {import('estree').Node} calleeNode
+         * @returns {boolean}
+         */
+        function isRejectsCall(calleeNode) {
+            const assertVar = testStack.current()?.assertVar;
+
+            return !!(
+                assertVar &&
+                calleeNode.type === "MemberExpression" &&
+                calleeNode.object.type === "Identifier" &&
+                calleeNode.object.name === assertVar &&
+                calleeNode.property.type === "Identifier" &&
+                calleeNode.property.name === "rejects"
+            );
+        }
+
+        /**
+         * Adding `await` only makes the test wait for the rejection if the
+         * call is directly in the async test or hook callback, rather than in
+         * a nested function.
+         * @param {import('eslint').Rule.Node} node
+         * @param {import('../utils').TestCallback} testCallback
+         * @returns {import('eslint').Rule.ReportFixer | null}
+         */
+        function getFix(node, { callback }) {
+            return callback &&
+                utils.getEnclosingFunction(node) === callback &&
+                callback.async
+                ? (fixer) => fixer.insertTextBefore(node, "await ")
+                : null;
+        }
+
+        return {
+            CallExpression: function (node) {
+                const testCallback = testStack.current();
+
+                if (testStack.enter(node)) {
+                    return;
+                }
+                if (
+                    testCallback &&
+                    isRejectsCall(node.callee) &&
+                    node.parent.type === "ExpressionStatement"
+                ) {
+                    context.report({
+                        node: node,
+                        messageId: "unawaitedRejects",
+                        data: {
+                            assertVar: String(testCallback.assertVar),
+                        },
+                        fix: getFix(node, testCallback),
+                    });
+                }
+            },
+
+            "CallExpression:exit": testStack.exit,
+
+            Property: testStack.enter,
+
+            "Property:exit": testStack.exit,
+        };
+    },
+};
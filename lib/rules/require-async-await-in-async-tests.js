@@ -0,0 +1,284 @@
+/**
+ * @fileoverview Require async test callbacks and hooks to await something.
+ * @author agent
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const utils = require("../utils");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * Checks whether a type (or any member of a union type) has a callable `then`
+ * property.
+ * @param {import('typescript').Type} type
+ * @param {import('typescript').TypeChecker} checker
+ * @param {import('typescript').Node} tsNode
+ * @returns {boolean}
+ */
+function isThenableType(type, checker, tsNode) {
+    if (type.isUnion()) {
+        return type.types.some((member) =>
+            isThenableType(member, checker, tsNode),
+        );
+    }
+
+    const thenProperty = type.getProperty("then");
+
+    return (
+        !!thenProperty &&
+        checker
+            .getTypeOfSymbolAtLocation(thenProperty, tsNode)
+            .getCallSignatures().length > 0
+    );
+}
+
+/**
+ * Checks whether an expression could evaluate to a promise without type
+ * information: a call, `new`, identifier or member expression, or a
+ * conditional or logical expression made of those. Assertion calls are
+ * excluded, since they do not return promises.
+ * @param {import('estree').Node} node
+ * @param {string | null} assertVar
+ * @returns {boolean}
+ */
+function mayBePromise(node, assertVar) {
+    switch (node.type) {
+        case "CallExpression": {
+            return !utils.isAssertion(node.callee, assertVar);
+        }
+        case "NewExpression":
+        case "Identifier":
+        case "MemberExpression":
+        case "ChainExpression": {
+            return true;
+        }
+        case "ConditionalExpression": {
+            return (
+                mayBePromise(node.consequent, assertVar) ||
+                mayBePromise(node.alternate, assertVar)
+            );
+        }
+        case "LogicalExpression": {
+            return (
+                mayBePromise(node.left, assertVar) ||
+                mayBePromise(node.right, assertVar)
+            );
+        }
+        default: {
+            return false;
+        }
+    }
+}
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+/** @typedef {{
+ *   callback: import('estree').FunctionExpression | import('estree').ArrowFunctionExpression | null,
+ *   kind: string,
+ *   assertContextVar: string | null,
+ *   isAwaited: boolean,
+ * }} AsyncTestState */
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+    meta: {
+        type: "problem",
+        docs: {
+            description:
+                "require async test callbacks and hooks to await something",
+            category: "Possible Errors",
+            recommended: false,
+            url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/require-async-await-in-async-tests.md",
+        },
+        messages: {
+            missingAwait:
+                "Async {{kind}} callback never awaits or returns a promise.",
+            unawaitedThenable:
+                "The result of this call is a thenable that is never awaited.",
+        },
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    checkThenables: {
+                        type: "boolean",
+                        description:
+                            "Whether to report calls whose result is a thenable but is not awaited. Requires type information.",
+                        default: false,
+                    },
+                },
+                additionalProperties: false,
+            },
+        ],
+    },
+
+    create: function (context) {
+        // The callback of each state is null unless it is async.
+        const testStack = utils.createTestStack(context, {
+            includeHooks: true,
+            createState: ({ callback, assertVar, hookName }) =>
+                /** @type {AsyncTestState} */ ({
+                    callback: callback?.async ? callback : null,
+                    kind: hookName === null ? "test" : "hook",
+                    assertContextVar: assertVar,
+                    // Arrow functions with an expression body return it.
+                    isAwaited: callback?.body.type !== "BlockStatement",
+                }),
+        });
+        /** @type {Array<import('estree').Node>} */
+        const functionStack = [];
+
+        const typeInformation = context.options[0]?.checkThenables
+            ? utils.getTypeInformation(context)
+            : null;
+
+        /**
+         * @param {import('estree').Node} node
+         */
+        function popTestState(node) {
+            const testState = testStack.exit(node);
+
+            if (testState?.callback && !testState.isAwaited) {
+                context.report({
+                    node: testState.callback,
+                    messageId: "missingAwait",
+                    data: { kind: testState.kind },
+                });
+            }
+        }
+
+        /**
+         * @returns {AsyncTestState | null} The current test state, if the
+         *     current function is the test callback itself.
+         */
+        function getTestStateOfCurrentFunction() {
+            const testState = testStack.current();
+
+            return testState &&
+                functionStack[functionStack.length - 1] === testState.callback
+                ? testState
+                : null;
+        }
+
+        /**
+         * @param {import('estree').CallExpression} node
+         * @returns {boolean}
+         */
+        function isRejectsCall(node) {
+            const testState = testStack.current();
+
+            return (
+                !!testState &&
+                node.callee.type === "MemberExpression" &&
+                node.callee.object.type === "Identifier" &&
+                node.callee.object.name === testState.assertContextVar &&
+                node.callee.property.type === "Identifier" &&
+                node.callee.property.name === "rejects"
+            );
+        }
+
+        /**
+         * @param {import('estree').Node} node
+         * @param {import('../utils').TypeInformation} typeInfo
+         * @returns {boolean}
+         */
+        function isThenable(node, typeInfo) {
+            const tsNode = typeInfo.getTSNode(node);
+
+            return isThenableType(
+                typeInfo.checker.getTypeAtLocation(tsNode),
+                typeInfo.checker,
+                tsNode,
+            );
+        }
+
+        /**
+         * @param {import('estree').Node} node
+         */
+        function pushFunction(node) {
+            functionStack.push(node);
+        }
+
+        function popFunction() {
+            functionStack.pop();
+        }
+
+        /**
+         * Marks the current test as awaited if the node is directly in its
+         * callback rather than in a nested function.
+         */
+        function markAwaited() {
+            const testState = getTestStateOfCurrentFunction();
+
+            if (testState) {
+                testState.isAwaited = true;
+            }
+        }
+
+        return {
+            CallExpression: function (node) {
+                if (testStack.enter(node)) {
+                    return;
+                }
+                if (isRejectsCall(node)) {
+                    markAwaited();
+                } else if (
+                    typeInformation &&
+                    node.parent.type === "ExpressionStatement" &&
+                    getTestStateOfCurrentFunction() &&
+                    isThenable(node, typeInformation)
+                ) {
+                    context.report({
+                        node: node,
+                        messageId: "unawaitedThenable",
+                    });
+                }
+            },
+
+            "CallExpression:exit": popTestState,
+
+            Property: testStack.enter,
+
+            "Property:exit": popTestState,
+
+            FunctionDeclaration: pushFunction,
+            FunctionExpression: pushFunction,
+            ArrowFunctionExpression: pushFunction,
+            "FunctionDeclaration:exit": popFunction,
+            "FunctionExpression:exit": popFunction,
+            "ArrowFunctionExpression:exit": popFunction,
+
+            AwaitExpression: markAwaited,
+
+            "ForOfStatement[await=true]": markAwaited,
+
+            /**
+             * @param {import('estree').ReturnStatement & { argument: import('estree').Expression }} node
+             */
+            "ReturnStatement[argument]": function (node) {
+                const testState = getTestStateOfCurrentFunction();
+
+                if (
+                    testState &&
+                    (typeInformation
+                        ? isThenable(node.argument, typeInformation)
+                        : mayBePromise(
+                              node.argument,
+                              testState.assertContextVar,
+                          ))
+                ) {
+                    testState.isAwaited = true;
+                }
+            },
+        };
+    },
+};
@@ -18,6 +18,7 @@ module.exports = {
         docs: {
             description: "enforce that `expect` is called",
             category: "Best Practices",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/require-expect.md",
         },
         messages: {
@@ -200,7 +201,7 @@ module.exports = {
                         });
                         currentTest.didReport = true;
                     }
-                } else if (utils.isTest(node.callee)) {
+                } else if (utils.isTest(node.callee, context)) {
                     captureTestContext(node);
                 }
             },
@@ -212,7 +213,7 @@ module.exports = {
                 if (node.type !== "CallExpression") {
                     return;
                 }
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     releaseTestContext();
                 }
             },
@@ -242,7 +243,7 @@ module.exports = {
                 }
                 if (currentTest && isExpectCall(node.callee)) {
                     currentTest.isExpectUsed = true;
-                } else if (utils.isTest(node.callee)) {
+                } else if (utils.isTest(node.callee, context)) {
                     captureTestContext(node);
                 }
             },
@@ -257,7 +258,7 @@ module.exports = {
                 if (!currentTest) {
                     return;
                 }
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     if (!currentTest.isExpectUsed) {
                         context.report({
                             node: currentTest.node,
@@ -281,7 +282,7 @@ module.exports = {
                 }
                 if (currentTest && isExpectCall(node.callee)) {
                     currentTest.isExpectUsed = true;
-                } else if (utils.isTest(node.callee)) {
+                } else if (utils.isTest(node.callee, context)) {
                     captureTestContext(node);
                 }
             },
@@ -296,7 +297,7 @@ module.exports = {
                 if (!currentTest) {
                     return;
                 }
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     if (currentTest.isExpectUsed) {
                         context.report({
                             node: currentTest.node,
@@ -319,7 +320,7 @@ module.exports = {
                 }
                 if (currentTest && isNonZeroExpectCall(node)) {
                     currentTest.isNonZeroExpectUsed = true;
-                } else if (utils.isTest(node.callee)) {
+                } else if (utils.isTest(node.callee, context)) {
                     captureTestContext(node);
                 }
             },
@@ -334,7 +335,7 @@ module.exports = {
                 if (!currentTest) {
                     return;
                 }
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     if (currentTest.isNonZeroExpectUsed) {
                         context.report({
                             node: currentTest.node,
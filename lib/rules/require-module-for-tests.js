@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Require tests to be defined inside a module.
+ * @author agent
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const path = require("node:path");
+const utils = require("../utils");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * @param {import('estree').Node} node
+ * @returns {import('estree').Node | null}
+ */
+function getParent(node) {
+    return /** @type {import('eslint').Rule.Node} */ (node).parent ?? null;
+}
+
+/**
+ * Checks whether a node is inside a function. Tests and modules in functions
+ * are not checked, since the function may be called from inside a module,
+ * and module callbacks contain their tests.
+ * @param {import('estree').Node} node
+ * @returns {boolean}
+ */
+function isInFunction(node) {
+    for (
+        let ancestor = getParent(node);
+        ancestor;
+        ancestor = getParent(ancestor)
+    ) {
+        if (
+            ancestor.type === "FunctionExpression" ||
+            ancestor.type === "ArrowFunctionExpression" ||
+            ancestor.type === "FunctionDeclaration"
+        ) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+    meta: {
+        type: "suggestion",
+        docs: {
+            description: "require tests to be defined inside a module",
+            category: "Best Practices",
+            recommended: false,
+            url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/require-module-for-tests.md",
+        },
+        messages: {
+            missingModule:
+                "Test is not inside a module. Define a module with QUnit.module() before it.",
+            wrapInModule: "Wrap the tests of this file in module '{{name}}'.",
+        },
+        schema: [],
+        hasSuggestions: true,
+    },
+
+    create: function (context) {
+        /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
+        const sourceCode = context.sourceCode ?? context.getSourceCode();
+        /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
+        const filename = context.filename ?? context.getFilename();
+
+        /** @type {import('estree').CallExpression[]} */
+        const testsOutsideModules = [];
+        /** @type {import('estree').CallExpression[]} */
+        const moduleCalls = [];
+        let hasFlatModule = false;
+
+        /**
+         * Returns the callee to use for the new module, based on how the test
+         * was called, e.g. `QUnit.module` for `QUnit.test()`. An imported or
+         * required test function is matched by the `module` function or the
+         * namespace bound from QUnit, and a global one by `QUnit.module`.
+         * @param {import('estree').Node} testCallee
+         * @returns {string | null} The callee, or null if QUnit is not bound
+         *     in a way that gives access to `module`.
+         */
+        function getModuleCalleeText(testCallee) {
+            if (testCallee.type === "MemberExpression") {
+                // QUnit.test() or QUnit.test.each()
+                let namespace = testCallee.object;
+                while (namespace.type === "MemberExpression") {
+                    namespace = namespace.object;
+                }
+
+                return `${sourceCode.getText(namespace)}.module`;
+            }
+            if (
+                testCallee.type !== "Identifier" ||
+                utils.getQUnitImportName(testCallee, context) === null
+            ) {
+                return "QUnit.module";
+            }
+
+            const moduleName = utils.findQUnitImportBinding(
+                testCallee,
+                "module",
+                context,
+            );
+            if (moduleName) {
+                return moduleName;
+            }
+
+            const namespaceName = utils.findQUnitImportBinding(
+                testCallee,
+                "QUnit",
+                context,
+            );
+            return namespaceName ? `${namespaceName}.module` : null;
+        }
+
+        /**
+         * @param {import('estree').Node[]} statements
+         * @returns {boolean} Whether the variables declared by the statements
+         *     are only used in them.
+         */
+        function hasOnlyLocalDeclarations(statements) {
+            const start = /** @type {[number, number]} */ (
+                statements[0].range
+            )[0];
+            const end = /** @type {[number, number]} */ (
+                statements[statements.length - 1].range
+            )[1];
+
+            return statements.every((statement) =>
+                sourceCode.getDeclaredVariables(statement).every((variable) =>
+                    variable.references.every((reference) => {
+                        const [referenceStart, referenceEnd] =
+                            /** @type {[number, number]} */ (
+                                reference.identifier.range
+                            );
+
+                        return referenceStart >= start && referenceEnd <= end;
+                    }),
+                ),
+            );
+        }
+
+        /**
+         * Returns the top-level statements from the first to the last test
+         * outside of a module.
+         * @param {import('estree').Program} program
+         * @returns {import('estree').Node[] | null} The statements, or null
+         *     if any of the tests is not a top-level statement.
+         */
+        function getStatementsToWrap(program) {
+            const testStatements = testsOutsideModules.map((node) =>
+                getParent(node),
+            );
+            if (
+                testStatements.some(
+                    (statement) =>
+                        !statement ||
+                        statement.type !== "ExpressionStatement" ||
+                        getParent(statement) !== program,
+                )
+            ) {
+                return null;
+            }
+
+            const firstIndex = program.body.indexOf(
+                /** @type {import('estree').Statement} */ (testStatements[0]),
+            );
+            const lastIndex = program.body.indexOf(
+                /** @type {import('estree').Statement} */ (
+                    testStatements[testStatements.length - 1]
+                ),
+            );
+
+            return program.body.slice(firstIndex, lastIndex + 1);
+        }
+
+        /**
+         * Checks that wrapping the statements in a function does not change
+         * their meaning. The statements must not contain modules, since
+         * wrapping would change their names.
+         * @param {import('estree').Node[]} statements
+         * @returns {boolean}
+         */
+        function canWrap(statements) {
+            const start = /** @type {[number, number]} */ (
+                statements[0].range
+            )[0];
+            const end = /** @type {[number, number]} */ (
+                statements[statements.length - 1].range
+            )[1];
+
+            return (
+                !statements.some(
+                    (statement) =>
+                        statement.type === "ImportDeclaration" ||
+                        statement.type.startsWith("Export"),
+                ) &&
+                !moduleCalls.some(
+                    (node) =>
+                        /** @type {[number, number]} */ (node.range)[0] >
+                            start &&
+                        /** @type {[number, number]} */ (node.range)[1] < end,
+                ) &&
+                hasOnlyLocalDeclarations(statements) &&
+                // Re-indenting would change the contents of the template.
+                !(
+                    /** @type {import('eslint').AST.Token[]} */ (
+                        sourceCode.ast.tokens
+                    ).some(
+                        (token) =>
+                            token.type === "Template" &&
+                            token.range[0] > start &&
+                            token.range[1] < end &&
+                            token.loc.start.line !== token.loc.end.line,
+                    )
+                )
+            );
+        }
+
+        /**
+         * @returns {string} The indentation of the first test's body, or four
+         *     spaces if it has no indented statements.
+         */
+        function getIndentUnit() {
+            const [firstTest] = testsOutsideModules;
+            const callback = utils.getCallback(firstTest.arguments);
+            const firstStatement =
+                callback?.body.type === "BlockStatement"
+                    ? callback.body.body[0]
+                    : undefined;
+
+            return (
+                (firstStatement &&
+                    firstStatement.loc?.start.line !==
+                        firstTest.loc?.start.line &&
+                    utils.getIndentation(firstStatement, sourceCode)) ||
+                "    "
+            );
+        }
+
+        /**
+         * Builds a suggestion that wraps the tests outside of a module in a
+         * module named after the file.
+         * @param {import('estree').Program} program
+         * @returns {import('eslint').Rule.SuggestionReportDescriptor[]}
+         */
+        function getSuggestions(program) {
+            const statements = getStatementsToWrap(program);
+            const calleeText = getModuleCalleeText(
+                testsOutsideModules[0].callee,
+            );
+
+            if (!statements || !calleeText || !canWrap(statements)) {
+                return [];
+            }
+
+            const start = /** @type {[number, number]} */ (
+                statements[0].range
+            )[0];
+            const end = /** @type {[number, number]} */ (
+                statements[statements.length - 1].range
+            )[1];
+            const name = path.basename(filename, path.extname(filename));
+            const indentUnit = getIndentUnit();
+            const indentedText = sourceCode.text
+                .slice(start, end)
+                .split("\n")
+                .map((line) =>
+                    line.trim() === "" ? line : `${indentUnit}${line}`,
+                )
+                .join("\n");
+
+            return [
+                {
+                    messageId: "wrapInModule",
+                    data: { name },
+                    fix: (fixer) =>
+                        fixer.replaceTextRange(
+                            [start, end],
+                            `${calleeText}(${JSON.stringify(name)}, function () {\n${indentedText}\n});`,
+                        ),
+                },
+            ];
+        }
+
+        return {
+            CallExpression: function (node) {
+                if (utils.isModuleOrVariant(node.callee, context)) {
+                    moduleCalls.push(node);
+
+                    if (
+                        !utils.getCallback(node.arguments) &&
+                        !isInFunction(node)
+                    ) {
+                        hasFlatModule = true;
+                    }
+                } else if (
+                    (utils.isTest(node.callee, context) ||
+                        utils.isSkip(node.callee, context)) &&
+                    !hasFlatModule &&
+                    !isInFunction(node)
+                ) {
+                    testsOutsideModules.push(node);
+                }
+            },
+
+            "Program:exit": function (node) {
+                if (testsOutsideModules.length === 0) {
+                    return;
+                }
+
+                const suggestions = getSuggestions(node);
+
+                for (const testNode of testsOutsideModules) {
+                    context.report({
+                        node: testNode,
+                        messageId: "missingModule",
+                        suggest: suggestions,
+                    });
+                }
+            },
+        };
+    },
+};
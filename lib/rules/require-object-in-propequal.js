@@ -23,6 +23,7 @@ module.exports = {
             description:
                 "enforce use of objects as expected value in `assert.propEqual`",
             category: "Possible Errors",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/require-object-in-propequal.md",
         },
         messages: {
@@ -118,8 +119,8 @@ module.exports = {
         return {
             CallExpression: function (node) {
                 if (
-                    utils.isTest(node.callee) ||
-                    utils.isAsyncTest(node.callee)
+                    utils.isTest(node.callee, context) ||
+                    utils.isAsyncTest(node.callee, context)
                 ) {
                     testStack.push({
                         assertVar: utils.getAssertContextNameForTest(
@@ -143,8 +144,8 @@ module.exports = {
 
             "CallExpression:exit": function (node) {
                 if (
-                    utils.isTest(node.callee) ||
-                    utils.isAsyncTest(node.callee)
+                    utils.isTest(node.callee, context) ||
+                    utils.isAsyncTest(node.callee, context)
                 ) {
                     testStack.pop();
                 }
@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Require that steps recorded with assert.step() are verified.
+ * @author agent
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const utils = require("../utils");
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+// Steps recorded in these hooks can still be verified by the test itself.
+const HOOKS_BEFORE_TEST = new Set(["before", "beforeEach", "setup"]);
+
+/** @typedef {{
+ *   assertContextVar: string | null,
+ *   callback: import('estree').Node | undefined,
+ *   hasVerifySteps: boolean,
+ *   pendingSteps: Array<import('estree').CallExpression>,
+ *   allowsPendingSteps: boolean,
+ * }} StepState */
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+    meta: {
+        type: "problem",
+        docs: {
+            description:
+                "require that steps recorded with assert.step() are verified with assert.verifySteps()",
+            category: "Possible Errors",
+            recommended: false,
+            url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/require-verify-steps.md",
+        },
+        messages: {
+            missingVerifySteps:
+                "Steps recorded with {{assertVar}}.step() are never verified with {{assertVar}}.verifySteps().",
+            stepsAfterVerifySteps:
+                "Steps recorded after the last {{assertVar}}.verifySteps() call are never verified.",
+            addVerifySteps: "Add {{assertVar}}.verifySteps() for {{steps}}.",
+        },
+        schema: [],
+        hasSuggestions: true,
+    },
+
+    create: function (context) {
+        const stepStateStack = utils.createTestStack(context, {
+            includeHooks: true,
+            createState: ({ callback, assertVar, hookName }) =>
+                /** @type {StepState} */ ({
+                    assertContextVar: assertVar,
+                    callback,
+                    hasVerifySteps: false,
+                    pendingSteps: [],
+                    allowsPendingSteps:
+                        hookName !== null && HOOKS_BEFORE_TEST.has(hookName),
+                }),
+        });
+
+        /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
+        const sourceCode = context.sourceCode ?? context.getSourceCode();
+
+        /**
+         * @param {import('estree').Node} calleeNode
+         * @returns {string | null}
+         */
+        function getStepMethodName(calleeNode) {
+            const stepState = stepStateStack.current();
+
+            if (
+                stepState &&
+                stepState.assertContextVar &&
+                calleeNode.type === "MemberExpression" &&
+                calleeNode.object.type === "Identifier" &&
+                calleeNode.object.name === stepState.assertContextVar &&
+                calleeNode.property.type === "Identifier" &&
+                ["step", "verifySteps"].includes(calleeNode.property.name)
+            ) {
+                return calleeNode.property.name;
+            }
+
+            return null;
+        }
+
+        /**
+         * @param {import('estree').Node} node
+         * @returns {number}
+         */
+        function getStartLine(node) {
+            return /** @type {import('estree').SourceLocation} */ (node.loc)
+                .start.line;
+        }
+
+        /**
+         * @param {import('estree').Node | undefined} stepArg
+         * @returns {boolean}
+         */
+        function isStaticStepName(stepArg) {
+            return (
+                !!stepArg &&
+                ((stepArg.type === "Literal" &&
+                    typeof stepArg.value === "string") ||
+                    (stepArg.type === "TemplateLiteral" &&
+                        stepArg.expressions.length === 0))
+            );
+        }
+
+        /**
+         * @param {import('estree').CallExpression} callNode
+         * @param {import('estree').Node} block
+         * @returns {boolean}
+         */
+        function isTopLevelStatement(callNode, block) {
+            const statement = /** @type {import('eslint').Rule.Node} */ (
+                callNode
+            ).parent;
+
+            return (
+                statement?.type === "ExpressionStatement" &&
+                statement.parent === block
+            );
+        }
+
+        /**
+         * Builds a suggestion that inserts a verifySteps() call at the end of
+         * the callback, if all unverified steps are static and are top-level
+         * statements of the callback body, so that they are always recorded.
+         * @param {StepState} stepState
+         * @returns {import('eslint').Rule.SuggestionReportDescriptor[]}
+         */
+        function getSuggestions(stepState) {
+            const callback = stepState.callback;
+
+            if (
+                !callback ||
+                (callback.type !== "FunctionExpression" &&
+                    callback.type !== "ArrowFunctionExpression") ||
+                callback.body.type !== "BlockStatement" ||
+                stepState.pendingSteps.some(
+                    (stepNode) =>
+                        !isTopLevelStatement(stepNode, callback.body) ||
+                        !isStaticStepName(stepNode.arguments[0]),
+                )
+            ) {
+                return [];
+            }
+
+            const statements = callback.body.body;
+            const lastStatement = statements[statements.length - 1];
+            const steps = stepState.pendingSteps
+                .map((stepNode) => sourceCode.getText(stepNode.arguments[0]))
+                .join(", ");
+            const verifyStepsCall = `${stepState.assertContextVar}.verifySteps([${steps}]);`;
+
+            return [
+                {
+                    messageId: "addVerifySteps",
+                    data: {
+                        assertVar: String(stepState.assertContextVar),
+                        steps: `[${steps}]`,
+                    },
+                    fix: function (fixer) {
+                        const bodyLine = getStartLine(callback.body);
+                        const separator =
+                            getStartLine(lastStatement) === bodyLine
+                                ? " "
+                                : `\n${utils.getIndentation(lastStatement, sourceCode)}`;
+
+                        if (lastStatement.type === "ReturnStatement") {
+                            return fixer.insertTextBefore(
+                                lastStatement,
+                                `${verifyStepsCall}${separator}`,
+                            );
+                        }
+
+                        return fixer.insertTextAfter(
+                            lastStatement,
+                            `${separator}${verifyStepsCall}`,
+                        );
+                    },
+                },
+            ];
+        }
+
+        /**
+         * @param {import('estree').Node} node
+         */
+        function popStepState(node) {
+            const stepState = stepStateStack.exit(node);
+
+            if (
+                !stepState ||
+                stepState.allowsPendingSteps ||
+                stepState.pendingSteps.length === 0
+            ) {
+                return;
+            }
+
+            context.report({
+                node,
+                messageId: stepState.hasVerifySteps
+                    ? "stepsAfterVerifySteps"
+                    : "missingVerifySteps",
+                data: {
+                    assertVar: String(stepState.assertContextVar),
+                },
+                suggest: getSuggestions(stepState),
+            });
+        }
+
+        return {
+            CallExpression: function (node) {
+                if (stepStateStack.enter(node)) {
+                    return;
+                }
+
+                const methodName = getStepMethodName(node.callee);
+                const stepState = /** @type {StepState} */ (
+                    stepStateStack.current()
+                );
+
+                if (methodName === "step") {
+                    stepState.pendingSteps.push(node);
+                } else if (methodName === "verifySteps") {
+                    stepState.hasVerifySteps = true;
+                    stepState.pendingSteps = [];
+                }
+            },
+
+            "CallExpression:exit": popStepState,
+
+            Property: stepStateStack.enter,
+
+            "Property:exit": popStepState,
+        };
+    },
+};
@@ -23,6 +23,7 @@ module.exports = {
         docs: {
             description: "require that async calls are resolved",
             category: "Possible Errors",
+            recommended: "recommended",
             url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/resolve-async.md",
         },
         messages: {
@@ -162,30 +163,40 @@ module.exports = {
                 const callbackVar = getAsyncCallbackVarOrNull(node.callee);
                 let delta;
 
-                if (utils.isTest(node.callee)) {
+                if (utils.isTest(node.callee, context)) {
                     const assertContextVar = utils.getAssertContextNameForTest(
                         node.arguments,
                     );
+                    const isAsyncTest = utils.isAsyncTest(node.callee, context);
                     asyncStateStack.push({
-                        stopSemaphoreCount: utils.isAsyncTest(node.callee)
-                            ? 1
-                            : 0,
+                        stopSemaphoreCount: isAsyncTest ? 1 : 0,
                         asyncCallbackVars: {},
                         assertContextVar: assertContextVar,
                     });
+                } else if (utils.isGlobalHook(node.callee, context)) {
+                    asyncStateStack.push({
+                        stopSemaphoreCount: 0,
+                        asyncCallbackVars: {},
+                        assertContextVar: utils.getAssertContextNameForTest(
+                            node.arguments,
+                        ),
+                    });
                 } else if (callbackVar) {
                     markAsyncCallbackVarCalled(callbackVar);
-                } else if (utils.isStop(node.callee)) {
+                } else if (utils.isStop(node.callee, context)) {
                     delta = node.arguments.length > 0 ? +node.arguments[0] : 1;
                     incrementSemaphoreCount(delta);
-                } else if (utils.isStart(node.callee)) {
+                } else if (utils.isStart(node.callee, context)) {
                     delta = node.arguments.length > 0 ? +node.arguments[0] : 1;
                     incrementSemaphoreCount(-delta);
                 }
             },
 
             "CallExpression:exit": function (node) {
-                if (utils.isTest(node.callee)) {
+                if (
+                    utils.isTest(node.callee, context) ||
+                    utils.isGlobalHook(node.callee, context)
+                ) {
                     const asyncState = asyncStateStack.pop();
                     if (!asyncState) {
                         return;
@@ -196,8 +207,8 @@ module.exports = {
 
             Property: function (node) {
                 if (
-                    utils.isModuleHookPropertyKey(node.key) &&
-                    utils.isInModule(node)
+                    utils.isModuleHookPropertyKey(node.key, context) &&
+                    utils.isInModule(node, context)
                 ) {
                     asyncStateStack.push({
                         stopSemaphoreCount: 0,
@@ -211,8 +222,8 @@ module.exports = {
 
             "Property:exit": function (node) {
                 if (
-                    utils.isModuleHookPropertyKey(node.key) &&
-                    utils.isInModule(node)
+                    utils.isModuleHookPropertyKey(node.key, context) &&
+                    utils.isInModule(node, context)
                 ) {
                     const asyncState = asyncStateStack.pop();
                     if (!asyncState) {
@@ -0,0 +1,357 @@
+/**
+ * @fileoverview Enforce a format for test and module titles.
+ * @author agent
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const utils = require("../utils");
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+// A single trailing period, but not an ellipsis.
+const TRAILING_PERIOD_REGEXP = /(?<!\.)\.$/u;
+
+// A final word that contains a period before its trailing one, e.g. "e.g.".
+const TRAILING_ABBREVIATION_REGEXP = /\.\S*\.$/u;
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replaceAll(/[$()*+.?[\\\]^{|}]/gu, String.raw`\$&`);
+}
+
+/**
+ * @param {string} character
+ * @returns {boolean}
+ */
+function isCasedLetter(character) {
+    return character.toLowerCase() !== character.toUpperCase();
+}
+
+/**
+ * @param {string} character
+ * @returns {boolean}
+ */
+function isUpperCase(character) {
+    return isCasedLetter(character) && character === character.toUpperCase();
+}
+
+/**
+ * @param {string} pattern
+ * @param {string} optionName
+ * @returns {RegExp}
+ */
+function createPattern(pattern, optionName) {
+    try {
+        return new RegExp(pattern, "u");
+    } catch (error) {
+        throw new SyntaxError(
+            `Invalid regular expression in the ${optionName} option: ${/** @type {Error} */ (error).message}`,
+        );
+    }
+}
+
+/**
+ * Checks whether a title contains the words of a module title, e.g.
+ * "renders the list" contains "list" but not "is".
+ * @param {string} title
+ * @param {string} moduleTitle
+ * @returns {boolean}
+ */
+function containsWords(title, moduleTitle) {
+    return new RegExp(
+        String.raw`(?<![\p{L}\p{N}_])${escapeRegExp(moduleTitle)}(?![\p{L}\p{N}_])`,
+        "iu",
+    ).test(title);
+}
+
+/**
+ * @param {import('estree').Node} titleNode
+ * @returns {boolean} Whether the title is written in the source, so that it
+ *     can be fixed in place.
+ */
+function isStringNode(titleNode) {
+    return titleNode.type === "Literal" || titleNode.type === "TemplateLiteral";
+}
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+    meta: {
+        type: "suggestion",
+        docs: {
+            description: "enforce a format for test and module titles",
+            category: "Stylistic Issues",
+            recommended: false,
+            url: "https://github.com/platinumazure/eslint-plugin-qunit/blob/main/docs/rules/test-title-format.md",
+        },
+        fixable: "code",
+        messages: {
+            wrongFirstLetter:
+                "Title should start with a {{firstLetter}} letter.",
+            trailingPeriod: "Title should not end with a period.",
+            patternMismatch: "Title should match /{{pattern}}/u.",
+            moduleNameRepetition:
+                "Title should not repeat the name of module '{{name}}'.",
+        },
+        schema: [
+            {
+                type: "object",
+                properties: {
+                    firstLetter: {
+                        type: "string",
+                        enum: ["lowercase", "uppercase"],
+                        description:
+                            "The case of the first letter of titles. Not checked if this is not set.",
+                    },
+                    noTrailingPeriod: {
+                        type: "boolean",
+                        description:
+                            "Whether to disallow titles that end with a period.",
+                        default: true,
+                    },
+                    noModuleNameRepetition: {
+                        type: "boolean",
+                        description:
+                            "Whether to disallow test and module titles that contain the title of their enclosing module.",
+                        default: false,
+                    },
+                    modulePatterns: {
+                        type: "array",
+                        items: { type: "string" },
+                        description:
+                            "Regular expressions that module titles must match, one per nesting level starting with top-level modules. Levels without a pattern are not checked.",
+                    },
+                    testPattern: {
+                        type: "string",
+                        description:
+                            "Regular expression that test titles must match.",
+                    },
+                },
+                additionalProperties: false,
+            },
+        ],
+    },
+
+    create: function (context) {
+        const options = context.options[0] || {},
+            /** @type {"lowercase" | "uppercase" | undefined} */
+            firstLetter = options.firstLetter,
+            noTrailingPeriod = options.noTrailingPeriod ?? true,
+            noModuleNameRepetition = !!options.noModuleNameRepetition,
+            modulePatterns = /** @type {string[]} */ (
+                options.modulePatterns ?? []
+            ).map((pattern) => createPattern(pattern, "modulePatterns")),
+            testPattern = options.testPattern
+                ? createPattern(options.testPattern, "testPattern")
+                : null,
+            /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
+            sourceCode = context.sourceCode ?? context.getSourceCode();
+
+        // Titles of the modules with a callback, in case of nested modules.
+        /** @type {Array<string | null>} */
+        const moduleTitleStack = [];
+        /** @type {string | null} */
+        let flatModuleTitle = null;
+
+        //----------------------------------------------------------------------
+        // Helper functions
+        //----------------------------------------------------------------------
+
+        /**
+         * @returns {string | null} The title of the innermost module with a
+         *     callback, if any.
+         */
+        function getParentModuleTitle() {
+            return moduleTitleStack.length > 0
+                ? moduleTitleStack[moduleTitleStack.length - 1]
+                : null;
+        }
+
+        /**
+         * Returns a fix that replaces the first character of a title, unless
+         * it is an escape sequence in the source.
+         * @param {import('estree').Node} titleNode
+         * @param {string} title
+         * @param {string} replacement
+         * @returns {import('eslint').Rule.ReportFixer | null}
+         */
+        function getFirstCharacterFix(titleNode, title, replacement) {
+            const [start] = /** @type {[number, number]} */ (titleNode.range);
+
+            return isStringNode(titleNode) &&
+                sourceCode.text[start + 1] === title[0]
+                ? (fixer) =>
+                      fixer.replaceTextRange(
+                          [start + 1, start + 2],
+                          replacement,
+                      )
+                : null;
+        }
+
+        /**
+         * @param {import('estree').Node} titleNode
+         * @param {string} title
+         */
+        function checkFirstLetter(titleNode, title) {
+            const [first, second = ""] = title;
+            if (!firstLetter || !first || !isCasedLetter(first)) {
+                return;
+            }
+
+            const expected =
+                firstLetter === "lowercase"
+                    ? first.toLowerCase()
+                    : first.toUpperCase();
+            if (first === expected) {
+                return;
+            }
+
+            context.report({
+                node: titleNode,
+                messageId: "wrongFirstLetter",
+                data: { firstLetter },
+                // Lowercasing the first letter of an acronym, e.g. "URL", is
+                // not a trivial fix.
+                fix:
+                    firstLetter === "lowercase" && isUpperCase(second)
+                        ? null
+                        : getFirstCharacterFix(titleNode, title, expected),
+            });
+        }
+
+        /**
+         * @param {import('estree').Node} titleNode
+         * @param {string} title
+         */
+        function checkTrailingPeriod(titleNode, title) {
+            if (!noTrailingPeriod || !TRAILING_PERIOD_REGEXP.test(title)) {
+                return;
+            }
+
+            const [, end] = /** @type {[number, number]} */ (titleNode.range);
+
+            context.report({
+                node: titleNode,
+                messageId: "trailingPeriod",
+                // Removing the period of an abbreviation, e.g. "e.g.", is not
+                // a trivial fix.
+                fix:
+                    isStringNode(titleNode) &&
+                    !TRAILING_ABBREVIATION_REGEXP.test(title) &&
+                    sourceCode.text[end - 2] === "." &&
+                    sourceCode.text[end - 3] !== "\\"
+                        ? (fixer) => fixer.removeRange([end - 2, end - 1])
+                        : null,
+            });
+        }
+
+        /**
+         * @param {import('estree').Node} titleNode
+         * @param {string} title
+         * @param {RegExp | null | undefined} pattern
+         */
+        function checkPattern(titleNode, title, pattern) {
+            if (pattern && !pattern.test(title)) {
+                context.report({
+                    node: titleNode,
+                    messageId: "patternMismatch",
+                    data: { pattern: pattern.source },
+                });
+            }
+        }
+
+        /**
+         * @param {import('estree').Node} titleNode
+         * @param {string} title
+         * @param {string | null} moduleTitle
+         */
+        function checkModuleNameRepetition(titleNode, title, moduleTitle) {
+            if (
+                noModuleNameRepetition &&
+                moduleTitle &&
+                containsWords(title, moduleTitle)
+            ) {
+                context.report({
+                    node: titleNode,
+                    messageId: "moduleNameRepetition",
+                    data: { name: moduleTitle },
+                });
+            }
+        }
+
+        /**
+         * @param {import('estree').CallExpression} node
+         * @param {RegExp | null | undefined} pattern
+         * @param {string | null} moduleTitle The title of the enclosing
+         *     module.
+         */
+        function checkTitle(node, pattern, moduleTitle) {
+            const [titleNode] = node.arguments;
+            const title = utils.getStaticTitle(titleNode, context);
+            if (title === null) {
+                return;
+            }
+
+            checkFirstLetter(titleNode, title);
+            checkTrailingPeriod(titleNode, title);
+            checkPattern(titleNode, title, pattern);
+            checkModuleNameRepetition(titleNode, title, moduleTitle);
+        }
+
+        //----------------------------------------------------------------------
+        // Public
+        //----------------------------------------------------------------------
+
+        return {
+            CallExpression: function (node) {
+                if (utils.isModuleOrVariant(node.callee, context)) {
+                    checkTitle(
+                        node,
+                        modulePatterns[moduleTitleStack.length],
+                        getParentModuleTitle(),
+                    );
+
+                    const title = utils.getStaticTitle(
+                        node.arguments[0],
+                        context,
+                    );
+                    if (utils.getCallback(node.arguments)) {
+                        if (moduleTitleStack.length === 0) {
+                            flatModuleTitle = null;
+                        }
+                        moduleTitleStack.push(title);
+                    } else if (moduleTitleStack.length === 0) {
+                        flatModuleTitle = title;
+                    }
+                } else if (utils.isTest(node.callee, context)) {
+                    checkTitle(
+                        node,
+                        testPattern,
+                        getParentModuleTitle() ?? flatModuleTitle,
+                    );
+                }
+            },
+
+            "CallExpression:exit": function (node) {
+                if (
+                    utils.isModuleOrVariant(node.callee, context) &&
+                    utils.getCallback(node.arguments)
+                ) {
+                    moduleTitleStack.pop();
+                }
+            },
+        };
+    },
+};
@@ -5,17 +5,91 @@
 "use strict";
 
 const assert = require("node:assert");
+const {
+    findVariable,
+    getStaticValue,
+} = require("@eslint-community/eslint-utils");
 
-const SUPPORTED_TEST_IDENTIFIERS = new Set(["test", "asyncTest", "only"]);
+const SUPPORTED_TEST_IDENTIFIERS = new Set([
+    "test",
+    "asyncTest",
+    "only",
+    "todo",
+]);
+const SUPPORTED_EACH_TEST_IDENTIFIERS = new Set([
+    "test",
+    "only",
+    "skip",
+    "todo",
+]);
+
+const MODULE_VARIANT_IDENTIFIERS = new Set(["if", "only", "skip", "todo"]);
 
 const OLD_MODULE_HOOK_IDENTIFIERS = ["setup", "teardown"];
-const NEW_MODULE_HOOK_IDENTIFIERS = ["beforeEach", "afterEach"];
+const NEW_MODULE_HOOK_IDENTIFIERS = [
+    "before",
+    "beforeEach",
+    "afterEach",
+    "after",
+];
 const ALL_MODULE_HOOK_IDENTIFIERS = new Set([
     ...OLD_MODULE_HOOK_IDENTIFIERS,
     ...NEW_MODULE_HOOK_IDENTIFIERS,
 ]);
+const GLOBAL_HOOK_IDENTIFIERS = new Set(["beforeEach", "afterEach"]);
+
+const BOOLEAN_BINARY_OPERATORS = new Set([
+    "==",
+    "!=",
+    "===",
+    "!==",
+    "<",
+    "<=",
+    ">",
+    ">=",
+    "in",
+    "instanceof",
+]);
+
+// Values of `ts.TypeFlags` from the public TypeScript API. They are copied
+// here because the plugin does not depend on TypeScript.
+const TYPE_FLAGS = {
+    BooleanLike: 528,
+    BooleanLiteral: 512,
+    Literal: 2944,
+    Union: 1_048_576,
+};
+
+// Values of `ts.SymbolFlags` from the public TypeScript API.
+const SYMBOL_FLAGS = {
+    EnumMember: 8,
+};
+
+const OK_ASSERTION_OPPOSITES = new Map([
+    ["false", "true"],
+    ["notOk", "ok"],
+    ["ok", "notOk"],
+    ["true", "false"],
+]);
 
+/**
+ * Metadata for every assertion method on QUnit's `assert` object.
+ * - `allowedArities`: accepted argument counts, excluding the optional message.
+ * - `compareActualFirst`: present for comparative assertions; true if the
+ *   "actual" value is the first argument.
+ * - `acceptsMessage`: false if the assertion takes no trailing message argument.
+ * - `localOnly`: true for assertions that were never exposed as globals.
+ * - `countsAsAssertion`: false for methods that configure the test instead of
+ *   checking anything, so they do not count towards its assertions.
+ * @typedef {{allowedArities: number[], compareActualFirst?: boolean, acceptsMessage?: boolean, localOnly?: boolean, countsAsAssertion?: boolean}} AssertionMetadata
+ * @type {Record<string, AssertionMetadata>}
+ */
 const ASSERTION_METADATA = {
+    closeTo: {
+        allowedArities: [3],
+        compareActualFirst: true,
+        localOnly: true,
+    },
     deepEqual: {
         allowedArities: [2],
         compareActualFirst: true,
@@ -38,6 +112,11 @@ const ASSERTION_METADATA = {
     notOk: {
         allowedArities: [1],
     },
+    notPropContains: {
+        allowedArities: [2],
+        compareActualFirst: true,
+        localOnly: true,
+    },
     notPropEqual: {
         allowedArities: [2],
         compareActualFirst: true,
@@ -49,10 +128,20 @@ const ASSERTION_METADATA = {
     ok: {
         allowedArities: [1],
     },
+    propContains: {
+        allowedArities: [2],
+        compareActualFirst: true,
+        localOnly: true,
+    },
     propEqual: {
         allowedArities: [2],
         compareActualFirst: true,
     },
+    pushResult: {
+        allowedArities: [1],
+        acceptsMessage: false,
+        localOnly: true,
+    },
     strictEqual: {
         allowedArities: [2],
         compareActualFirst: true,
@@ -60,12 +149,374 @@ const ASSERTION_METADATA = {
     raises: {
         allowedArities: [1, 2],
     },
+    rejects: {
+        allowedArities: [1, 2],
+        localOnly: true,
+    },
+    step: {
+        allowedArities: [1],
+        acceptsMessage: false,
+        localOnly: true,
+    },
     throws: {
         allowedArities: [1, 2],
     },
+    timeout: {
+        allowedArities: [1],
+        acceptsMessage: false,
+        localOnly: true,
+        countsAsAssertion: false,
+    },
     true: {
         allowedArities: [1],
     },
+    verifySteps: {
+        allowedArities: [1],
+        localOnly: true,
+    },
+};
+
+//------------------------------------------------------------------------------
+// Shared settings
+//------------------------------------------------------------------------------
+
+/**
+ * The `qunit` shared settings, i.e. `settings.qunit` in the ESLint config.
+ * - `testFunctions`: additional functions that define tests.
+ * - `moduleFunctions`: additional functions that define modules.
+ * - `hookNames`: additional names of module and global hooks.
+ * - `namespace`: an identifier that refers to the QUnit namespace, in
+ *   addition to `QUnit`.
+ * - `assertIdentifier`: the name used for the assert parameter when a fix
+ *   has to add one.
+ * @typedef {{testFunctions?: string[], moduleFunctions?: string[], hookNames?: string[], namespace?: string, assertIdentifier?: string}} QUnitSettingsConfig
+ */
+
+/**
+ * @typedef {{testFunctions: Set<string>, moduleFunctions: Set<string>, hookNames: Set<string>, namespace: string, assertIdentifier: string}} QUnitSettings
+ */
+
+/** @type {QUnitSettings} */
+const DEFAULT_SETTINGS = {
+    testFunctions: new Set(),
+    moduleFunctions: new Set(),
+    hookNames: new Set(),
+    namespace: "QUnit",
+    assertIdentifier: "assert",
+};
+
+/** @type {WeakMap<QUnitSettingsConfig, QUnitSettings>} */
+const settingsCache = new WeakMap();
+
+/**
+ * Returns the `qunit` shared settings, with defaults for missing values.
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {QUnitSettings}
+ */
+function getSettings(context) {
+    const config = /** @type {QUnitSettingsConfig | undefined} */ (
+        context?.settings?.qunit
+    );
+    if (!config) {
+        return DEFAULT_SETTINGS;
+    }
+
+    let settings = settingsCache.get(config);
+    if (!settings) {
+        settings = {
+            testFunctions: new Set(config.testFunctions),
+            moduleFunctions: new Set(config.moduleFunctions),
+            hookNames: new Set(config.hookNames),
+            namespace: config.namespace ?? DEFAULT_SETTINGS.namespace,
+            assertIdentifier:
+                config.assertIdentifier ?? DEFAULT_SETTINGS.assertIdentifier,
+        };
+        settingsCache.set(config, settings);
+    }
+
+    return settings;
+}
+
+exports.getSettings = getSettings;
+
+/**
+ * @param {import('eslint').Rule.RuleContext} context
+ * @returns {import('eslint').SourceCode}
+ */
+function getSourceCode(context) {
+    /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
+    return context.sourceCode ?? context.getSourceCode();
+}
+
+/**
+ * @param {import('eslint').Rule.RuleContext} context
+ * @param {import('estree').Node} node
+ * @returns {import('eslint').Scope.Scope} The innermost scope containing the node.
+ */
+function getScope(context, node) {
+    const sourceCode = getSourceCode(context);
+
+    /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
+    return sourceCode.getScope
+        ? sourceCode.getScope(node)
+        : // @ts-expect-error -- removed in ESLint 10, but needed for ESLint 8 compat
+          context.getScope();
+}
+
+//------------------------------------------------------------------------------
+// QUnit import resolution
+//------------------------------------------------------------------------------
+
+const QUNIT_MODULE_SOURCE = "qunit";
+
+/**
+ * @param {import('estree').Node | null | undefined} node
+ * @returns {boolean}
+ */
+function isRequireQUnitCall(node) {
+    return !!(
+        node &&
+        node.type === "CallExpression" &&
+        node.callee.type === "Identifier" &&
+        node.callee.name === "require" &&
+        node.arguments.length === 1 &&
+        node.arguments[0].type === "Literal" &&
+        node.arguments[0].value === QUNIT_MODULE_SOURCE
+    );
+}
+
+/**
+ * @param {import('estree').Node} keyNode
+ * @returns {string | null}
+ */
+function getStaticKeyName(keyNode) {
+    if (keyNode.type === "Identifier") {
+        return keyNode.name;
+    }
+    if (keyNode.type === "Literal" && typeof keyNode.value === "string") {
+        return keyNode.value;
+    }
+    return null;
+}
+
+/**
+ * @param {import('eslint').Scope.Definition} def
+ * @returns {string | null}
+ */
+function getQUnitNameFromImportDefinition(def) {
+    if (
+        !def.parent ||
+        def.parent.type !== "ImportDeclaration" ||
+        def.parent.source.value !== QUNIT_MODULE_SOURCE
+    ) {
+        return null;
+    }
+
+    switch (def.node.type) {
+        case "ImportSpecifier": {
+            // import { test as it } from "qunit";
+            return getStaticKeyName(def.node.imported);
+        }
+        case "ImportDefaultSpecifier":
+        case "ImportNamespaceSpecifier": {
+            // import QUnit from "qunit"; import * as Q from "qunit";
+            return "QUnit";
+        }
+        /* c8 ignore next 3 */
+        default: {
+            return null;
+        }
+    }
+}
+
+/**
+ * @param {import('estree').ObjectPattern} objectPattern
+ * @param {import('estree').Identifier} identifierNode
+ * @returns {string | null}
+ */
+function getDestructuredKeyName(objectPattern, identifierNode) {
+    for (const property of objectPattern.properties) {
+        if (property.type !== "Property" || property.computed) {
+            continue;
+        }
+
+        const target =
+            property.value.type === "AssignmentPattern"
+                ? property.value.left
+                : property.value;
+        if (target === identifierNode) {
+            return getStaticKeyName(property.key);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * @param {import('eslint').Scope.Definition} def
+ * @returns {string | null}
+ */
+function getQUnitNameFromRequireDefinition(def) {
+    if (def.node.type !== "VariableDeclarator" || !def.node.init) {
+        return null;
+    }
+
+    const { id, init } = def.node;
+
+    if (isRequireQUnitCall(init)) {
+        if (id.type === "Identifier") {
+            // const QUnit = require("qunit");
+            return "QUnit";
+        }
+
+        // const { test: it } = require("qunit");
+        return id.type === "ObjectPattern"
+            ? getDestructuredKeyName(id, def.name)
+            : null;
+    }
+
+    if (
+        // const it = require("qunit").test;
+        id.type === "Identifier" &&
+        init.type === "MemberExpression" &&
+        !init.computed &&
+        isRequireQUnitCall(init.object)
+    ) {
+        return getStaticKeyName(init.property);
+    }
+
+    return null;
+}
+
+/**
+ * Resolves the QUnit export that an identifier was imported or required as.
+ * Named imports resolve to their imported name (e.g. `it` in
+ * `import { test as it } from "qunit"` resolves to `test`), while default
+ * imports, namespace imports and `require("qunit")` resolve to `QUnit`.
+ * @param {import('estree').Identifier} identifierNode
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {string | null} The QUnit name, or null if the identifier is not bound to QUnit.
+ */
+function getQUnitImportName(identifierNode, context) {
+    if (!context) {
+        return null;
+    }
+
+    const scope = getScope(context, identifierNode);
+
+    const variable = findVariable(scope, identifierNode);
+    if (!variable || variable.defs.length !== 1) {
+        return null;
+    }
+
+    const [def] = variable.defs;
+
+    if (def.type === "ImportBinding") {
+        return getQUnitNameFromImportDefinition(def);
+    }
+    if (def.type === "Variable") {
+        return getQUnitNameFromRequireDefinition(def);
+    }
+
+    return null;
+}
+
+/**
+ * Like `getQUnitImportName`, but falls back to the identifier's own name so
+ * that globals and locals keep matching by name. The configured namespace
+ * identifier resolves to `QUnit`.
+ * @param {import('estree').Identifier} identifierNode
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {string}
+ */
+function getQUnitBindingName(identifierNode, context) {
+    const importName = getQUnitImportName(identifierNode, context);
+    if (importName) {
+        return importName;
+    }
+
+    return identifierNode.name === getSettings(context).namespace
+        ? "QUnit"
+        : identifierNode.name;
+}
+
+exports.getQUnitBindingName = getQUnitBindingName;
+
+exports.getQUnitImportName = getQUnitImportName;
+
+/**
+ * Finds a variable imported or required from QUnit as the given name that is
+ * visible from a node, e.g. `it` for `test` after
+ * `import { test as it } from "qunit"`.
+ * @param {import('estree').Node} node
+ * @param {string} qunitName
+ * @param {import('eslint').Rule.RuleContext} context
+ * @returns {string | null} The name of the variable, or null if there is none.
+ */
+exports.findQUnitImportBinding = function (node, qunitName, context) {
+    const scope = getScope(context, node);
+
+    /** @type {import('eslint').Scope.Scope | null} */
+    let current = scope;
+
+    while (current) {
+        const variable = current.variables.find(
+            (candidate) =>
+                candidate.identifiers.length === 1 &&
+                getQUnitImportName(candidate.identifiers[0], context) ===
+                    qunitName,
+        );
+
+        if (variable && findVariable(scope, variable.name) === variable) {
+            return variable.name;
+        }
+
+        current = current.upper;
+    }
+
+    return null;
+};
+
+/**
+ * Checks whether an identifier refers to a variable declared in the file that
+ * is not bound to QUnit, e.g. `start` after `function start() {}`.
+ * @param {import('estree').Identifier} identifierNode
+ * @param {import('eslint').Rule.RuleContext} context
+ * @returns {boolean}
+ */
+exports.isLocalNonQUnitBinding = function (identifierNode, context) {
+    const scope = getScope(context, identifierNode);
+    const variable = findVariable(scope, identifierNode);
+
+    return (
+        !!variable &&
+        variable.defs.length > 0 &&
+        getQUnitImportName(identifierNode, context) === null
+    );
+};
+
+/**
+ * @param {import('estree').Node} node
+ * @param {string} qunitName
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {boolean}
+ */
+function isQUnitBinding(node, qunitName, context) {
+    return (
+        node.type === "Identifier" &&
+        getQUnitBindingName(node, context) === qunitName
+    );
+}
+
+/**
+ * Checks whether a node refers to the QUnit namespace, e.g. `QUnit` in
+ * `QUnit.init()`.
+ * @param {import('estree').Node} node
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {boolean}
+ */
+exports.isQUnitNamespace = function (node, context) {
+    return isQUnitBinding(node, "QUnit", context);
 };
 
 function getAssertionNames() {
@@ -74,10 +525,22 @@ function getAssertionNames() {
 
 exports.getAssertionNames = getAssertionNames;
 
+/**
+ * Returns the names of assertions that QUnit has exposed as globals.
+ * @returns {string[]}
+ */
+function getGlobalAssertionNames() {
+    return Object.entries(ASSERTION_METADATA)
+        .filter(([, metadata]) => !metadata.localOnly)
+        .map(([assertionName]) => assertionName);
+}
+
+exports.getGlobalAssertionNames = getGlobalAssertionNames;
+
 /**
  * @param {import('estree').Node} calleeNode
  * @param {string | null} assertVar
- * @returns {{allowedArities: number[], compareActualFirst?: boolean} | null}
+ * @returns {AssertionMetadata | null}
  */
 function getAssertionMetadata(calleeNode, assertVar) {
     if (calleeNode.type === "MemberExpression") {
@@ -100,7 +563,7 @@ function getAssertionMetadata(calleeNode, assertVar) {
         }
     } else if (
         calleeNode.type === "Identifier" &&
-        Object.hasOwnProperty.call(ASSERTION_METADATA, calleeNode.name)
+        getGlobalAssertionNames().includes(calleeNode.name)
     ) {
         const assertionName = /** @type {keyof typeof ASSERTION_METADATA} */ (
             calleeNode.name
@@ -134,284 +597,1619 @@ exports.isAsyncCallExpression = function (callExpressionNode, assertVar) {
 
 /**
  * @param {import('estree').Node} calleeNode
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {boolean}
+ */
+exports.isStop = function (calleeNode, context) {
+    let result = false;
+
+    if (calleeNode.type === "Identifier") {
+        result = getQUnitBindingName(calleeNode, context) === "stop";
+    } else if (calleeNode.type === "MemberExpression") {
+        result =
+            isQUnitBinding(calleeNode.object, "QUnit", context) &&
+            calleeNode.property.type === "Identifier" &&
+            calleeNode.property.name === "stop";
+    }
+
+    return result;
+};
+
+/**
+ * @param {import('estree').Node} calleeNode
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {boolean}
+ */
+exports.isStart = function (calleeNode, context) {
+    let result = false;
+
+    if (calleeNode.type === "Identifier") {
+        result = getQUnitBindingName(calleeNode, context) === "start";
+    } else if (calleeNode.type === "MemberExpression") {
+        result =
+            isQUnitBinding(calleeNode.object, "QUnit", context) &&
+            calleeNode.property.type === "Identifier" &&
+            calleeNode.property.name === "start";
+    }
+
+    return result;
+};
+
+/**
+ * Returns the object of a `.each` member expression, e.g. `QUnit.test` for
+ * `QUnit.test.each`.
+ * @param {import('estree').Node} calleeNode
+ * @returns {import('estree').Node | null}
+ */
+function getEachTarget(calleeNode) {
+    if (
+        calleeNode.type === "MemberExpression" &&
+        calleeNode.property.type === "Identifier" &&
+        calleeNode.property.name === "each"
+    ) {
+        return calleeNode.object;
+    }
+
+    return null;
+}
+
+/**
+ * @param {import('estree').Node} calleeNode
+ * @param {(name: string) => boolean} isTestName
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {boolean}
+ */
+function isTestFunction(calleeNode, isTestName, context) {
+    let result = false;
+
+    if (calleeNode.type === "Identifier") {
+        result = isTestName(getQUnitBindingName(calleeNode, context));
+    } else if (calleeNode.type === "MemberExpression") {
+        result =
+            isQUnitBinding(calleeNode.object, "QUnit", context) &&
+            calleeNode.property.type === "Identifier" &&
+            isTestName(calleeNode.property.name);
+    }
+
+    return result;
+}
+
+/**
+ * Checks for a data-driven test, e.g. `QUnit.test.each()`.
+ * @param {import('estree').Node} calleeNode
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {boolean}
+ */
+exports.isEachTest = function (calleeNode, context) {
+    const eachTarget = getEachTarget(calleeNode);
+
+    return (
+        !!eachTarget &&
+        isTestFunction(
+            eachTarget,
+            (name) => SUPPORTED_EACH_TEST_IDENTIFIERS.has(name),
+            context,
+        )
+    );
+};
+
+/**
+ * @param {import('estree').Node} calleeNode
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {boolean}
+ */
+exports.isTest = function (calleeNode, context) {
+    const { testFunctions } = getSettings(context);
+
+    return (
+        isTestFunction(
+            calleeNode,
+            (name) =>
+                SUPPORTED_TEST_IDENTIFIERS.has(name) || testFunctions.has(name),
+            context,
+        ) || exports.isEachTest(calleeNode, context)
+    );
+};
+
+/**
+ * @param {string} name
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {boolean}
+ */
+function isModuleName(name, context) {
+    return name === "module" || getSettings(context).moduleFunctions.has(name);
+}
+
+/**
+ * @param {import('estree').Node} calleeNode
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {boolean}
+ */
+exports.isModule = function (calleeNode, context) {
+    let result = false;
+
+    if (calleeNode.type === "Identifier") {
+        result = isModuleName(
+            getQUnitBindingName(calleeNode, context),
+            context,
+        );
+    } else if (calleeNode.type === "MemberExpression") {
+        result =
+            isQUnitBinding(calleeNode.object, "QUnit", context) &&
+            calleeNode.property.type === "Identifier" &&
+            isModuleName(calleeNode.property.name, context);
+    }
+
+    return result;
+};
+
+/**
+ * Checks for `QUnit.module()` and its variants, e.g. `QUnit.module.only()`.
+ * @param {import('estree').Node} calleeNode
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {boolean}
+ */
+exports.isModuleOrVariant = function (calleeNode, context) {
+    return (
+        exports.isModule(calleeNode, context) ||
+        (calleeNode.type === "MemberExpression" &&
+            calleeNode.property.type === "Identifier" &&
+            MODULE_VARIANT_IDENTIFIERS.has(calleeNode.property.name) &&
+            exports.isModule(calleeNode.object, context))
+    );
+};
+
+/**
+ * @param {import('eslint').Rule.Node} propertyNode
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {boolean}
+ */
+exports.isInModule = function (propertyNode, context) {
+    return !!(
+        propertyNode &&
+        propertyNode.parent && // ObjectExpression
+        propertyNode.parent.parent && // CallExpression?
+        propertyNode.parent.parent.type === "CallExpression" &&
+        exports.isModuleOrVariant(propertyNode.parent.parent.callee, context)
+    );
+};
+
+/**
+ * @param {import('estree').Node} identifierNode
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {boolean}
+ */
+exports.isModuleHookPropertyKey = function (identifierNode, context) {
+    return (
+        identifierNode &&
+        identifierNode.type === "Identifier" &&
+        (ALL_MODULE_HOOK_IDENTIFIERS.has(identifierNode.name) ||
+            getSettings(context).hookNames.has(identifierNode.name))
+    );
+};
+
+/**
+ * Checks for a global hook registration, e.g. `QUnit.hooks.beforeEach()`.
+ * @param {import('estree').Node} calleeNode
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {boolean}
+ */
+exports.isGlobalHook = function (calleeNode, context) {
+    if (
+        calleeNode.type !== "MemberExpression" ||
+        calleeNode.property.type !== "Identifier" ||
+        !(
+            GLOBAL_HOOK_IDENTIFIERS.has(calleeNode.property.name) ||
+            getSettings(context).hookNames.has(calleeNode.property.name)
+        )
+    ) {
+        return false;
+    }
+
+    const hooksNode = calleeNode.object;
+
+    if (hooksNode.type === "Identifier") {
+        // import { hooks } from "qunit"; hooks.beforeEach()
+        return getQUnitImportName(hooksNode, context) === "hooks";
+    }
+
+    return (
+        hooksNode.type === "MemberExpression" &&
+        hooksNode.property.type === "Identifier" &&
+        hooksNode.property.name === "hooks" &&
+        isQUnitBinding(hooksNode.object, "QUnit", context)
+    );
+};
+
+/**
+ * Checks whether a variable definition is the hooks parameter of a module
+ * callback.
+ * @param {import('eslint').Scope.Definition} def
+ * @param {import('eslint').Rule.RuleContext} context
+ * @returns {boolean}
+ */
+function isModuleHooksParam(def, context) {
+    if (def.type !== "Parameter") {
+        return false;
+    }
+
+    const callback = def.node;
+    const moduleCall = /** @type {import('estree').Node} */ (
+        /** @type {import('eslint').Rule.Node} */ (callback).parent
+    );
+
+    return (
+        callback.type !== "FunctionDeclaration" &&
+        moduleCall.type === "CallExpression" &&
+        moduleCall.arguments.includes(callback) &&
+        exports.isModuleOrVariant(moduleCall.callee, context) &&
+        exports.getAssertContextName(callback) === def.name.name
+    );
+}
+
+/**
+ * Checks for a hook registered through the hooks parameter of a module
+ * callback, e.g. `hooks.beforeEach()` in
+ * `QUnit.module("name", function (hooks) {})`.
+ * @param {import('estree').CallExpression} node
+ * @param {import('eslint').Rule.RuleContext} context
+ * @returns {boolean}
+ */
+exports.isModuleHookCall = function (node, context) {
+    const { callee } = node;
+    if (
+        callee.type !== "MemberExpression" ||
+        callee.object.type !== "Identifier" ||
+        !exports.isModuleHookPropertyKey(callee.property, context)
+    ) {
+        return false;
+    }
+
+    const scope = getScope(context, node);
+
+    const variable = findVariable(scope, callee.object);
+
+    return (
+        !!variable &&
+        variable.defs.length === 1 &&
+        isModuleHooksParam(variable.defs[0], context)
+    );
+};
+
+/**
+ * Checks for a hook call, either a global hook or a hook registered through
+ * the hooks parameter of a module callback.
+ * @param {import('estree').CallExpression} node
+ * @param {import('eslint').Rule.RuleContext} context
+ * @returns {boolean}
+ */
+exports.isHookCall = function (node, context) {
+    return (
+        exports.isGlobalHook(node.callee, context) ||
+        exports.isModuleHookCall(node, context)
+    );
+};
+
+/**
+ * Checks for a hook defined in the hooks object of a module, e.g.
+ * `beforeEach` in `QUnit.module("name", { beforeEach() {} })`.
+ * @param {import('estree').Node} node
+ * @param {import('eslint').Rule.RuleContext} context
+ * @returns {node is import('estree').Property}
+ */
+exports.isHookProperty = function (node, context) {
+    return (
+        node.type === "Property" &&
+        exports.isModuleHookPropertyKey(node.key, context) &&
+        exports.isInModule(
+            /** @type {import('eslint').Rule.Node} */ (node),
+            context,
+        )
+    );
+};
+
+/**
+ * @param {import('estree').Node} calleeNode
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {boolean}
+ */
+exports.isAsyncTest = function (calleeNode, context) {
+    let result = false;
+
+    if (calleeNode.type === "Identifier") {
+        result = getQUnitBindingName(calleeNode, context) === "asyncTest";
+    } else if (calleeNode.type === "MemberExpression") {
+        result =
+            isQUnitBinding(calleeNode.object, "QUnit", context) &&
+            calleeNode.property.type === "Identifier" &&
+            calleeNode.property.name === "asyncTest";
+    }
+
+    return result;
+};
+
+/**
+ * @param {import('estree').Node} calleeNode
+ * @param {string} qunitMethod
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {boolean}
+ */
+function isQUnitMethod(calleeNode, qunitMethod, context) {
+    let result = false;
+
+    if (calleeNode.type === "Identifier") {
+        // <qunitMethod>()
+        result = getQUnitBindingName(calleeNode, context) === qunitMethod;
+    } else if (
+        calleeNode.type === "MemberExpression" &&
+        calleeNode.property.type === "Identifier" &&
+        calleeNode.property.name === qunitMethod
+    ) {
+        if (calleeNode.object.type === "Identifier") {
+            // QUnit.<qunitMethod>() or module.<qunitMethod>(), or test.<qunitMethod>()
+            const objectName = getQUnitBindingName(calleeNode.object, context);
+            result =
+                objectName === "QUnit" ||
+                isModuleName(objectName, context) ||
+                objectName === "test" ||
+                getSettings(context).testFunctions.has(objectName);
+        } else if (calleeNode.object.type === "MemberExpression") {
+            // QUnit.*.<qunitMethod>()
+            result = isQUnitBinding(calleeNode.object.object, "QUnit", context);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * @param {import('estree').Node} calleeNode
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {boolean}
+ */
+exports.isOnly = function (calleeNode, context) {
+    return isQUnitMethod(
+        getEachTarget(calleeNode) ?? calleeNode,
+        "only",
+        context,
+    );
+};
+
+/**
+ * @param {import('estree').Node} calleeNode
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {boolean}
+ */
+exports.isSkip = function (calleeNode, context) {
+    return isQUnitMethod(
+        getEachTarget(calleeNode) ?? calleeNode,
+        "skip",
+        context,
+    );
+};
+
+/**
+ * @param {import('estree').Node} calleeNode
+ * @param {import('eslint').Rule.RuleContext} [context]
+ * @returns {boolean}
+ */
+exports.isTodo = function (calleeNode, context) {
+    return isQUnitMethod(
+        getEachTarget(calleeNode) ?? calleeNode,
+        "todo",
+        context,
+    );
+};
+
+/**
+ * Returns the title of a test or module if it can be evaluated statically,
+ * e.g. a string literal, a template literal with constant expressions or a
+ * `const` variable.
+ * @param {import('estree').Node | import('estree').SpreadElement | undefined} titleNode
+ * @param {import('eslint').Rule.RuleContext} context
+ * @returns {string | null}
+ */
+exports.getStaticTitle = function (titleNode, context) {
+    if (!titleNode || titleNode.type === "SpreadElement") {
+        return null;
+    }
+
+    const scope = getScope(context, titleNode);
+    const staticValue = getStaticValue(titleNode, scope);
+
+    if (
+        !staticValue ||
+        (staticValue.value !== null && typeof staticValue.value === "object") ||
+        typeof staticValue.value === "function"
+    ) {
+        return null;
+    }
+
+    return String(staticValue.value);
+};
+
+/**
+ * Returns the name of a test, module or hook to show in messages: the value of
+ * a string literal, or the source text of any other node.
+ * @param {import('estree').Node | import('estree').SpreadElement | undefined} nameNode
+ * @param {import('eslint').SourceCode} sourceCode
+ * @returns {string}
+ */
+exports.getDisplayName = function (nameNode, sourceCode) {
+    if (!nameNode) {
+        return "";
+    }
+
+    return nameNode.type === "Literal" && typeof nameNode.value === "string"
+        ? nameNode.value
+        : sourceCode.getText(nameNode);
+};
+
+/**
+ * Returns the callback of a test, module or hook call.
+ * @param {import('estree').Node[]} argumentsNodes
+ * @returns {import('estree').FunctionExpression | import('estree').ArrowFunctionExpression | undefined}
+ */
+exports.getCallback = function (argumentsNodes) {
+    return /** @type {import('estree').FunctionExpression | import('estree').ArrowFunctionExpression | undefined} */ (
+        argumentsNodes.find(
+            (arg) =>
+                arg.type === "FunctionExpression" ||
+                arg.type === "ArrowFunctionExpression",
+        )
+    );
+};
+
+/**
+ * Finds the assert parameter of a test callback. This is the first parameter
+ * for both regular tests and data-driven tests (`QUnit.test.each()`), whose
+ * callback receives the data item as its second parameter.
+ * @param {import('estree').Node[]} argumentsNodes
+ * @returns {string | null}
+ */
+exports.getAssertContextNameForTest = function (argumentsNodes) {
+    const functionExpr = exports.getCallback(argumentsNodes);
+    if (!functionExpr) {
+        return null;
+    }
+
+    return exports.getAssertContextName(functionExpr);
+};
+
+/**
+ * @param {import('estree').Node} functionExpr
+ * @returns {string | null}
+ */
+exports.getAssertContextName = function (functionExpr) {
+    let result = null;
+
+    if (
+        functionExpr &&
+        (functionExpr.type === "FunctionExpression" ||
+            functionExpr.type === "ArrowFunctionExpression") &&
+        functionExpr.params
+    ) {
+        // In TypeScript, `this` can be passed as the first function parameter to add a type to it,
+        // and we want to ignore that parameter since we're looking for the `hooks` variable.
+        const hooksParam = functionExpr.params.find(
+            (p) => p.type === "Identifier" && p.name !== "this",
+        );
+        if (hooksParam && hooksParam.type === "Identifier") {
+            result = hooksParam.name;
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Returns a fix that adds an `assert` parameter to a callback without one.
+ * A TypeScript `this` parameter is kept in first position.
+ * @param {import('eslint').Rule.RuleFixer} fixer
+ * @param {import('estree').FunctionExpression | import('estree').ArrowFunctionExpression} functionExpr
+ * @param {import('eslint').SourceCode} sourceCode
+ * @param {string} [assertVar] The name of the parameter.
+ * @returns {import('eslint').Rule.Fix}
+ */
+exports.addAssertParam = function (
+    fixer,
+    functionExpr,
+    sourceCode,
+    assertVar = "assert",
+) {
+    if (functionExpr.params.length > 0) {
+        return fixer.insertTextAfter(
+            functionExpr.params[functionExpr.params.length - 1],
+            `, ${assertVar}`,
+        );
+    }
+
+    const openingParen = /** @type {import('eslint').AST.Token} */ (
+        sourceCode.getFirstToken(functionExpr, {
+            filter: (token) => token.value === "(",
+        })
+    );
+
+    return fixer.insertTextAfter(openingParen, assertVar);
+};
+
+/**
+ * @param {import('estree').Node} node
+ * @param {import('eslint').SourceCode} sourceCode
+ * @returns {string} The indentation of the line that the node starts on.
+ */
+function getIndentation(node, sourceCode) {
+    const line =
+        sourceCode.lines[
+            /** @type {import('estree').SourceLocation} */ (node.loc).start
+                .line - 1
+        ];
+
+    return line.slice(0, line.length - line.trimStart().length);
+}
+
+exports.getIndentation = getIndentation;
+
+/**
+ * Returns a fix that inserts a statement at the start of a block, after any
+ * directives such as `"use strict";`. The statement is put on its own line
+ * with the indentation of the neighboring statement if the block spans
+ * multiple lines.
+ * @param {import('eslint').Rule.RuleFixer} fixer
+ * @param {import('estree').BlockStatement} block
+ * @param {string} text
+ * @param {import('eslint').SourceCode} sourceCode
+ * @returns {import('eslint').Rule.Fix}
+ */
+exports.insertAtStartOfBlock = function (fixer, block, text, sourceCode) {
+    const directives = block.body.filter(
+        (statement) =>
+            statement.type === "ExpressionStatement" &&
+            "directive" in statement &&
+            typeof statement.directive === "string",
+    );
+    const lastDirective = directives[directives.length - 1];
+    const firstStatement = block.body[directives.length];
+    const blockLine = /** @type {import('estree').SourceLocation} */ (block.loc)
+        .start.line;
+    const previousLine = lastDirective
+        ? /** @type {import('estree').SourceLocation} */ (lastDirective.loc).end
+              .line
+        : blockLine;
+
+    if (firstStatement) {
+        const statementLine = /** @type {import('estree').SourceLocation} */ (
+            firstStatement.loc
+        ).start.line;
+
+        return fixer.insertTextBefore(
+            firstStatement,
+            statementLine === previousLine
+                ? `${text} `
+                : `${text}\n${getIndentation(firstStatement, sourceCode)}`,
+        );
+    }
+
+    if (lastDirective) {
+        return fixer.insertTextAfter(
+            lastDirective,
+            previousLine === blockLine
+                ? ` ${text}`
+                : `\n${getIndentation(lastDirective, sourceCode)}${text}`,
+        );
+    }
+
+    const openingBrace = /** @type {import('eslint').AST.Token} */ (
+        sourceCode.getFirstToken(block)
+    );
+    // Keep a space before the closing brace of an empty block, e.g. `{}`.
+    const isEmpty = sourceCode.text[openingBrace.range[1]] === "}";
+
+    return fixer.insertTextAfter(
+        openingBrace,
+        isEmpty ? ` ${text} ` : ` ${text}`,
+    );
+};
+
+/**
+ * @param {import('estree').Node} node
+ * @param {import('eslint').Rule.RuleContext} context
+ * @returns {import('estree').FunctionExpression | import('estree').ArrowFunctionExpression | null}
+ */
+function getEnclosingTestCallback(node, context) {
+    let child = /** @type {import('eslint').Rule.Node} */ (node);
+    let parent = child.parent;
+
+    while (parent) {
+        if (
+            (child.type === "FunctionExpression" ||
+                child.type === "ArrowFunctionExpression") &&
+            parent.type === "CallExpression" &&
+            parent.arguments.includes(child) &&
+            exports.isTest(parent.callee, context)
+        ) {
+            return child;
+        }
+
+        child = parent;
+        parent = parent.parent;
+    }
+
+    return null;
+}
+
+/**
+ * Checks that the assert parameter of a test callback is not shadowed where
+ * it is used, or, if the parameter still has to be added, that adding it does
+ * not shadow an existing variable.
+ * @param {import('eslint').Scope.Variable | null} variable The variable that
+ *     the assert context name resolves to at the point of use.
+ * @param {import('estree').Node} callback
+ * @param {boolean} hasAssertParam
+ * @returns {boolean}
+ */
+function isUnshadowedAssertContext(variable, callback, hasAssertParam) {
+    if (hasAssertParam) {
+        return !!variable && variable.defs[0].node === callback;
+    }
+
+    return !variable || variable.defs.length === 0;
+}
+
+/**
+ * Resolves the assert parameter of a test callback as seen from a node inside
+ * it. If the callback has no parameters, the configured assert identifier
+ * (`assert` by default) is used and has to be added.
+ * @param {import('estree').Node} node
+ * @param {import('estree').FunctionExpression | import('estree').ArrowFunctionExpression} callback
+ * @param {import('eslint').Rule.RuleContext} context
+ * @returns {{ assertVar: string, needsAssertParam: boolean } | null} The assert
+ *     context, or null if it cannot be resolved unambiguously.
+ */
+exports.resolveAssertContext = function (node, callback, context) {
+    const params = callback.params.filter(
+        (param) => param.type !== "Identifier" || param.name !== "this",
+    );
+    if (params.length > 0 && params[0].type !== "Identifier") {
+        return null;
+    }
+
+    const scope = getScope(context, node);
+
+    const assertVar =
+        exports.getAssertContextName(callback) ??
+        getSettings(context).assertIdentifier;
+    const variable = findVariable(scope, assertVar);
+
+    if (!isUnshadowedAssertContext(variable, callback, params.length > 0)) {
+        return null;
+    }
+
+    return { assertVar, needsAssertParam: params.length === 0 };
+};
+
+/**
+ * Returns a fixer that rewrites a global assertion call such as `ok(x)` to use
+ * the assert context of the enclosing test, e.g. `assert.ok(x)`. An `assert`
+ * parameter is added to the test callback if it does not have one.
+ * @param {import('estree').Node} callNode
+ * @param {import('eslint').Rule.RuleContext} context
+ * @returns {import('eslint').Rule.ReportFixer | null} The fixer, or null if the
+ *     call is not inside a test callback or the assert context is ambiguous.
+ */
+exports.getGlobalAssertionFixer = function (callNode, context) {
+    const callback = getEnclosingTestCallback(callNode, context);
+    const assertContext =
+        callback && exports.resolveAssertContext(callNode, callback, context);
+    if (!callback || !assertContext) {
+        return null;
+    }
+
+    const { assertVar, needsAssertParam } = assertContext;
+
+    return function (fixer) {
+        const fixes = [fixer.insertTextBefore(callNode, `${assertVar}.`)];
+
+        if (needsAssertParam) {
+            fixes.push(
+                exports.addAssertParam(
+                    fixer,
+                    callback,
+                    getSourceCode(context),
+                    assertVar,
+                ),
+            );
+        }
+
+        return fixes;
+    };
+};
+
+/**
+ * @param {import('estree').Node} rootNode
+ * @param {import('eslint').SourceCode.VisitorKeys} visitorKeys
+ * @param {(node: import('estree').Node) => boolean} predicate
+ * @returns {Array<import('estree').Node>} The matching nodes, in source order.
+ */
+function findNodes(rootNode, visitorKeys, predicate) {
+    /** @type {Array<import('estree').Node>} */
+    const result = [];
+    const stack = [rootNode];
+
+    while (stack.length > 0) {
+        const node = /** @type {import('estree').Node} */ (stack.pop());
+
+        if (predicate(node)) {
+            result.push(node);
+        }
+
+        for (const key of visitorKeys[node.type] ?? []) {
+            const child = /** @type {Record<string, unknown>} */ (
+                /** @type {unknown} */ (node)
+            )[key];
+            const children = Array.isArray(child) ? child : [child];
+
+            for (const childNode of children) {
+                if (childNode && typeof childNode.type === "string") {
+                    stack.push(childNode);
+                }
+            }
+        }
+    }
+
+    return result.sort(
+        (a, b) =>
+            /** @type {[number, number]} */ (a.range)[0] -
+            /** @type {[number, number]} */ (b.range)[0],
+    );
+}
+
+/**
+ * @param {import('estree').Node} rootNode
+ * @param {import('eslint').SourceCode.VisitorKeys} visitorKeys
+ * @param {(node: import('estree').CallExpression) => boolean} predicate
+ * @returns {Array<import('estree').CallExpression>} The matching calls, in
+ *     source order.
+ */
+function findCallExpressions(rootNode, visitorKeys, predicate) {
+    return /** @type {Array<import('estree').CallExpression>} */ (
+        findNodes(
+            rootNode,
+            visitorKeys,
+            (node) => node.type === "CallExpression" && predicate(node),
+        )
+    );
+}
+
+exports.findCallExpressions = findCallExpressions;
+
+/**
+ * @param {import('estree').Node} node
+ * @returns {import('estree').Node | null} The innermost function that
+ *     contains the node, if any.
+ */
+function getEnclosingFunction(node) {
+    let current = /** @type {import('eslint').Rule.Node} */ (node).parent;
+
+    while (
+        current &&
+        current.type !== "FunctionExpression" &&
+        current.type !== "ArrowFunctionExpression" &&
+        current.type !== "FunctionDeclaration"
+    ) {
+        current = current.parent;
+    }
+
+    return current || null;
+}
+
+exports.getEnclosingFunction = getEnclosingFunction;
+
+/**
+ * @param {import('estree').Node} node
+ * @returns {import('eslint').Rule.Node}
+ */
+function getParent(node) {
+    return /** @type {import('eslint').Rule.Node} */ (
+        /** @type {import('eslint').Rule.Node} */ (node).parent
+    );
+}
+
+/**
+ * Returns the semaphore amount of a `stop()` or `start()` call, or NaN if it
+ * is not a positive integer literal.
+ * @param {import('estree').CallExpression} callNode
+ * @returns {number}
+ */
+function getSemaphoreAmount(callNode) {
+    if (callNode.arguments.length === 0) {
+        return 1;
+    }
+
+    const [amountNode] = callNode.arguments;
+
+    return amountNode.type === "Literal" &&
+        Number.isInteger(amountNode.value) &&
+        Number(amountNode.value) > 0
+        ? Number(amountNode.value)
+        : Number.NaN;
+}
+
+/**
+ * Checks that every `stop()` call is a statement of the test callback body and
+ * that they are balanced by as many later `start()` calls.
+ * @param {Array<import('estree').CallExpression>} stopCalls
+ * @param {Array<import('estree').CallExpression>} startCalls
+ * @param {import('estree').BlockStatement} callbackBody
+ * @returns {boolean}
+ */
+function isBalancedStopStart(stopCalls, startCalls, callbackBody) {
+    const firstStopStart = /** @type {[number, number]} */ (
+        stopCalls[0].range
+    )[0];
+    const semaphore = stopCalls.reduce(
+        (sum, callNode) => sum + getSemaphoreAmount(callNode),
+        0,
+    );
+
+    return (
+        stopCalls.every(
+            (callNode) =>
+                getParent(callNode).type === "ExpressionStatement" &&
+                getParent(getParent(callNode)) === callbackBody,
+        ) &&
+        startCalls.length === semaphore &&
+        startCalls.every(
+            (callNode) =>
+                getSemaphoreAmount(callNode) === 1 &&
+                /** @type {[number, number]} */ (callNode.range)[0] >
+                    firstStopStart,
+        )
+    );
+}
+
+const CONDITIONAL_NODE_TYPES = new Set([
+    "CatchClause",
+    "ConditionalExpression",
+    "DoWhileStatement",
+    "ForInStatement",
+    "ForOfStatement",
+    "ForStatement",
+    "IfStatement",
+    "LogicalExpression",
+    "SwitchStatement",
+    "WhileStatement",
+]);
+
+/**
+ * Checks whether a node is only evaluated conditionally or repeatedly within
+ * the given function, e.g. a `start()` call inside an `if` statement or loop.
+ * @param {import('estree').Node} node
+ * @param {import('estree').Node} functionNode
+ * @returns {boolean}
+ */
+function isConditionallyEvaluated(node, functionNode) {
+    /** @type {import('eslint').Rule.Node | null} */
+    let current = getParent(node);
+
+    while (current && current !== functionNode) {
+        if (CONDITIONAL_NODE_TYPES.has(current.type)) {
+            return true;
+        }
+        current = current.parent;
+    }
+
+    return false;
+}
+
+/**
+ * Checks whether a node is the callee of a call, or a property name rather
+ * than a reference, e.g. `start` in `server.start` or `{ start: 1 }`.
+ * @param {import('estree').Node} node
+ * @returns {boolean}
+ */
+function isCalleeOrPropertyName(node) {
+    const parent = getParent(node);
+
+    return (
+        (parent.type === "CallExpression" && parent.callee === node) ||
+        (parent.type === "MemberExpression" &&
+            parent.property === node &&
+            !parent.computed) ||
+        (parent.type === "Property" &&
+            parent.key === node &&
+            !parent.computed &&
+            !parent.shorthand)
+    );
+}
+
+/**
+ * Checks whether a node refers to `stop` or `start` without calling it, e.g.
+ * `start` in `setTimeout(start)`.
+ * @param {import('estree').Node} node
+ * @param {import('eslint').Rule.RuleContext} context
+ * @returns {boolean}
+ */
+function isStopStartValueReference(node, context) {
+    if (
+        (node.type !== "Identifier" && node.type !== "MemberExpression") ||
+        isCalleeOrPropertyName(node) ||
+        (node.type === "Identifier" &&
+            exports.isLocalNonQUnitBinding(node, context))
+    ) {
+        return false;
+    }
+
+    return exports.isStop(node, context) || exports.isStart(node, context);
+}
+
+/**
+ * Returns the keyword used to declare the `done` callback: `const` if the
+ * file is parsed as ES2015 or later, `var` otherwise.
+ * @param {import('eslint').Rule.RuleContext} context
+ * @returns {string}
+ */
+function getDeclarationKeyword(context) {
+    const ecmaVersion =
+        context.languageOptions?.ecmaVersion ??
+        /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
+        context.parserOptions?.ecmaVersion;
+
+    return ecmaVersion === "latest" ||
+        (typeof ecmaVersion === "number" && ecmaVersion >= 6)
+        ? "const"
+        : "var";
+}
+
+/**
+ * Builds the migration of the `stop()` and `start()` calls in the test that
+ * contains the given call to `assert.async()`: the first `stop()` becomes
+ * `const done = assert.async(n);` (`var` before ES2015) and every `start()`
+ * becomes `done()`. No migration is built if `stop` or `start` is referenced
+ * without being called. The migration is ambiguous if a `start()` call is
+ * made conditionally or from another function than the test callback, since
+ * it may then run any number of times.
+ * @param {import('estree').Node} callNode
+ * @param {import('eslint').Rule.RuleContext} context
+ * @returns {{ fix: import('eslint').Rule.ReportFixer, isAmbiguous: boolean } | null}
+ *     The migration, or null if the calls cannot be migrated.
+ */
+exports.getStopStartMigration = function (callNode, context) {
+    const callback = getEnclosingTestCallback(callNode, context);
+    if (
+        !callback ||
+        callback.body.type !== "BlockStatement" ||
+        exports.isAsyncTest(
+            /** @type {import('estree').CallExpression} */ (getParent(callback))
+                .callee,
+            context,
+        )
+    ) {
+        return null;
+    }
+
+    const sourceCode = getSourceCode(context);
+    const callbackBody = callback.body;
+    const calls = findCallExpressions(
+        callbackBody,
+        sourceCode.visitorKeys,
+        (node) =>
+            exports.isStop(node.callee, context) ||
+            exports.isStart(node.callee, context),
+    );
+    const stopCalls = calls.filter((node) =>
+        exports.isStop(node.callee, context),
+    );
+    const startCalls = calls.filter((node) => !stopCalls.includes(node));
+
+    if (
+        stopCalls.length === 0 ||
+        !isBalancedStopStart(stopCalls, startCalls, callbackBody) ||
+        findNodes(callbackBody, sourceCode.visitorKeys, (node) =>
+            isStopStartValueReference(node, context),
+        ).length > 0 ||
+        sourceCode
+            .getTokens(callback)
+            .some(
+                (token) =>
+                    token.type === "Identifier" && token.value === "done",
+            )
+    ) {
+        return null;
+    }
+
+    const assertContext = exports.resolveAssertContext(
+        stopCalls[0],
+        callback,
+        context,
+    );
+    if (!assertContext) {
+        return null;
+    }
+
+    const { assertVar, needsAssertParam } = assertContext;
+    const semaphore = startCalls.length > 1 ? String(startCalls.length) : "";
+    const keyword = getDeclarationKeyword(context);
+
+    return {
+        isAmbiguous: startCalls.some(
+            (node) =>
+                getEnclosingFunction(node) !== callback ||
+                isConditionallyEvaluated(node, callback),
+        ),
+        fix: function (fixer) {
+            const [firstStopCall, ...otherStopCalls] = stopCalls;
+            const fixes = [
+                fixer.insertTextBefore(firstStopCall, `${keyword} done = `),
+                fixer.replaceText(
+                    firstStopCall,
+                    `${assertVar}.async(${semaphore})`,
+                ),
+            ];
+
+            for (const stopCall of otherStopCalls) {
+                const statement = getParent(stopCall);
+                const previousToken =
+                    /** @type {import('eslint').AST.Token} */ (
+                        sourceCode.getTokenBefore(statement, {
+                            includeComments: true,
+                        })
+                    );
+
+                fixes.push(
+                    fixer.removeRange([
+                        previousToken.range[1],
+                        /** @type {[number, number]} */ (statement.range)[1],
+                    ]),
+                );
+            }
+
+            for (const startCall of startCalls) {
+                fixes.push(fixer.replaceText(startCall, "done()"));
+            }
+
+            if (needsAssertParam) {
+                fixes.push(
+                    exports.addAssertParam(
+                        fixer,
+                        callback,
+                        sourceCode,
+                        assertVar,
+                    ),
+                );
+            }
+
+            return fixes;
+        },
+    };
+};
+
+/**
+ * @param {import('estree').Node} calleeNode
+ * @param {string | null} assertVar
+ * @returns {boolean}
+ */
+exports.isAssertion = function (calleeNode, assertVar) {
+    return !!getAssertionMetadata(calleeNode, assertVar);
+};
+
+/**
+ * @param {import('estree').Node} calleeNode
+ * @param {string | null} assertVar
+ * @returns {boolean}
+ */
+function isExpectCallee(calleeNode, assertVar) {
+    if (calleeNode.type === "MemberExpression") {
+        return (
+            calleeNode.object.type === "Identifier" &&
+            calleeNode.object.name === assertVar &&
+            calleeNode.property.type === "Identifier" &&
+            calleeNode.property.name === "expect"
+        );
+    }
+
+    return (
+        assertVar === null &&
+        calleeNode.type === "Identifier" &&
+        calleeNode.name === "expect"
+    );
+}
+
+/**
+ * Checks for `assert.expect(n)`, or `expect(n)` in tests without an `assert`
+ * parameter, and returns `n`.
+ * @param {import('estree').CallExpression} node
+ * @param {string | null} assertVar
+ * @returns {number | null} The expected number of assertions, or null if the
+ *     call is not an `expect()` call with a number literal.
+ */
+exports.getExpectedCount = function (node, assertVar) {
+    const isExpectCall = isExpectCallee(node.callee, assertVar);
+    const [countNode] = node.arguments;
+
+    return isExpectCall &&
+        countNode?.type === "Literal" &&
+        typeof countNode.value === "number"
+        ? countNode.value
+        : null;
+};
+
+/**
+ * @param {import('estree').Node} calleeNode
+ * @param {string} assertVar
+ * @returns {number[]}
+ */
+exports.getAllowedArities = function (calleeNode, assertVar) {
+    const assertionMetadata = getAssertionMetadata(calleeNode, assertVar);
+    if (!assertionMetadata) {
+        return [];
+    }
+
+    return assertionMetadata.allowedArities;
+};
+
+/**
+ * @param {import('estree').Node} calleeNode
+ * @param {string | null} assertVar
  * @returns {boolean}
  */
-exports.isStop = function (calleeNode) {
-    let result = false;
-
-    if (calleeNode.type === "Identifier") {
-        result = calleeNode.name === "stop";
-    } else if (calleeNode.type === "MemberExpression") {
-        result =
-            calleeNode.object.type === "Identifier" &&
-            calleeNode.object.name === "QUnit" &&
-            calleeNode.property.type === "Identifier" &&
-            calleeNode.property.name === "stop";
-    }
+exports.isComparativeAssertion = function (calleeNode, assertVar) {
+    const assertionMetadata = getAssertionMetadata(calleeNode, assertVar);
 
-    return result;
+    return Object.hasOwnProperty.call(assertionMetadata, "compareActualFirst");
 };
 
 /**
+ * Checks for an assertion that counts towards the assertions of a test, i.e.
+ * not `assert.timeout()`.
  * @param {import('estree').Node} calleeNode
+ * @param {string | null} assertVar
  * @returns {boolean}
  */
-exports.isStart = function (calleeNode) {
-    let result = false;
-
-    if (calleeNode.type === "Identifier") {
-        result = calleeNode.name === "start";
-    } else if (calleeNode.type === "MemberExpression") {
-        result =
-            calleeNode.object.type === "Identifier" &&
-            calleeNode.object.name === "QUnit" &&
-            calleeNode.property.type === "Identifier" &&
-            calleeNode.property.name === "start";
+exports.countsAsAssertion = function (calleeNode, assertVar) {
+    const assertionMetadata = getAssertionMetadata(calleeNode, assertVar);
+    if (!assertionMetadata) {
+        return false;
     }
 
-    return result;
+    return assertionMetadata.countsAsAssertion !== false;
 };
 
 /**
  * @param {import('estree').Node} calleeNode
+ * @param {string | null} assertVar
  * @returns {boolean}
  */
-exports.isTest = function (calleeNode) {
-    let result = false;
-
-    if (calleeNode.type === "Identifier") {
-        result = SUPPORTED_TEST_IDENTIFIERS.has(calleeNode.name);
-    } else if (calleeNode.type === "MemberExpression") {
-        result =
-            calleeNode.object.type === "Identifier" &&
-            calleeNode.object.name === "QUnit" &&
-            calleeNode.property.type === "Identifier" &&
-            SUPPORTED_TEST_IDENTIFIERS.has(calleeNode.property.name);
+exports.acceptsMessage = function (calleeNode, assertVar) {
+    const assertionMetadata = getAssertionMetadata(calleeNode, assertVar);
+    if (!assertionMetadata) {
+        return false;
     }
 
-    return result;
+    return assertionMetadata.acceptsMessage !== false;
 };
 
 /**
  * @param {import('estree').Node} calleeNode
+ * @param {string | null} assertVar
  * @returns {boolean}
  */
-exports.isModule = function (calleeNode) {
-    let result = false;
+exports.shouldCompareActualFirst = function (calleeNode, assertVar) {
+    const assertionMetadata = getAssertionMetadata(calleeNode, assertVar);
+    if (!assertionMetadata) {
+        return false;
+    }
 
-    if (calleeNode.type === "Identifier") {
-        result = calleeNode.name === "module";
-    } else if (calleeNode.type === "MemberExpression") {
-        result =
-            calleeNode.object.type === "Identifier" &&
-            calleeNode.object.name === "QUnit" &&
-            calleeNode.property.type === "Identifier" &&
-            calleeNode.property.name === "module";
+    return !!assertionMetadata.compareActualFirst;
+};
+
+/**
+ * Returns the comparison assertion that is equivalent to asserting the result
+ * of an equality comparison, e.g. `strictEqual` for `ok(a === b)`.
+ * @param {import('estree').Node} argNode
+ * @param {boolean} isCalleeNegative True for `notOk()` and `false()`.
+ * @returns {string | null} The assertion name, or null if the argument is not
+ *     an equality comparison.
+ */
+exports.getEqualityAssertion = function (argNode, isCalleeNegative) {
+    if (
+        argNode.type !== "BinaryExpression" ||
+        !["===", "==", "!==", "!="].includes(argNode.operator)
+    ) {
+        return null;
     }
 
-    return result;
+    const isStrict = ["===", "!=="].includes(argNode.operator);
+    const isNegative =
+        ["!==", "!="].includes(argNode.operator) !== isCalleeNegative;
+
+    if (isStrict) {
+        return isNegative ? "notStrictEqual" : "strictEqual";
+    }
+
+    return isNegative ? "notEqual" : "equal";
 };
 
 /**
- * @param {import('eslint').Rule.Node} propertyNode
- * @returns {boolean}
+ * Strips any number of leading `!` operators from an expression.
+ * @param {import('estree').Node} argNode
+ * @returns {{ argument: import('estree').Node, negationDepth: number }}
  */
-exports.isInModule = function (propertyNode) {
-    return !!(
-        propertyNode &&
-        propertyNode.parent && // ObjectExpression
-        propertyNode.parent.parent && // CallExpression?
-        propertyNode.parent.parent.type === "CallExpression" &&
-        exports.isModule(propertyNode.parent.parent.callee)
-    );
+exports.unwrapNegation = function (argNode) {
+    let negationDepth = 0,
+        node = argNode;
+
+    while (node.type === "UnaryExpression" && node.operator === "!") {
+        ++negationDepth;
+        node = node.argument;
+    }
+
+    return { argument: node, negationDepth };
 };
 
 /**
- * @param {import('estree').Node} identifierNode
+ * @param {import('estree').CallExpression} node
  * @returns {boolean}
  */
-exports.isModuleHookPropertyKey = function (identifierNode) {
+function isBooleanCheckCall(node) {
+    const callee = node.callee;
+
+    if (callee.type === "Identifier") {
+        // Boolean(x)
+        return callee.name === "Boolean";
+    }
+
+    // Array.isArray(x)
     return (
-        identifierNode &&
-        identifierNode.type === "Identifier" &&
-        ALL_MODULE_HOOK_IDENTIFIERS.has(identifierNode.name)
+        callee.type === "MemberExpression" &&
+        callee.object.type === "Identifier" &&
+        callee.object.name === "Array" &&
+        callee.property.type === "Identifier" &&
+        callee.property.name === "isArray"
     );
-};
+}
 
 /**
- * @param {import('estree').Node} calleeNode
+ * Checks whether an expression always evaluates to a boolean, such as a
+ * comparison, a negation or a call to `Array.isArray()`. Calls to methods like
+ * `.includes()` are not included, since any object can define them.
+ * @param {import('estree').Node | undefined} node
  * @returns {boolean}
  */
-exports.isAsyncTest = function (calleeNode) {
-    let result = false;
-
-    if (calleeNode.type === "Identifier") {
-        result = calleeNode.name === "asyncTest";
-    } else if (calleeNode.type === "MemberExpression") {
-        result =
-            calleeNode.object.type === "Identifier" &&
-            calleeNode.object.name === "QUnit" &&
-            calleeNode.property.type === "Identifier" &&
-            calleeNode.property.name === "asyncTest";
+exports.isBooleanExpression = function (node) {
+    if (!node) {
+        return false;
     }
 
-    return result;
+    switch (node.type) {
+        case "Literal": {
+            return typeof node.value === "boolean";
+        }
+        case "UnaryExpression": {
+            return node.operator === "!";
+        }
+        case "BinaryExpression": {
+            return BOOLEAN_BINARY_OPERATORS.has(node.operator);
+        }
+        case "LogicalExpression": {
+            return (
+                exports.isBooleanExpression(node.left) &&
+                exports.isBooleanExpression(node.right)
+            );
+        }
+        case "CallExpression": {
+            return isBooleanCheckCall(node);
+        }
+        default: {
+            return false;
+        }
+    }
 };
 
 /**
- * @param {import('estree').Node} calleeNode
- * @param {string} qunitMethod
- * @returns {boolean}
+ * @typedef {{
+ *   checker: import('typescript').TypeChecker,
+ *   getTSNode: (node: import('estree').Node) => import('typescript').Node,
+ *   getESTreeNode: (tsNode: import('typescript').Node) => import('estree').Node | undefined,
+ * }} TypeInformation
  */
-function isQUnitMethod(calleeNode, qunitMethod) {
-    let result = false;
 
-    if (calleeNode.type === "Identifier") {
-        // <qunitMethod>()
-        result = calleeNode.name === qunitMethod;
-    } else if (
-        calleeNode.type === "MemberExpression" &&
-        calleeNode.property.type === "Identifier" &&
-        calleeNode.property.name === qunitMethod
-    ) {
-        if (calleeNode.object.type === "Identifier") {
-            // QUnit.<qunitMethod>() or module.<qunitMethod>(), or test.<qunitMethod>()
-            result =
-                calleeNode.object.name === "QUnit" ||
-                calleeNode.object.name === "module" ||
-                calleeNode.object.name === "test";
-        } else if (calleeNode.object.type === "MemberExpression") {
-            // QUnit.*.<qunitMethod>()
-            result =
-                calleeNode.object.object.type === "Identifier" &&
-                calleeNode.object.object.name === "QUnit";
-        }
+/**
+ * Returns the type checker of the TypeScript program, if the file is parsed
+ * by `@typescript-eslint/parser` with type information.
+ * @param {import('eslint').Rule.RuleContext} context
+ * @returns {TypeInformation | null}
+ */
+exports.getTypeInformation = function (context) {
+    const parserServices =
+        getSourceCode(context).parserServices ??
+        /* c8 ignore next -- deprecated code paths only followed by old eslint versions */
+        // @ts-expect-error -- removed in ESLint 10, but needed for ESLint 8 compat
+        context.parserServices;
+
+    if (!parserServices?.program) {
+        return null;
     }
 
-    return result;
+    return {
+        checker: parserServices.program.getTypeChecker(),
+        getTSNode: (node) => parserServices.esTreeNodeToTSNodeMap.get(node),
+        getESTreeNode: (tsNode) =>
+            parserServices.tsNodeToESTreeNodeMap.get(tsNode),
+    };
+};
+
+/**
+ * @param {import('estree').Node} node
+ * @param {TypeInformation} typeInformation
+ * @returns {import('typescript').Type}
+ */
+function getTypeOfNode(node, typeInformation) {
+    return typeInformation.checker.getTypeAtLocation(
+        typeInformation.getTSNode(node),
+    );
 }
 
 /**
- * @param {import('estree').Node} calleeNode
- * @returns {boolean}
+ * @param {import('estree').Node} node
+ * @param {TypeInformation} typeInformation
+ * @returns {boolean} Whether the node has the type `boolean`, `true` or
+ *     `false`.
  */
-exports.isOnly = function (calleeNode) {
-    return isQUnitMethod(calleeNode, "only");
+exports.isBooleanTyped = function (node, typeInformation) {
+    return (
+        (getTypeOfNode(node, typeInformation).flags &
+            TYPE_FLAGS.BooleanLike) !==
+        0
+    );
 };
 
 /**
- * @param {import('estree').Node} calleeNode
- * @returns {boolean}
+ * @param {any} node
+ * @returns {boolean} Whether the node is an `as const` or `<const>` assertion.
  */
-exports.isSkip = function (calleeNode) {
-    return isQUnitMethod(calleeNode, "skip");
-};
+function isConstAssertion(node) {
+    return (
+        (node.type === "TSAsExpression" || node.type === "TSTypeAssertion") &&
+        node.typeAnnotation.type === "TSTypeReference" &&
+        node.typeAnnotation.typeName.type === "Identifier" &&
+        node.typeAnnotation.typeName.name === "const"
+    );
+}
+
+const CONST_ASSERTION_CONTAINERS = new Set([
+    "ArrayExpression",
+    "ObjectExpression",
+    "Property",
+]);
 
 /**
- * @param {import('estree').Node[]} argumentsNodes
- * @returns {string | null}
+ * @param {import('estree').Node | undefined} node
+ * @returns {boolean} Whether the node is a property of an object literal, or
+ *     of an object literal nested in object or array literals, that is
+ *     asserted `as const`.
  */
-exports.getAssertContextNameForTest = function (argumentsNodes) {
-    const functionExpr = argumentsNodes.find(function (argNode) {
-        return (
-            argNode.type === "FunctionExpression" ||
-            argNode.type === "ArrowFunctionExpression"
-        );
-    });
-    if (!functionExpr) {
-        return null;
+function isInConstAssertion(node) {
+    if (node?.type !== "Property") {
+        return false;
     }
 
-    return exports.getAssertContextName(functionExpr);
-};
+    /** @type {import('eslint').Rule.Node | null} */
+    let current = /** @type {import('eslint').Rule.Node} */ (node).parent;
+    while (current && CONST_ASSERTION_CONTAINERS.has(current.type)) {
+        current = current.parent;
+    }
+
+    return !!current && isConstAssertion(current);
+}
 
 /**
- * @param {import('estree').Node} functionExpr
- * @returns {string | null}
+ * @param {import('estree').MemberExpression} node
+ * @param {TypeInformation} typeInformation
+ * @returns {boolean} Whether the member is an enum member or a property
+ *     declared in this file in an object literal asserted `as const`.
  */
-exports.getAssertContextName = function (functionExpr) {
-    let result = null;
+function isConstantMember(node, typeInformation) {
+    const symbol = typeInformation.checker.getSymbolAtLocation(
+        typeInformation.getTSNode(node.property),
+    );
 
-    if (
-        functionExpr &&
-        (functionExpr.type === "FunctionExpression" ||
-            functionExpr.type === "ArrowFunctionExpression") &&
-        functionExpr.params
-    ) {
-        // In TypeScript, `this` can be passed as the first function parameter to add a type to it,
-        // and we want to ignore that parameter since we're looking for the `hooks` variable.
-        const hooksParam = functionExpr.params.find(
-            (p) => p.type === "Identifier" && p.name !== "this",
-        );
-        if (hooksParam && hooksParam.type === "Identifier") {
-            result = hooksParam.name;
-        }
+    if (!symbol) {
+        return false;
     }
 
-    return result;
-};
+    return (
+        (symbol.flags & SYMBOL_FLAGS.EnumMember) !== 0 ||
+        (symbol.declarations ?? []).some((declaration) =>
+            isInConstAssertion(typeInformation.getESTreeNode(declaration)),
+        )
+    );
+}
 
 /**
- * @param {import('estree').Node} calleeNode
- * @param {string | null} assertVar
+ * Checks for members of enums or of objects declared `as const` with a
+ * literal type. Other members with a literal type, such as the discriminant
+ * of a union, are still variables.
+ * @param {import('estree').MemberExpression} node
+ * @param {TypeInformation} typeInformation
  * @returns {boolean}
  */
-exports.isAssertion = function (calleeNode, assertVar) {
-    return !!getAssertionMetadata(calleeNode, assertVar);
+exports.isLiteralTyped = function (node, typeInformation) {
+    const { flags } = getTypeOfNode(node, typeInformation);
+
+    return (
+        (flags & TYPE_FLAGS.Literal) !== 0 &&
+        (flags & TYPE_FLAGS.Union) === 0 &&
+        isConstantMember(node, typeInformation)
+    );
 };
 
 /**
- * @param {import('estree').Node} calleeNode
- * @param {string} assertVar
- * @returns {number[]}
+ * @param {import('estree').Node} node
+ * @param {TypeInformation} typeInformation
+ * @returns {boolean | null} The value of a node with the type `true` or
+ *     `false`, or null for any other type.
  */
-exports.getAllowedArities = function (calleeNode, assertVar) {
-    const assertionMetadata = getAssertionMetadata(calleeNode, assertVar);
-    if (!assertionMetadata) {
-        return [];
+exports.getBooleanLiteralTypeValue = function (node, typeInformation) {
+    const type = getTypeOfNode(node, typeInformation);
+
+    if (
+        (type.flags & TYPE_FLAGS.BooleanLiteral) === 0 ||
+        (type.flags & TYPE_FLAGS.Union) !== 0
+    ) {
+        return null;
     }
 
-    return assertionMetadata.allowedArities;
+    return typeInformation.checker.typeToString(type) === "true";
 };
 
 /**
- * @param {import('estree').Node} calleeNode
- * @param {string | null} assertVar
- * @returns {boolean}
+ * @param {string} assertion One of `ok`, `notOk`, `true` or `false`.
+ * @returns {string | null} The assertion checking the opposite condition.
  */
-exports.isComparativeAssertion = function (calleeNode, assertVar) {
-    const assertionMetadata = getAssertionMetadata(calleeNode, assertVar);
-
-    return Object.hasOwnProperty.call(assertionMetadata, "compareActualFirst");
+exports.getOppositeOkAssertion = function (assertion) {
+    return OK_ASSERTION_OPPOSITES.get(assertion) ?? null;
 };
 
 /**
- * @param {import('estree').Node} calleeNode
- * @param {string | null} assertVar
- * @returns {boolean}
+ * A test or hook whose callback is being traversed.
+ * - `node`: the test or hook call, or the hook property of a module's hooks
+ *   object.
+ * - `callback`: the test or hook callback, if it is a function expression.
+ * - `assertVar`: the name of the assert parameter of the callback, if any.
+ * - `hookName`: the name of the hook, e.g. `beforeEach`, or null for tests.
+ * @typedef {{
+ *   node: import('estree').CallExpression | import('estree').Property,
+ *   callback: import('estree').FunctionExpression | import('estree').ArrowFunctionExpression | undefined,
+ *   assertVar: string | null,
+ *   hookName: string | null,
+ * }} TestCallback
  */
-exports.shouldCompareActualFirst = function (calleeNode, assertVar) {
-    const assertionMetadata = getAssertionMetadata(calleeNode, assertVar);
-    if (!assertionMetadata) {
-        return false;
+
+/**
+ * @param {import('estree').CallExpression | import('estree').Property} node
+ * @param {import('estree').Node[]} candidates The nodes that may be the
+ *     callback.
+ * @param {string | null} hookName
+ * @returns {TestCallback}
+ */
+function createTestCallback(node, candidates, hookName) {
+    const callback = exports.getCallback(candidates);
+
+    return {
+        node,
+        callback,
+        assertVar: callback ? exports.getAssertContextName(callback) : null,
+        hookName,
+    };
+}
+
+/**
+ * @param {import('estree').Node} node
+ * @param {import('eslint').Rule.RuleContext} context
+ * @param {boolean} includeHooks
+ * @returns {TestCallback | null}
+ */
+function getTestCallback(node, context, includeHooks) {
+    if (node.type === "CallExpression") {
+        if (exports.isTest(node.callee, context)) {
+            return createTestCallback(node, node.arguments, null);
+        }
+
+        // Hook calls always have a member expression callee, e.g.
+        // `hooks.beforeEach()`.
+        return includeHooks && exports.isHookCall(node, context)
+            ? createTestCallback(
+                  node,
+                  node.arguments,
+                  /** @type {import('estree').Identifier} */ (
+                      /** @type {import('estree').MemberExpression} */ (
+                          node.callee
+                      ).property
+                  ).name,
+              )
+            : null;
     }
 
-    return !!assertionMetadata.compareActualFirst;
+    return includeHooks && exports.isHookProperty(node, context)
+        ? createTestCallback(
+              node,
+              [node.value],
+              /** @type {import('estree').Identifier} */ (node.key).name,
+          )
+        : null;
+}
+
+/**
+ * Creates a stack of the tests (and optionally hooks) being traversed, with
+ * one state per test created by `createState`. Rules call `enter()` and
+ * `exit()` from their `CallExpression` and `Property` visitors (and the
+ * matching `:exit` visitors); both return the state of the test or hook that
+ * the node defines, if any.
+ * @template T
+ * @param {import('eslint').Rule.RuleContext} context
+ * @param {{ includeHooks: boolean, createState: (testCallback: TestCallback) => T }} options
+ * @returns {{ enter: (node: import('estree').Node) => T | null, exit: (node: import('estree').Node) => T | null, current: () => T | null }}
+ */
+exports.createTestStack = function (context, { includeHooks, createState }) {
+    /** @type {Array<{ node: import('estree').Node, state: T }>} */
+    const stack = [];
+
+    return {
+        enter: function (node) {
+            const testCallback = getTestCallback(node, context, includeHooks);
+            if (!testCallback) {
+                return null;
+            }
+
+            const state = createState(testCallback);
+            stack.push({ node, state });
+            return state;
+        },
+
+        exit: function (node) {
+            if (stack.length === 0 || stack[stack.length - 1].node !== node) {
+                return null;
+            }
+
+            return /** @type {{ state: T }} */ (stack.pop()).state;
+        },
+
+        current: function () {
+            return stack.length > 0 ? stack[stack.length - 1].state : null;
+        },
+    };
 };
 
 /**
+ * @typedef {{
+ *   report?: (node: import('estree').CallExpression, data: {assertVar: string, assertion: string}, isGlobal: boolean) => void,
+ *   getSuggestions?: (node: import('estree').CallExpression, context: import('eslint').Rule.RuleContext) => import('eslint').Rule.SuggestionReportDescriptor[],
+ * }} AssertionCheckOptions
+ */
+
+/**
+ * Creates a rule that reports the given assertions in tests. The `report`
+ * option replaces the default report, e.g. for rules that add a fix.
  * @param {string[]} assertions
  * @param {Record<string, {unexpectedGlobalAssertionMessage?: string, unexpectedLocalAssertionMessage?: string, unexpectedGlobalAssertionMessageId?: string, unexpectedLocalAssertionMessageId?: string}>} errorMessageConfig
+ * @param {AssertionCheckOptions} [checkOptions]
  */
-exports.createAssertionCheck = function (assertions, errorMessageConfig) {
+exports.createAssertionCheck = function (
+    assertions,
+    errorMessageConfig,
+    checkOptions = {},
+) {
     /**
      * @param {import('eslint').Rule.RuleContext} context
      */
     return function (context) {
         // Declare a test stack in case of nested test cases (not currently
         // supported by QUnit).
-        /** @type {Array<{assertVar: string | null}>} */
-        const testStack = [];
+        const testStack = exports.createTestStack(context, {
+            includeHooks: false,
+            createState: ({ assertVar }) => ({ assertVar }),
+        });
 
         /**
          * @param {import('estree').Node} calleeNode
@@ -429,9 +2227,10 @@ exports.createAssertionCheck = function (assertions, errorMessageConfig) {
          * @returns {string | null}
          */
         function getCurrentAssertContextVariable() {
-            assert(testStack.length, "Test stack should not be empty");
+            const testState = testStack.current();
+            assert(testState, "Test stack should not be empty");
 
-            return testStack[testStack.length - 1].assertVar;
+            return testState.assertVar;
         }
 
         /**
@@ -484,6 +2283,14 @@ exports.createAssertionCheck = function (assertions, errorMessageConfig) {
             if (!assertion) {
                 return;
             }
+            if (checkOptions.report) {
+                checkOptions.report(
+                    node,
+                    { assertVar: assertVar ?? "", assertion },
+                    isGlobal,
+                );
+                return;
+            }
 
             /** @type {{node: import('estree').CallExpression, data: Record<string,string>, messageId?: string, message?: string}} */
             const reportErrorObject = {
@@ -508,17 +2315,23 @@ exports.createAssertionCheck = function (assertions, errorMessageConfig) {
                     : errorMessageConfigForAssertion.unexpectedLocalAssertionMessage;
             }
 
+            const suggest = checkOptions.getSuggestions
+                ? checkOptions.getSuggestions(node, context)
+                : [];
+
             if (reportErrorObject.messageId) {
                 context.report({
                     node: reportErrorObject.node,
                     messageId: reportErrorObject.messageId,
                     data: reportErrorObject.data,
+                    suggest,
                 });
             } else if (reportErrorObject.message) {
                 context.report({
                     node: reportErrorObject.node,
                     message: reportErrorObject.message,
                     data: reportErrorObject.data,
+                    suggest,
                 });
             } else {
                 assert(false, "No messageId or message found");
@@ -530,19 +2343,11 @@ exports.createAssertionCheck = function (assertions, errorMessageConfig) {
              * @param {import('estree').Node} node
              */
             CallExpression: function (node) {
+                if (testStack.enter(node)) {
+                    return;
+                }
                 if (
-                    node.type === "CallExpression" &&
-                    (exports.isTest(node.callee) ||
-                        exports.isAsyncTest(node.callee))
-                ) {
-                    const assertVar = exports.getAssertContextNameForTest(
-                        node.arguments,
-                    );
-                    testStack.push({
-                        assertVar,
-                    });
-                } else if (
-                    testStack.length > 0 &&
+                    testStack.current() &&
                     node.type === "CallExpression" &&
                     isExpectedAssertion(node.callee)
                 ) {
@@ -553,13 +2358,7 @@ exports.createAssertionCheck = function (assertions, errorMessageConfig) {
              * @param {import('estree').Node} node
              */
             "CallExpression:exit": function (node) {
-                if (
-                    node.type === "CallExpression" &&
-                    (exports.isTest(node.callee) ||
-                        exports.isAsyncTest(node.callee))
-                ) {
-                    testStack.pop();
-                }
+                testStack.exit(node);
             },
         };
     };
@@ -13,7 +13,10 @@ const assert = require("node:assert/strict"),
     fs = require("node:fs"),
     path = require("node:path"),
     plugin = require("../index.js"),
-    recommendedFlatConfig = require("../lib/configs/recommended.js");
+    allFlatConfig = require("../lib/configs/all.js"),
+    legacyMigrationFlatConfig = require("../lib/configs/legacy-migration.js"),
+    recommendedFlatConfig = require("../lib/configs/recommended.js"),
+    strictFlatConfig = require("../lib/configs/strict.js");
 
 //------------------------------------------------------------------------------
 // Tests
@@ -34,12 +37,53 @@ const flatConfigs = Object.fromEntries(
         ]),
 );
 
+/**
+ * Configs other than `all`, each including the ones before it. A rule's
+ * `meta.docs.recommended` names the first of these that enables it, or is
+ * `false` if only `all` does.
+ * @type {Array<keyof typeof configs>}
+ */
+const PRESET_CONFIG_NAMES = ["legacy-migration", "recommended", "strict"];
+
+/**
+ * @param {keyof typeof configs} configName
+ * @returns {string[]} The sorted IDs of the rules whose tag puts them in the config.
+ */
+function getTaggedRuleIds(configName) {
+    /** @type {ReadonlySet<unknown>} */
+    const tags = new Set(
+        PRESET_CONFIG_NAMES.slice(
+            0,
+            PRESET_CONFIG_NAMES.indexOf(configName) + 1,
+        ),
+    );
+
+    return Object.entries(rules)
+        .filter(([, rule]) => tags.has(rule.meta?.docs?.recommended))
+        .map(([ruleName]) => `qunit/${ruleName}`)
+        .sort();
+}
+
 describe("index.js", function () {
     describe("rules", function () {
         it("should export every rule file on disk and no extras", function () {
             assert.strictEqual(Object.keys(rules).length, ruleNames.length);
         });
 
+        it("should name the smallest config enabling each rule in meta.docs.recommended", function () {
+            for (const [ruleName, rule] of Object.entries(rules)) {
+                const tag = rule.meta?.docs?.recommended;
+
+                assert.ok(
+                    tag === false ||
+                        /** @type {unknown[]} */ (PRESET_CONFIG_NAMES).includes(
+                            tag,
+                        ),
+                    `${ruleName} has unknown meta.docs.recommended ${tag}`,
+                );
+            }
+        });
+
         for (const ruleName of ruleNames) {
             describe(ruleName, function () {
                 it("should appear in rule exports", function () {
@@ -96,8 +140,86 @@ describe("index.js", function () {
                     it("has the right plugins", function () {
                         assert.deepStrictEqual(config.plugins, ["qunit"]);
                     });
+
+                    it("only configures existing rules", function () {
+                        for (const ruleId of Object.keys(config.rules)) {
+                            assert.ok(
+                                ruleId.startsWith("qunit/") &&
+                                    ruleId.slice("qunit/".length) in rules,
+                                `${ruleId} is not a rule of this plugin`,
+                            );
+                        }
+                    });
+
+                    it("has a matching flat config", function () {
+                        assert.ok(
+                            configName in flatConfigs,
+                            `lib/configs/${configName}.js should exist`,
+                        );
+                        assert.deepStrictEqual(
+                            flatConfigs[configName].rules,
+                            config.rules,
+                        );
+                    });
                 });
             }
+
+            describe("all", function () {
+                it("enables every rule", function () {
+                    assert.deepStrictEqual(
+                        Object.keys(configs.all.rules),
+                        Object.keys(rules).map(
+                            (ruleName) => `qunit/${ruleName}`,
+                        ),
+                    );
+                });
+            });
+
+            describe("recommended", function () {
+                it("enables the rules tagged for it in meta.docs.recommended", function () {
+                    assert.deepStrictEqual(
+                        Object.keys(configs.recommended.rules).sort(),
+                        getTaggedRuleIds("recommended"),
+                    );
+                });
+            });
+
+            describe("strict", function () {
+                it("enables the rules tagged for it in meta.docs.recommended", function () {
+                    assert.deepStrictEqual(
+                        Object.keys(configs.strict.rules).sort(),
+                        getTaggedRuleIds("strict"),
+                    );
+                });
+
+                it("includes every recommended rule", function () {
+                    for (const [ruleId, severity] of Object.entries(
+                        configs.recommended.rules,
+                    )) {
+                        assert.strictEqual(
+                            configs.strict.rules[ruleId],
+                            severity,
+                        );
+                    }
+                });
+            });
+
+            describe("legacy-migration", function () {
+                it("enables the rules tagged for it in meta.docs.recommended", function () {
+                    assert.deepStrictEqual(
+                        Object.keys(configs["legacy-migration"].rules).sort(),
+                        getTaggedRuleIds("legacy-migration"),
+                    );
+                });
+
+                it("only warns", function () {
+                    for (const severity of Object.values(
+                        configs["legacy-migration"].rules,
+                    )) {
+                        assert.strictEqual(severity, "warn");
+                    }
+                });
+            });
         });
 
         describe("flat", function () {
@@ -132,6 +254,33 @@ describe("index.js", function () {
                         );
                     });
                 });
+
+                describe("strict", function () {
+                    it("has the right rules", function () {
+                        assert.deepStrictEqual(
+                            strictFlatConfig.rules,
+                            plugin.configs.strict.rules,
+                        );
+                    });
+                });
+
+                describe("legacy-migration", function () {
+                    it("has the right rules", function () {
+                        assert.deepStrictEqual(
+                            legacyMigrationFlatConfig.rules,
+                            plugin.configs["legacy-migration"].rules,
+                        );
+                    });
+                });
+
+                describe("all", function () {
+                    it("has the right rules", function () {
+                        assert.deepStrictEqual(
+                            allFlatConfig.rules,
+                            plugin.configs.all.rules,
+                        );
+                    });
+                });
             });
         });
     });
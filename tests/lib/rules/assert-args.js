@@ -198,6 +198,45 @@ ruleTester.run("assert-args", rule, {
             "assert.notPropEqual(obj[key], expected, key + ' value is true');",
         ),
 
+        // propContains/notPropContains
+        testUtils.wrapInTest("assert.propContains(result, expected);"),
+        testUtils.wrapInTest(
+            "assert.propContains(result, expected, 'Message');",
+        ),
+        testUtils.wrapInTest("assert.notPropContains(result, expected);"),
+        testUtils.wrapInTest(
+            "assert.notPropContains(result, expected, 'Message');",
+        ),
+
+        // closeTo
+        testUtils.wrapInTest("assert.closeTo(result, expected, 0.1);"),
+        testUtils.wrapInTest(
+            "assert.closeTo(result, expected, 0.1, 'Message');",
+        ),
+
+        // rejects
+        testUtils.wrapInTest("assert.rejects(promise);"),
+        testUtils.wrapInTest("assert.rejects(promise, 'Message');"),
+        testUtils.wrapInTest("assert.rejects(promise, TypeError);"),
+        testUtils.wrapInTest("assert.rejects(promise, TypeError, 'Message');"),
+
+        // step/verifySteps
+        testUtils.wrapInTest("assert.step('one');"),
+        testUtils.wrapInTest("assert.verifySteps(['one']);"),
+        testUtils.wrapInTest("assert.verifySteps(['one'], 'Message');"),
+
+        // timeout
+        testUtils.wrapInTest("assert.timeout(100);"),
+
+        // pushResult
+        testUtils.wrapInTest(
+            "assert.pushResult({ result, actual, expected, message });",
+        ),
+
+        // assertions that were never globals
+        testUtils.wrapInTest("step();"),
+        testUtils.wrapInTest("timeout(100, 200);"),
+
         // not actually assertions
         testUtils.wrapInTest("notAnAssertion(result, expected);"),
         testUtils.wrapInTest("getAssertion()(result, expected);"),
@@ -211,6 +250,86 @@ ruleTester.run("assert-args", rule, {
     ],
 
     invalid: [
+        // assertions without a message argument
+        {
+            code: testUtils.wrapInTest("assert.step('one', 'two');"),
+            errors: [
+                {
+                    messageId: "unexpectedArgCountNoMessage",
+                    data: {
+                        callee: "assert.step",
+                        argCount: 2,
+                    },
+                },
+            ],
+        },
+        {
+            code: testUtils.wrapInTest("assert.timeout(100, 'Message');"),
+            errors: [
+                {
+                    messageId: "unexpectedArgCountNoMessage",
+                    data: {
+                        callee: "assert.timeout",
+                        argCount: 2,
+                    },
+                },
+            ],
+        },
+        {
+            code: testUtils.wrapInTest("assert.pushResult();"),
+            errors: [
+                {
+                    messageId: "unexpectedArgCountNoMessage",
+                    data: {
+                        callee: "assert.pushResult",
+                        argCount: 0,
+                    },
+                },
+            ],
+        },
+
+        // closeTo
+        {
+            code: testUtils.wrapInTest("assert.closeTo(result, expected);"),
+            errors: [
+                {
+                    messageId: "unexpectedArgCountNoMessage",
+                    data: {
+                        callee: "assert.closeTo",
+                        argCount: 2,
+                    },
+                },
+            ],
+        },
+
+        // rejects/verifySteps
+        {
+            code: testUtils.wrapInTest("assert.rejects();"),
+            errors: [
+                {
+                    messageId: "unexpectedArgCountNoMessage",
+                    data: {
+                        callee: "assert.rejects",
+                        argCount: 0,
+                    },
+                },
+            ],
+        },
+        {
+            code: testUtils.wrapInTest(
+                "assert.verifySteps(['one'], 'two', 'Message');",
+            ),
+            errors: [
+                {
+                    messageId: "unexpectedArgCount",
+                    data: {
+                        callee: "assert.verifySteps",
+                        argCount: 3,
+                    },
+                },
+            ],
+        },
+
         // ok
         {
             code: testUtils.wrapInTest("ok();"),
@@ -84,10 +84,21 @@ ruleTester.run("literal-compare-order", rule, {
             "assert.notPropEqual(variable, 'Literal', 'Message');",
         ),
 
+        // propContains/notPropContains/closeTo
+        testUtils.wrapInTest("assert.propContains(variable, { a: 1 });"),
+        testUtils.wrapInTest("assert.notPropContains(variable, { a: 1 });"),
+        testUtils.wrapInTest("assert.closeTo(variable, 0.3, 0.01);"),
+
         // avoid crash in BDD-style assertions
         "QUnit.test('Name', function() { expect(variable).to.equal('Literal'); });",
 
         "QUnit.test('Name', function() { router.on('routerDidChange', () => {}); });",
+
+        // type information is ignored if it is not available
+        {
+            code: testUtils.wrapInTest("assert.equal(Direction.Up, value);"),
+            options: [{ useTypeInformation: true }],
+        },
     ],
     invalid: [
         // equal
@@ -649,5 +660,146 @@ ruleTester.run("literal-compare-order", rule, {
                 },
             ],
         },
+        {
+            code: testUtils.wrapInTest(
+                "assert.propContains('Literal', variable);",
+            ),
+            output: testUtils.wrapInTest(
+                "assert.propContains(variable, 'Literal');",
+            ),
+            errors: [
+                {
+                    messageId: "actualFirst",
+                    data: {
+                        expected: "'Literal'",
+                        actual: "variable",
+                    },
+                },
+            ],
+        },
+        {
+            code: testUtils.wrapInTest("assert.closeTo(0.3, variable, 0.01);"),
+            output: testUtils.wrapInTest(
+                "assert.closeTo(variable, 0.3, 0.01);",
+            ),
+            errors: [
+                {
+                    messageId: "actualFirst",
+                    data: {
+                        expected: "0.3",
+                        actual: "variable",
+                    },
+                },
+            ],
+        },
     ],
 });
+
+//------------------------------------------------------------------------------
+// Tests with type information
+//------------------------------------------------------------------------------
+
+const declarations = [
+    "declare const QUnit: any;",
+    "declare const value: number;",
+    "const enum Direction { Up, Down }",
+    "const COLORS = { red: 'red' } as const;",
+    "const SETTINGS = { color: 'red' };",
+    "const THEME = { colors: [{ name: 'red' }] } as const;",
+    "declare const action: { type: 'add' } | { type: 'remove' };",
+].join("\n");
+
+const typedTests = {
+    valid: [
+        {
+            code: `${declarations}\n${testUtils.wrapInTest("assert.equal(value, Direction.Up);")}`,
+            options: [{ useTypeInformation: true }],
+        },
+        {
+            code: `${declarations}\n${testUtils.wrapInTest("assert.equal(value, COLORS.red);")}`,
+            options: [{ useTypeInformation: true }],
+        },
+
+        // Properties of mutable objects are not literals
+        {
+            code: `${declarations}\n${testUtils.wrapInTest("assert.equal(SETTINGS.color, value);")}`,
+            options: [{ useTypeInformation: true }],
+        },
+
+        // Discriminants of unions are variables, even with a literal type
+        {
+            code: `${declarations}\n${testUtils.wrapInTest("if (action.type === 'add') { assert.equal(action.type, value); }")}`,
+            options: [{ useTypeInformation: true }],
+        },
+
+        // Both arguments are literals
+        {
+            code: `${declarations}\n${testUtils.wrapInTest("assert.equal(Direction.Up, 0);")}`,
+            options: [{ useTypeInformation: true }],
+        },
+
+        // Member expressions are only treated as literals with the option
+        `${declarations}\n${testUtils.wrapInTest("assert.equal(Direction.Up, value);")}`,
+    ],
+
+    invalid: [
+        {
+            code: `${declarations}\n${testUtils.wrapInTest("assert.equal(Direction.Up, value);")}`,
+            output: `${declarations}\n${testUtils.wrapInTest("assert.equal(value, Direction.Up);")}`,
+            options: [{ useTypeInformation: true }],
+            errors: [
+                {
+                    messageId: "actualFirst",
+                    data: {
+                        expected: "Direction.Up",
+                        actual: "value",
+                    },
+                },
+            ],
+        },
+        {
+            code: `${declarations}\n${testUtils.wrapInTest("assert.strictEqual(COLORS.red, value);")}`,
+            output: `${declarations}\n${testUtils.wrapInTest("assert.strictEqual(value, COLORS.red);")}`,
+            options: [{ useTypeInformation: true }],
+            errors: [
+                {
+                    messageId: "actualFirst",
+                    data: {
+                        expected: "COLORS.red",
+                        actual: "value",
+                    },
+                },
+            ],
+        },
+        {
+            code: `${declarations}\n${testUtils.wrapInTest("assert.equal(THEME.colors[0].name, value);")}`,
+            output: `${declarations}\n${testUtils.wrapInTest("assert.equal(value, THEME.colors[0].name);")}`,
+            options: [{ useTypeInformation: true }],
+            errors: [
+                {
+                    messageId: "actualFirst",
+                    data: {
+                        expected: "THEME.colors[0].name",
+                        actual: "value",
+                    },
+                },
+            ],
+        },
+        {
+            code: `${declarations}\n${testUtils.wrapInTest("assert.notStrictEqual(Direction.Down, value);")}`,
+            output: `${declarations}\n${testUtils.wrapInTest("assert.notStrictEqual(value, Direction.Down);")}`,
+            options: [{ useTypeInformation: true }],
+            errors: [
+                {
+                    messageId: "actualFirst",
+                    data: {
+                        expected: "Direction.Down",
+                        actual: "value",
+                    },
+                },
+            ],
+        },
+    ],
+};
+
+testUtils.runTypedRuleTester("literal-compare-order", rule, typedTests);
@@ -0,0 +1,394 @@
+/**
+ * @fileoverview Enforce a maximum number of assertions in tests, hooks and
+ * modules.
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const rule = require("../../../lib/rules/max-assertions"),
+    RuleTester = require("eslint").RuleTester,
+    outdent = require("outdent").default;
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * @param {number} count
+ * @param {string} [assertVar]
+ * @returns {string}
+ */
+function assertions(count, assertVar = "assert") {
+    return Array.from(
+        { length: count },
+        (_, index) => `${assertVar}.ok(${index});`,
+    ).join(" ");
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+
+ruleTester.run("max-assertions", rule, {
+    valid: [
+        // Default maximum of 10 assertions per test
+        `QUnit.test('name', function (assert) { ${assertions(10)} });`,
+        `QUnit.test('name', function (foo) { ${assertions(10, "foo")} });`,
+        `QUnit.test('name', function () { ${assertions(11, "other")} });`,
+        `QUnit.test('name', function (assert) { assert.timeout(10); ${assertions(10)} });`,
+
+        // Custom maximum
+        {
+            code: "QUnit.test('name', function (assert) { assert.ok(a); assert.ok(b); });",
+            options: [{ max: 2 }],
+        },
+
+        // Hooks and modules are not checked by default
+        `QUnit.module('name', { beforeEach: function (assert) { ${assertions(11)} } });`,
+        `QUnit.module('name', function (hooks) { hooks.beforeEach(function (assert) { ${assertions(11)} }); });`,
+        `QUnit.hooks.beforeEach(function (assert) { ${assertions(11)} });`,
+        outdent`
+          QUnit.module('name', function () {
+              QUnit.test('first', function (assert) { ${assertions(10)} });
+              QUnit.test('second', function (assert) { ${assertions(10)} });
+          });
+        `,
+
+        // Hook maximum
+        {
+            code: "QUnit.module('name', { beforeEach: function (assert) { assert.ok(a); } });",
+            options: [{ maxPerHook: 1 }],
+        },
+
+        // Module maximum
+        {
+            code: outdent`
+              QUnit.module('first', function () {
+                  QUnit.test('test', function (assert) { ${assertions(2)} });
+              });
+              QUnit.module('second', function () {
+                  QUnit.test('test', function (assert) { ${assertions(2)} });
+              });
+            `,
+            options: [{ maxPerModule: 2 }],
+        },
+        {
+            code: outdent`
+              QUnit.module('first');
+              QUnit.test('test', function (assert) { ${assertions(2)} });
+              QUnit.module('second');
+              QUnit.test('test', function (assert) { ${assertions(2)} });
+            `,
+            options: [{ maxPerModule: 2 }],
+        },
+        {
+            // Tests outside of modules
+            code: `QUnit.test('name', function (assert) { ${assertions(3)} });`,
+            options: [{ maxPerModule: 2 }],
+        },
+
+        // Counting assert.expect()
+        {
+            code: `QUnit.test('name', function (assert) { assert.expect(2); ${assertions(3)} });`,
+            options: [{ max: 2, countExpect: true }],
+        },
+        {
+            code: "QUnit.test('name', function (assert) { assert.expect(3); assert.ok(a); });",
+            options: [{ max: 2 }],
+        },
+
+        // Not a test
+        `foo('name', function (assert) { ${assertions(11)} });`,
+    ],
+
+    invalid: [
+        {
+            code: `QUnit.test('name', function (assert) { ${assertions(11)} });`,
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInTest",
+                    data: { name: "name", count: "11", max: "10" },
+                    line: 1,
+                    column: 1,
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', function (assert) { assert.ok(a); assert.equal(b, c); assert.throws(d); });",
+            options: [{ max: 2 }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInTest",
+                    data: { name: "name", count: "3", max: "2" },
+                },
+            ],
+        },
+        {
+            // Assertions in nested functions
+            code: "QUnit.test('name', function (assert) { items.forEach((item) => { assert.ok(item); assert.ok(item.id); }); });",
+            options: [{ max: 1 }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInTest",
+                    data: { name: "name", count: "2", max: "1" },
+                },
+            ],
+        },
+        {
+            // Global assertions
+            code: "test('name', function () { ok(a); equal(b, c); });",
+            options: [{ max: 1 }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInTest",
+                    data: { name: "name", count: "2", max: "1" },
+                },
+            ],
+        },
+        {
+            code: "QUnit.test.each('name ' + suffix, [1], (assert, value) => { assert.ok(value); assert.ok(a); });",
+            options: [{ max: 1 }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInTest",
+                    data: {
+                        name: "'name ' + suffix",
+                        count: "2",
+                        max: "1",
+                    },
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', function (assert) { assert.ok(a); });",
+            options: [{ max: 0 }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInTest",
+                    data: { name: "name", count: "1", max: "0" },
+                },
+            ],
+        },
+
+        // Counting assert.expect()
+        {
+            code: "QUnit.test('name', function (assert) { assert.expect(3); assert.ok(a); });",
+            options: [{ max: 2, countExpect: true }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInTest",
+                    data: { name: "name", count: "3", max: "2" },
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', function () { expect(3); });",
+            options: [{ max: 2, countExpect: true }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInTest",
+                    data: { name: "name", count: "3", max: "2" },
+                },
+            ],
+        },
+        {
+            // Tests without assert.expect() count their assertions
+            code: `QUnit.test('name', function (assert) { assert.expect(count); ${assertions(3)} });`,
+            options: [{ max: 2, countExpect: true }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInTest",
+                    data: { name: "name", count: "3", max: "2" },
+                },
+            ],
+        },
+
+        // Hooks
+        {
+            code: "QUnit.module('name', { beforeEach: function (assert) { assert.ok(a); assert.ok(b); } });",
+            options: [{ maxPerHook: 1 }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInHook",
+                    data: { name: "beforeEach", count: "2", max: "1" },
+                    column: 24,
+                },
+            ],
+        },
+        {
+            code: "QUnit.module('name', function (hooks) { hooks.afterEach((assert) => { assert.ok(a); assert.ok(b); }); });",
+            options: [{ maxPerHook: 1 }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInHook",
+                    data: { name: "hooks.afterEach", count: "2", max: "1" },
+                },
+            ],
+        },
+        {
+            code: "QUnit.module.only('name', function (hooks) { hooks.beforeEach((assert) => { assert.ok(a); assert.ok(b); }); });",
+            options: [{ maxPerHook: 1 }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInHook",
+                    data: { name: "hooks.beforeEach", count: "2", max: "1" },
+                },
+            ],
+        },
+        {
+            code: "QUnit.module.skip('name', { beforeEach: function (assert) { assert.ok(a); assert.ok(b); } });",
+            options: [{ maxPerHook: 1 }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInHook",
+                    data: { name: "beforeEach", count: "2", max: "1" },
+                },
+            ],
+        },
+        {
+            code: "QUnit.hooks.beforeEach(function (assert) { assert.ok(a); assert.ok(b); });",
+            options: [{ maxPerHook: 1 }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInHook",
+                    data: {
+                        name: "QUnit.hooks.beforeEach",
+                        count: "2",
+                        max: "1",
+                    },
+                },
+            ],
+        },
+        {
+            code: "QUnit.module('name', { beforeEach: function (assert) { assert.expect(2); } });",
+            options: [{ maxPerHook: 1, countExpect: true }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInHook",
+                    data: { name: "beforeEach", count: "2", max: "1" },
+                },
+            ],
+        },
+
+        // Modules
+        {
+            code: outdent`
+              QUnit.module('name', function (hooks) {
+                  hooks.beforeEach(function (assert) { assert.ok(a); });
+                  QUnit.test('first', function (assert) { assert.ok(b); });
+                  QUnit.test('second', function (assert) { assert.ok(c); });
+              });
+            `,
+            options: [{ maxPerModule: 2 }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInModule",
+                    data: { name: "name", count: "3", max: "2" },
+                    line: 1,
+                },
+            ],
+        },
+        {
+            code: outdent`
+              QUnit.module.todo('name', function () {
+                  QUnit.test('first', function (assert) { assert.ok(a); });
+                  QUnit.test('second', function (assert) { assert.ok(b); assert.ok(c); });
+              });
+            `,
+            options: [{ maxPerModule: 2 }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInModule",
+                    data: { name: "name", count: "3", max: "2" },
+                    line: 1,
+                },
+            ],
+        },
+        {
+            // Nested modules count towards their parent modules
+            code: outdent`
+              QUnit.module('parent', function () {
+                  QUnit.test('first', function (assert) { assert.ok(a); });
+                  QUnit.module('child', function () {
+                      QUnit.test('second', function (assert) { assert.ok(b); assert.ok(c); });
+                  });
+              });
+            `,
+            options: [{ maxPerModule: 2 }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInModule",
+                    data: { name: "parent", count: "3", max: "2" },
+                    line: 1,
+                },
+            ],
+        },
+        {
+            code: outdent`
+              QUnit.module('first', { beforeEach: function (assert) { assert.ok(a); } });
+              QUnit.test('test', function (assert) { ${assertions(2)} });
+              QUnit.module('second', function () {});
+              QUnit.test('test', function (assert) { ${assertions(3)} });
+              QUnit.module('third');
+              QUnit.test('test', function (assert) { ${assertions(3)} });
+            `,
+            options: [{ maxPerModule: 2 }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInModule",
+                    data: { name: "first", count: "3", max: "2" },
+                    line: 1,
+                },
+                {
+                    messageId: "tooManyAssertionsInModule",
+                    data: { name: "third", count: "3", max: "2" },
+                    line: 5,
+                },
+            ],
+        },
+
+        {
+            code: "QUnit.module(); QUnit.test('test', function (assert) { assert.ok(a); assert.ok(b); });",
+            options: [{ maxPerModule: 1 }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInModule",
+                    data: { name: "", count: "2", max: "1" },
+                },
+            ],
+        },
+
+        // Module and test functions from the shared settings
+        {
+            code: outdent`
+              moduleFor('name', function () {
+                  testInBrowser('test', function (assert) { ${assertions(2)} });
+              });
+            `,
+            options: [{ max: 1, maxPerModule: 1 }],
+            errors: [
+                {
+                    messageId: "tooManyAssertionsInModule",
+                    data: { name: "name", count: "2", max: "1" },
+                    line: 1,
+                },
+                {
+                    messageId: "tooManyAssertionsInTest",
+                    data: { name: "test", count: "2", max: "1" },
+                    line: 2,
+                },
+            ],
+            settings: {
+                qunit: {
+                    moduleFunctions: ["moduleFor"],
+                    testFunctions: ["testInBrowser"],
+                },
+            },
+        },
+    ],
+});
@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Enforce a maximum depth of nested modules.
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const rule = require("../../../lib/rules/max-nested-modules"),
+    RuleTester = require("eslint").RuleTester,
+    outdent = require("outdent").default;
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+
+ruleTester.run("max-nested-modules", rule, {
+    valid: [
+        // Default maximum depth of 3
+        outdent`
+          QUnit.module('first', function () {
+              QUnit.module('second', function () {
+                  QUnit.module('third', function () {
+                      QUnit.test('test', function (assert) { assert.ok(true); });
+                  });
+              });
+          });
+        `,
+        outdent`
+          QUnit.module('first', () => {
+              QUnit.module('second', () => {});
+              QUnit.module('sibling', () => {});
+          });
+          QUnit.module('other', () => {});
+        `,
+
+        // Flat modules
+        "QUnit.module('first'); QUnit.module('second'); QUnit.module('third'); QUnit.module('fourth');",
+
+        // Custom maximum depth
+        {
+            code: "QUnit.module('first', function () { QUnit.module('second', function () {}); });",
+            options: [{ max: 2 }],
+        },
+
+        // Only counting modules with hooks
+        {
+            code: outdent`
+              QUnit.module('first', function (hooks) {
+                  hooks.beforeEach(function () {});
+                  QUnit.module('second', function () {
+                      QUnit.module('third', function (hooks) {
+                          QUnit.test('test', function (assert) { assert.ok(true); });
+                      });
+                  });
+              });
+            `,
+            options: [{ max: 1, onlyModulesWithHooks: true }],
+        },
+        {
+            code: outdent`
+              QUnit.module('first', { beforeEach: function () {} }, function () {
+                  QUnit.module('second', { foo: 1 }, function () {
+                      QUnit.module('third', (hooks) => setup(hooks));
+                  });
+              });
+            `,
+            options: [{ max: 1, onlyModulesWithHooks: true }],
+        },
+        {
+            // Hooks registered on other objects, or on the hooks of an
+            // ancestor module
+            code: outdent`
+              QUnit.module('first', function (hooks) {
+                  hooks.beforeEach(function () {});
+                  QUnit.module('second', function (nestedHooks) {
+                      hooks.afterEach(function () {});
+                      other.beforeEach(function () {});
+                      nestedHooks.foo(function () {});
+                      setup(nestedHooks);
+                  });
+              });
+            `,
+            options: [{ max: 1, onlyModulesWithHooks: true }],
+        },
+
+        // Not a module
+        "foo('first', function () { foo('second', function () { foo('third', function () { foo('fourth', function () {}); }); }); });",
+    ],
+
+    invalid: [
+        {
+            code: outdent`
+              QUnit.module('first', function () {
+                  QUnit.module('second', function () {
+                      QUnit.module('third', function () {
+                          QUnit.module('fourth', function () {
+                              QUnit.module('fifth', function () {});
+                          });
+                      });
+                  });
+              });
+            `,
+            errors: [
+                {
+                    messageId: "tooDeeplyNested",
+                    data: { name: "fourth", depth: "4", max: "3" },
+                    line: 4,
+                    column: 13,
+                },
+                {
+                    messageId: "tooDeeplyNested",
+                    data: { name: "fifth", depth: "5", max: "3" },
+                    line: 5,
+                },
+            ],
+        },
+        {
+            // Module variants count as levels, too
+            code: outdent`
+              QUnit.module.only('first', function () {
+                  QUnit.module.skip('second', function () {
+                      QUnit.module.todo('third', function () {
+                          QUnit.module.only('fourth', function () {});
+                      });
+                  });
+              });
+            `,
+            errors: [
+                {
+                    messageId: "tooDeeplyNested",
+                    data: { name: "fourth", depth: "4", max: "3" },
+                    line: 4,
+                },
+            ],
+        },
+        {
+            code: "QUnit.module('first', function () { QUnit.module(name, function () {}); QUnit.module('flat'); });",
+            options: [{ max: 1 }],
+            errors: [
+                {
+                    messageId: "tooDeeplyNested",
+                    data: { name: "name", depth: "2", max: "1" },
+                },
+                {
+                    messageId: "tooDeeplyNested",
+                    data: { name: "flat", depth: "2", max: "1" },
+                },
+            ],
+        },
+        {
+            code: "QUnit.module();",
+            options: [{ max: 0 }],
+            errors: [
+                {
+                    messageId: "tooDeeplyNested",
+                    data: { name: "", depth: "1", max: "0" },
+                },
+            ],
+        },
+
+        // Only counting modules with hooks
+        {
+            code: outdent`
+              QUnit.module('first', function (hooks) {
+                  hooks.beforeEach(function () {});
+                  QUnit.module('second', function () {
+                      QUnit.module('third', { afterEach: function () {} }, function () {});
+                  });
+              });
+            `,
+            options: [{ max: 1, onlyModulesWithHooks: true }],
+            errors: [
+                {
+                    messageId: "tooDeeplyNested",
+                    data: { name: "third", depth: "2", max: "1" },
+                    line: 4,
+                },
+            ],
+        },
+        {
+            code: outdent`
+              QUnit.module('first', function (hooks) {
+                  QUnit.module('second', function (nestedHooks) {
+                      QUnit.test('test', function (assert) { assert.ok(true); });
+                      nestedHooks.after(function () {});
+                  });
+                  hooks.before(function () {});
+              });
+            `,
+            options: [{ max: 1, onlyModulesWithHooks: true }],
+            errors: [
+                {
+                    messageId: "tooDeeplyNested",
+                    data: { name: "second", depth: "2", max: "1" },
+                },
+            ],
+        },
+
+        {
+            // Hooks registered in nested blocks and arrow function bodies
+            code: outdent`
+              QUnit.module('first', { beforeEach: function () {} }, function () {
+                  QUnit.module('second', function (hooks) {
+                      if (enabled) {
+                          hooks.beforeEach(function () {});
+                      }
+                  });
+                  QUnit.module('third', (hooks) => hooks.beforeEach(setup));
+              });
+            `,
+            options: [{ max: 1, onlyModulesWithHooks: true }],
+            errors: [
+                {
+                    messageId: "tooDeeplyNested",
+                    data: { name: "second", depth: "2", max: "1" },
+                    line: 2,
+                },
+                {
+                    messageId: "tooDeeplyNested",
+                    data: { name: "third", depth: "2", max: "1" },
+                    line: 7,
+                },
+            ],
+        },
+
+        // Module functions and hook names from the shared settings
+        {
+            code: outdent`
+              moduleFor('first', function (hooks) {
+                  hooks.setupTest(function () {});
+                  moduleFor('second', { setupTest: function () {} });
+              });
+            `,
+            options: [{ max: 1, onlyModulesWithHooks: true }],
+            errors: [
+                {
+                    messageId: "tooDeeplyNested",
+                    data: { name: "second", depth: "2", max: "1" },
+                },
+            ],
+            settings: {
+                qunit: {
+                    moduleFunctions: ["moduleFor"],
+                    hookNames: ["setupTest"],
+                },
+            },
+        },
+    ],
+});
@@ -40,6 +40,12 @@ ruleTester.run("no-arrow-tests", rule, {
         "module('module', { teardown: function () {} });",
         "module('module', { beforeEach: function () {} });",
         "module('module', { afterEach: function () {} });",
+        "QUnit.module('module', { before: function () {} });",
+        "QUnit.module('module', { after: function () {} });",
+        "QUnit.hooks.beforeEach(function () {});",
+        "QUnit.test.each('test', [1, 2], function (assert, data) {});",
+        "QUnit.test.each('test');",
+        "QUnit.hooks.afterEach(function () {});",
 
         // not actually module hooks
         outdent`
@@ -157,6 +163,51 @@ ruleTester.run("no-arrow-tests", rule, {
                 },
             ],
         },
+        {
+            code: "QUnit.module('module', { before: () => {} });",
+            output: "QUnit.module('module', { before: function() {} });",
+            errors: [
+                {
+                    messageId: "noArrowFunction",
+                },
+            ],
+        },
+        {
+            code: "QUnit.module('module', { after: () => {} });",
+            output: "QUnit.module('module', { after: function() {} });",
+            errors: [
+                {
+                    messageId: "noArrowFunction",
+                },
+            ],
+        },
+        {
+            code: "QUnit.test.each('test', [1, 2], (assert, data) => {});",
+            output: "QUnit.test.each('test', [1, 2], function(assert, data) {});",
+            errors: [
+                {
+                    messageId: "noArrowFunction",
+                },
+            ],
+        },
+        {
+            code: "QUnit.hooks.beforeEach(() => {});",
+            output: "QUnit.hooks.beforeEach(function() {});",
+            errors: [
+                {
+                    messageId: "noArrowFunction",
+                },
+            ],
+        },
+        {
+            code: "import { hooks } from 'qunit'; hooks.afterEach(() => {});",
+            output: "import { hooks } from 'qunit'; hooks.afterEach(function() {});",
+            errors: [
+                {
+                    messageId: "noArrowFunction",
+                },
+            ],
+        },
         {
             code: "QUnit.module('module', { beforeEach: () => {} });",
             output: "QUnit.module('module', { beforeEach: function() {} });",
@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Forbid assert.async() in async test callbacks and hooks.
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const rule = require("../../../lib/rules/no-assert-async-in-async-function"),
+    RuleTester = require("eslint").RuleTester,
+    outdent = require("outdent").default;
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+
+ruleTester.run("no-assert-async-in-async-function", rule, {
+    valid: [
+        // assert.async() in synchronous callbacks
+        "QUnit.test('name', function (assert) { const done = assert.async(); setTimeout(done); });",
+        "QUnit.test('name', (assert) => { const done = assert.async(); setTimeout(done); });",
+        "QUnit.module('name', { beforeEach: function (assert) { const done = assert.async(); setTimeout(done); } });",
+        "QUnit.hooks.beforeEach(function (assert) { const done = assert.async(); setTimeout(done); });",
+        "QUnit.module('name', function (hooks) { hooks.beforeEach(function (assert) { const done = assert.async(); setTimeout(done); }); });",
+
+        // Async callbacks without assert.async()
+        "QUnit.test('name', async function (assert) { await promise; assert.ok(true); });",
+        "QUnit.test('name', async (assert) => { await promise; assert.ok(true); });",
+
+        // Different assert context or no assert context
+        "QUnit.test('name', async function (assert) { const done = other.async(); });",
+        "QUnit.test('name', async function () { const done = assert.async(); });",
+
+        // Async nested functions in synchronous tests
+        "QUnit.test('name', function (assert) { const done = assert.async(); (async () => { await promise; done(); })(); });",
+
+        // Not a test
+        "foo('name', async function (assert) { const done = assert.async(); });",
+    ],
+
+    invalid: [
+        {
+            code: "QUnit.test('name', async function (assert) { const done = assert.async(); await promise; done(); });",
+            errors: [
+                {
+                    messageId: "noAssertAsync",
+                    data: { assertVar: "assert" },
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', async (foo) => { const done = foo.async(); setTimeout(done); });",
+            errors: [
+                {
+                    messageId: "noAssertAsync",
+                    data: { assertVar: "foo" },
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', async function (assert) { setTimeout(assert.async()); });",
+            errors: [
+                {
+                    messageId: "noAssertAsync",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', async function (assert) { const done = assert.async(2); promise.then(() => done()); });",
+            errors: [
+                {
+                    messageId: "noAssertAsync",
+                    suggestions: [],
+                },
+            ],
+        },
+
+        // Hooks
+        {
+            code: "QUnit.module('name', { beforeEach: async function (assert) { const done = assert.async(); setTimeout(done); } });",
+            errors: [
+                {
+                    messageId: "noAssertAsync",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.hooks.afterEach(async function (assert) { const done = assert.async(); setTimeout(done); });",
+            errors: [
+                {
+                    messageId: "noAssertAsync",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.module('name', function (hooks) { hooks.beforeEach(async function (assert) { const done = assert.async(); setTimeout(done); }); });",
+            errors: [
+                {
+                    messageId: "noAssertAsync",
+                    suggestions: [],
+                },
+            ],
+        },
+
+        // Promise callbacks can be converted to await
+        {
+            code: "QUnit.test('name', async function (assert) { const done = assert.async(); promise.then(() => done()); });",
+            errors: [
+                {
+                    messageId: "noAssertAsync",
+                    suggestions: [
+                        {
+                            messageId: "useAwait",
+                            data: { assertVar: "assert" },
+                            output: "QUnit.test('name', async function (assert) { await promise; });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', async function (assert) { var done = assert.async(); load().then(function () { done(); }); });",
+            errors: [
+                {
+                    messageId: "noAssertAsync",
+                    suggestions: [
+                        {
+                            messageId: "useAwait",
+                            output: "QUnit.test('name', async function (assert) { await load(); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', async function (assert) { let done = assert.async(); (a || b).then(done); });",
+            errors: [
+                {
+                    messageId: "noAssertAsync",
+                    suggestions: [
+                        {
+                            messageId: "useAwait",
+                            output: "QUnit.test('name', async function (assert) { await (a || b); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: outdent`
+              QUnit.test('name', async (assert) => {
+                  const done = assert.async();
+                  await setup();
+                  render().then(() => {
+                      done();
+                  });
+              });
+            `,
+            errors: [
+                {
+                    messageId: "noAssertAsync",
+                    suggestions: [
+                        {
+                            messageId: "useAwait",
+                            output: outdent`
+                              QUnit.test('name', async (assert) => {
+                                  await setup();
+                                  await render();
+                              });
+                            `,
+                        },
+                    ],
+                },
+            ],
+        },
+
+        // No suggestion if done() is used elsewhere or the handler does more
+        {
+            code: "QUnit.test('name', async function (assert) { const done = assert.async(); promise.then(() => done()); other.then(done); });",
+            errors: [
+                {
+                    messageId: "noAssertAsync",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', async function (assert) { const done = assert.async(); promise.then((value) => { assert.ok(value); done(); }); });",
+            errors: [
+                {
+                    messageId: "noAssertAsync",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', async function (assert) { const done = assert.async(); promise.then(() => done(), fail); });",
+            errors: [
+                {
+                    messageId: "noAssertAsync",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', async function (assert) { const done = assert.async(); promise.catch(() => done()); });",
+            errors: [
+                {
+                    messageId: "noAssertAsync",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', async function (assert) { const done = assert.async(); if (x) { promise.then(() => done()); } });",
+            errors: [
+                {
+                    messageId: "noAssertAsync",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', async function (assert) { const done = assert.async(); promise.then(() => done(1)); });",
+            errors: [
+                {
+                    messageId: "noAssertAsync",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', async function (assert) { const done = assert.async(); promise.then(() => done()).catch(fail); });",
+            errors: [
+                {
+                    messageId: "noAssertAsync",
+                    suggestions: [],
+                },
+            ],
+        },
+    ],
+});
@@ -5,7 +5,8 @@
 //------------------------------------------------------------------------------
 
 const rule = require("../../../lib/rules/no-assert-equal-boolean"),
-    RuleTester = require("eslint").RuleTester;
+    RuleTester = require("eslint").RuleTester,
+    { runTypedRuleTester } = require("../../testUtils");
 
 //------------------------------------------------------------------------------
 // Tests
@@ -53,6 +54,12 @@ ruleTester.run("no-assert-equal-boolean", rule, {
 
         // not within test context
         "equal(a, true);",
+
+        // type information is ignored if it is not available
+        {
+            code: "QUnit.test('Name', function (assert) { assert.equal(a, YES); });",
+            options: [{ useTypeInformation: true }],
+        },
     ],
 
     invalid: [
@@ -158,3 +165,55 @@ ruleTester.run("no-assert-equal-boolean", rule, {
         },
     ],
 });
+
+//------------------------------------------------------------------------------
+// Tests with type information
+//------------------------------------------------------------------------------
+
+const declarations = [
+    "declare const QUnit: any;",
+    "declare function isReady(): boolean;",
+    "declare function count(): number;",
+    "const YES = true;",
+].join("\n");
+
+runTypedRuleTester("no-assert-equal-boolean", rule, {
+    valid: [
+        // equal() compares loosely, so non-boolean values are not reported
+        {
+            code: `${declarations}\nQUnit.test('Name', function (assert) { assert.equal(count(), true); });`,
+            options: [{ useTypeInformation: true }],
+        },
+
+        // Boolean-typed expected values are only found with the option
+        `${declarations}\nQUnit.test('Name', function (assert) { assert.strictEqual(isReady(), YES); });`,
+    ],
+
+    invalid: [
+        {
+            code: `${declarations}\nQUnit.test('Name', function (assert) { assert.equal(isReady(), true); });`,
+            output: `${declarations}\nQUnit.test('Name', function (assert) { assert.true(isReady()); });`,
+            options: [{ useTypeInformation: true }],
+            errors: [{ messageId: "useAssertTrueOrFalse" }],
+        },
+        {
+            code: `${declarations}\nQUnit.test('Name', function (assert) { assert.strictEqual(count(), false); });`,
+            output: `${declarations}\nQUnit.test('Name', function (assert) { assert.false(count()); });`,
+            options: [{ useTypeInformation: true }],
+            errors: [{ messageId: "useAssertTrueOrFalse" }],
+        },
+        {
+            code: `${declarations}\nQUnit.test('Name', function (assert) { assert.strictEqual(isReady(), YES, 'message'); });`,
+            output: `${declarations}\nQUnit.test('Name', function (assert) { assert.true(isReady(), 'message'); });`,
+            options: [{ useTypeInformation: true }],
+            errors: [{ messageId: "useAssertTrueOrFalse" }],
+        },
+
+        // Without the option, equal() is reported regardless of the types
+        {
+            code: `${declarations}\nQUnit.test('Name', function (assert) { assert.equal(count(), true); });`,
+            output: `${declarations}\nQUnit.test('Name', function (assert) { assert.true(count()); });`,
+            errors: [{ messageId: "useAssertTrueOrFalse" }],
+        },
+    ],
+});
@@ -51,11 +51,41 @@ ruleTester.run("no-assert-logical-expression", rule, {
             "assert.equal(foo, bar, message || 'alternative message');",
         ),
 
+        // Message argument of newer assertions
+        testUtils.wrapInTest("assert.rejects(promise, Error, foo || bar);"),
+        testUtils.wrapInTest("assert.verifySteps(steps, foo || bar);"),
+
         // Not an assertion, not in a test
         "doSomething(foo && bar);",
     ],
 
     invalid: [
+        {
+            code: testUtils.wrapInTest("assert.rejects(foo || bar);"),
+            errors: [
+                {
+                    messageId: "noLogicalOperator",
+                    data: {
+                        operator: "||",
+                    },
+                    line: 1,
+                    column: 55,
+                },
+            ],
+        },
+        {
+            code: testUtils.wrapInTest("assert.propContains(foo, bar && baz);"),
+            errors: [
+                {
+                    messageId: "noLogicalOperator",
+                    data: {
+                        operator: "&&",
+                    },
+                    line: 1,
+                    column: 65,
+                },
+            ],
+        },
         {
             code: testUtils.wrapInTest("assert.ok(foo && bar);"),
             errors: [
@@ -37,6 +37,42 @@ ruleTester.run("no-assert-ok", rule, {
     ],
 
     invalid: [
+        {
+            code: "QUnit.todo('Name', function (assert) { assert.ok(a); });",
+            errors: [
+                {
+                    messageId: "unexpectedLocalOkNotOk",
+                    data: {
+                        assertVar: "assert",
+                        assertion: "ok",
+                    },
+                },
+            ],
+        },
+        {
+            code: "QUnit.test.each('Name', [1, 2], function (assert, data) { assert.ok(data); });",
+            errors: [
+                {
+                    messageId: "unexpectedLocalOkNotOk",
+                    data: {
+                        assertVar: "assert",
+                        assertion: "ok",
+                    },
+                },
+            ],
+        },
+        {
+            code: "QUnit.skip.each('Name', { a: 1 }, (foo, data) => { foo.notOk(data); });",
+            errors: [
+                {
+                    messageId: "unexpectedLocalOkNotOk",
+                    data: {
+                        assertVar: "foo",
+                        assertion: "notOk",
+                    },
+                },
+            ],
+        },
         {
             code: "QUnit.test('Name', function (assert) { assert.ok(a); });",
             errors: [
@@ -133,5 +169,249 @@ ruleTester.run("no-assert-ok", rule, {
                 },
             ],
         },
+
+        // Suggestions based on the asserted value
+        {
+            code: "QUnit.test('Name', function (assert) { assert.ok(a === b); });",
+            errors: [
+                {
+                    messageId: "unexpectedLocalOkNotOk",
+                    data: { assertVar: "assert", assertion: "ok" },
+                    suggestions: [
+                        {
+                            messageId: "useAssertion",
+                            data: { replacement: "assert.strictEqual" },
+                            output: "QUnit.test('Name', function (assert) { assert.strictEqual(a, b); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.notOk(a != b, 'message'); });",
+            errors: [
+                {
+                    messageId: "unexpectedLocalOkNotOk",
+                    data: { assertVar: "assert", assertion: "notOk" },
+                    suggestions: [
+                        {
+                            messageId: "useAssertion",
+                            data: { replacement: "assert.equal" },
+                            output: "QUnit.test('Name', function (assert) { assert.equal(a, b, 'message'); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { ok(a !== b); });",
+            errors: [
+                {
+                    messageId: "unexpectedGlobalOkNotOk",
+                    data: { assertion: "ok" },
+                    suggestions: [
+                        {
+                            messageId: "useAssertion",
+                            data: { replacement: "notStrictEqual" },
+                            output: "QUnit.test('Name', function (assert) { notStrictEqual(a, b); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.ok(!x); });",
+            errors: [
+                {
+                    messageId: "unexpectedLocalOkNotOk",
+                    data: { assertVar: "assert", assertion: "ok" },
+                    suggestions: [
+                        {
+                            messageId: "useAssertion",
+                            data: { replacement: "assert.notOk" },
+                            output: "QUnit.test('Name', function (assert) { assert.notOk(x); });",
+                        },
+                        {
+                            messageId: "useAssertion",
+                            data: { replacement: "assert.false" },
+                            output: "QUnit.test('Name', function (assert) { assert.false(x); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.notOk(!!!x, 'message'); });",
+            errors: [
+                {
+                    messageId: "unexpectedLocalOkNotOk",
+                    data: { assertVar: "assert", assertion: "notOk" },
+                    suggestions: [
+                        {
+                            messageId: "useAssertion",
+                            data: { replacement: "assert.ok" },
+                            output: "QUnit.test('Name', function (assert) { assert.ok(x, 'message'); });",
+                        },
+                        {
+                            messageId: "useAssertion",
+                            data: { replacement: "assert.true" },
+                            output: "QUnit.test('Name', function (assert) { assert.true(x, 'message'); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { ok(!x); });",
+            errors: [
+                {
+                    messageId: "unexpectedGlobalOkNotOk",
+                    data: { assertion: "ok" },
+                    suggestions: [
+                        {
+                            messageId: "useAssertion",
+                            data: { replacement: "notOk" },
+                            output: "QUnit.test('Name', function (assert) { notOk(x); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.ok(arr.includes(x)); });",
+            errors: [
+                {
+                    messageId: "unexpectedLocalOkNotOk",
+                    data: { assertVar: "assert", assertion: "ok" },
+                    suggestions: [
+                        {
+                            messageId: "useAssertion",
+                            data: { replacement: "assert.true" },
+                            output: "QUnit.test('Name', function (assert) { assert.true(arr.includes(x)); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.notOk(Array.isArray(x), 'message'); });",
+            errors: [
+                {
+                    messageId: "unexpectedLocalOkNotOk",
+                    data: { assertVar: "assert", assertion: "notOk" },
+                    suggestions: [
+                        {
+                            messageId: "useAssertion",
+                            data: { replacement: "assert.false" },
+                            output: "QUnit.test('Name', function (assert) { assert.false(Array.isArray(x), 'message'); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.ok(x instanceof Y); });",
+            errors: [
+                {
+                    messageId: "unexpectedLocalOkNotOk",
+                    data: { assertVar: "assert", assertion: "ok" },
+                    suggestions: [
+                        {
+                            messageId: "useAssertionWithMessage",
+                            data: { replacement: "assert.true" },
+                            output: "QUnit.test('Name', function (assert) { assert.true(x instanceof Y, \"x is an instance of Y\"); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.notOk(x instanceof Y, 'message'); });",
+            errors: [
+                {
+                    messageId: "unexpectedLocalOkNotOk",
+                    data: { assertVar: "assert", assertion: "notOk" },
+                    suggestions: [
+                        {
+                            messageId: "useAssertionWithMessage",
+                            data: { replacement: "assert.false" },
+                            output: "QUnit.test('Name', function (assert) { assert.false(x instanceof Y, 'message'); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.ok(!!x); });",
+            errors: [
+                {
+                    messageId: "unexpectedLocalOkNotOk",
+                    data: { assertVar: "assert", assertion: "ok" },
+                    suggestions: [
+                        {
+                            messageId: "useAssertion",
+                            data: { replacement: "assert.true" },
+                            output: "QUnit.test('Name', function (assert) { assert.true(!!x); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.ok(a < b); });",
+            errors: [
+                {
+                    messageId: "unexpectedLocalOkNotOk",
+                    data: { assertVar: "assert", assertion: "ok" },
+                    suggestions: [
+                        {
+                            messageId: "useAssertion",
+                            data: { replacement: "assert.true" },
+                            output: "QUnit.test('Name', function (assert) { assert.true(a < b); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.ok(isArray(x)); });",
+            errors: [
+                {
+                    messageId: "unexpectedLocalOkNotOk",
+                    data: { assertVar: "assert", assertion: "ok" },
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.ok(Array.from(x)); });",
+            errors: [
+                {
+                    messageId: "unexpectedLocalOkNotOk",
+                    data: { assertVar: "assert", assertion: "ok" },
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.ok(); });",
+            errors: [
+                {
+                    messageId: "unexpectedLocalOkNotOk",
+                    data: { assertVar: "assert", assertion: "ok" },
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { ok(arr.includes(x)); });",
+            errors: [
+                {
+                    messageId: "unexpectedGlobalOkNotOk",
+                    data: { assertion: "ok" },
+                    suggestions: [],
+                },
+            ],
+        },
     ],
 });
@@ -9,7 +9,8 @@
 //------------------------------------------------------------------------------
 
 const rule = require("../../../lib/rules/no-async-test"),
-    RuleTester = require("eslint").RuleTester;
+    RuleTester = require("eslint").RuleTester,
+    outdent = require("outdent").default;
 
 //------------------------------------------------------------------------------
 // Tests
@@ -21,22 +22,334 @@ ruleTester.run("no-async-test", rule, {
     valid: [
         "QUnit.test('a test', function () { });",
         "QUnit.test('a test', function () { var done = assert.async(); done(); });",
+        "import { asyncTest as it } from 'other-lib'; it('a test', function () { });",
     ],
 
     invalid: [
         {
+            code: "asyncTest('a test', function () { setTimeout(function () { start(); }); });",
+            output: "QUnit.test('a test', function (assert) { var done = assert.async(); setTimeout(function () { done(); }); });",
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                },
+            ],
+        },
+        {
+            code: "QUnit.asyncTest('a test', function () { QUnit.start(); });",
+            output: "QUnit.test('a test', function (assert) { var done = assert.async(); done(); });",
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                },
+            ],
+        },
+        {
+            // Assert identifier from the shared settings
+            code: "QUnit.asyncTest('a test', function () { QUnit.start(); });",
+            output: "QUnit.test('a test', function (t) { var done = t.async(); done(); });",
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                },
+            ],
+            settings: { qunit: { assertIdentifier: "t" } },
+        },
+        {
+            // Existing assert parameter
+            code: "QUnit.asyncTest('a test', function (foo) { foo.ok(true); QUnit.start(); });",
+            output: "QUnit.test('a test', function (foo) { var done = foo.async(); foo.ok(true); done(); });",
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                },
+            ],
+        },
+        {
+            // Expected assertion count
+            code: "QUnit.asyncTest('a test', 1, () => { QUnit.start(); });",
+            output: "QUnit.test('a test', 1, (assert) => { var done = assert.async(); done(); });",
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                },
+            ],
+        },
+        {
+            code: outdent`
+              QUnit.asyncTest('a test', function () {
+                  setTimeout(function () {
+                      QUnit.start();
+                  });
+              });
+            `,
+            output: outdent`
+              QUnit.test('a test', function (assert) {
+                  var done = assert.async();
+                  setTimeout(function () {
+                      done();
+                  });
+              });
+            `,
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                },
+            ],
+        },
+        {
+            code: "import * as Q from 'qunit'; Q.asyncTest('a test', function () { Q.start(); });",
+            output: "import * as Q from 'qunit'; Q.test('a test', function (assert) { var done = assert.async(); done(); });",
+            languageOptions: { sourceType: "module" },
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                },
+            ],
+        },
+        {
+            // TypeScript `this` parameter
+            code: "QUnit.asyncTest('a test', function (this: LocalTestContext) { QUnit.start(); });",
+            output: "QUnit.test('a test', function (this: LocalTestContext, assert) { var done = assert.async(); done(); });",
+            languageOptions: {
+                parser: require("@typescript-eslint/parser"),
+            },
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                },
+            ],
+        },
+
+        // Ambiguous conversions are only suggested
+        {
+            // No start() call
             code: "asyncTest('a test', function () { });",
+            output: null,
             errors: [
                 {
                     messageId: "unexpectedAsyncTest",
+                    suggestions: [
+                        {
+                            messageId: "convertToAssertAsync",
+                            output: "QUnit.test('a test', function (assert) { var done = assert.async(); });",
+                        },
+                    ],
                 },
             ],
         },
         {
             code: "QUnit.asyncTest('a test', function () { });",
+            output: null,
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                    suggestions: [
+                        {
+                            messageId: "convertToAssertAsync",
+                            output: "QUnit.test('a test', function (assert) { var done = assert.async(); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            // stop() call
+            code: "asyncTest('a test', function () { stop(); start(); });",
+            output: null,
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                    suggestions: [
+                        {
+                            messageId: "convertToAssertAsync",
+                            output: "QUnit.test('a test', function (assert) { var done = assert.async(); stop(); done(); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            // Local functions named start() are not QUnit.start()
+            code: "QUnit.asyncTest('a test', function (assert) { function start() {} start(); });",
+            output: null,
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                    suggestions: [
+                        {
+                            messageId: "convertToAssertAsync",
+                            output: "QUnit.test('a test', function (assert) { var done = assert.async(); function start() {} start(); });",
+                        },
+                    ],
+                },
+            ],
+        },
+
+        {
+            code: "QUnit.asyncTest('a test', function (assert) { function start() {} start(); QUnit.start(); });",
+            output: "QUnit.test('a test', function (assert) { var done = assert.async(); function start() {} start(); done(); });",
+            errors: [{ messageId: "unexpectedAsyncTest" }],
+        },
+
+        // Several start() calls are not converted
+        {
+            code: "asyncTest('a test', function () { if (a) { start(); } else { start(); } });",
+            output: null,
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "asyncTest('a test', function () { stop(); start(); start(); });",
+            output: null,
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            // start() with a semaphore argument
+            code: "asyncTest('a test', function () { start(1); });",
+            output: null,
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                    suggestions: [
+                        {
+                            messageId: "convertToAssertAsync",
+                            output: "QUnit.test('a test', function (assert) { var done = assert.async(); done(); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            // Existing `done` identifier
+            code: "asyncTest('a test', function () { var done = true; start(); });",
+            output: null,
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                    suggestions: [
+                        {
+                            messageId: "convertToAssertAsync",
+                            output: "QUnit.test('a test', function (assert) { var done = assert.async(); var done = true; done(); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            // Added `assert` parameter would shadow an outer variable
+            code: "asyncTest('a test', function () { assert.ok(true); start(); });",
+            output: null,
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                    suggestions: [
+                        {
+                            messageId: "convertToAssertAsync",
+                            output: "QUnit.test('a test', function (assert) { var done = assert.async(); assert.ok(true); done(); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "import { asyncTest as it, test as t } from 'qunit'; it('a test', function () { });",
+            output: null,
+            languageOptions: { sourceType: "module" },
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                    suggestions: [
+                        {
+                            messageId: "convertToAssertAsync",
+                            output: "import { asyncTest as it, test as t } from 'qunit'; t('a test', function (assert) { var done = assert.async(); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "import Q, { asyncTest, start } from 'qunit'; asyncTest('a test', function () { start(); });",
+            output: "import Q, { asyncTest, start } from 'qunit'; Q.test('a test', function (assert) { var done = assert.async(); done(); });",
+            languageOptions: { sourceType: "module" },
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                },
+            ],
+        },
+
+        // No conversion possible
+        {
+            // QUnit.test is not accessible without a global QUnit
+            code: "import { asyncTest, start } from 'qunit'; asyncTest('a test', function () { start(); });",
+            output: null,
+            languageOptions: { sourceType: "module" },
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            // The imported test function is shadowed
+            code: "import { asyncTest, start, test } from 'qunit'; function f(test) { asyncTest('a test', function () { start(); }); }",
+            output: null,
+            languageOptions: { sourceType: "module" },
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "asyncTest('a test', callback);",
+            output: null,
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "asyncTest('a test', () => start());",
+            output: null,
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "asyncTest('a test', function ({ ok }) { start(); });",
+            output: null,
+            errors: [
+                {
+                    messageId: "unexpectedAsyncTest",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "asyncTest();",
+            output: null,
             errors: [
                 {
                     messageId: "unexpectedAsyncTest",
+                    suggestions: [],
                 },
             ],
         },
@@ -27,6 +27,9 @@ ruleTester.run("no-commented-tests", rule, {
         // Allow test, parentheses, no quote (https://github.com/platinumazure/eslint-plugin-qunit/issues/61)
         "// TODO: refactor with a Component test (instead of an Acceptance test)",
         "// Run actual test (without context).",
+
+        // Test functions from the shared settings
+        "// testInBrowser('Name', function () { ok(true); });",
     ],
 
     invalid: [
@@ -364,5 +367,31 @@ ruleTester.run("no-commented-tests", rule, {
                 },
             ],
         },
+
+        // Test functions and QUnit namespace from the shared settings
+        {
+            code: "// testInBrowser('Name', function () { ok(true); });",
+            errors: [
+                {
+                    messageId: "unexpectedTestInComment",
+                    data: {
+                        callee: "testInBrowser",
+                    },
+                },
+            ],
+            settings: { qunit: { testFunctions: ["testInBrowser"] } },
+        },
+        {
+            code: "// Q.skip('Name', function () { ok(true); });",
+            errors: [
+                {
+                    messageId: "unexpectedTestInComment",
+                    data: {
+                        callee: "Q.skip",
+                    },
+                },
+            ],
+            settings: { qunit: { namespace: "Q" } },
+        },
     ],
 });
@@ -247,3 +247,47 @@ ruleTester.run("no-compare-relation-boolean", rule, {
         },
     ].map((testCase) => addErrors(testCase)),
 });
+
+//------------------------------------------------------------------------------
+// Tests with type information
+//------------------------------------------------------------------------------
+
+const declarations = [
+    "declare const QUnit: any;",
+    "declare const flag: boolean;",
+    "declare const count: number;",
+].join("\n");
+
+const typedTests = {
+    valid: [
+        {
+            code: `${declarations}\n${testUtils.wrapInTest("assert.equal(count, true);")}`,
+            options: [{ useTypeInformation: true }],
+        },
+
+        // Boolean-typed identifiers are only reported with the option
+        `${declarations}\n${testUtils.wrapInTest("assert.equal(flag, true);")}`,
+
+        // The option has no effect without a TypeScript program
+        {
+            code: `${declarations}\n${testUtils.wrapInTest("assert.equal(flag, true);")}`,
+            options: [{ useTypeInformation: true }],
+            languageOptions: { parserOptions: { projectService: false } },
+        },
+    ],
+
+    invalid: [
+        {
+            code: `${declarations}\n${testUtils.wrapInTest("assert.equal(flag, true);")}`,
+            output: `${declarations}\n${testUtils.wrapInTest("assert.ok(flag);")}`,
+            options: [{ useTypeInformation: true }],
+        },
+        {
+            code: `${declarations}\n${testUtils.wrapInTest("assert.strictEqual(false, flag, 'message');")}`,
+            output: `${declarations}\n${testUtils.wrapInTest("assert.notOk(flag, 'message');")}`,
+            options: [{ useTypeInformation: true }],
+        },
+    ].map((testCase) => addErrors(testCase)),
+};
+
+testUtils.runTypedRuleTester("no-compare-relation-boolean", rule, typedTests);
@@ -78,5 +78,10 @@ ruleTester.run("no-conditional-assertions", rule, {
         testUtils.wrapInTest("if (foo) {} else assert.ok(true);"),
         testUtils.wrapInTest("foo ? assert.ok(true) : false"),
         testUtils.wrapInTest("foo ? false : assert.ok(true)"),
+
+        // Data-driven tests
+        "QUnit.test.each('name', [1, 2], function (assert, data) { if (data) assert.ok(true); });",
+        "QUnit.only.each('name', [1, 2], (assert, data) => { if (data) assert.ok(true); });",
+        "import { test } from 'qunit'; test.each('name', [1, 2], function (foo, data) { if (data) foo.ok(true); });",
     ].map((code) => wrapInInvalidTestObject(code)),
 });
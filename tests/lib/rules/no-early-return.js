@@ -37,11 +37,62 @@ ruleTester.run("no-early-return", rule, {
     ],
 
     invalid: [
+        {
+            code: "QUnit.todo('a test', function (assert) { if (true) return; assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "noEarlyReturn",
+                    suggestions: [
+                        {
+                            messageId: "wrapInCondition",
+                            output: "QUnit.todo('a test', function (assert) { if (!true) { assert.ok(true); } });",
+                        },
+                        {
+                            messageId: "addSkippedAssertion",
+                            output: "QUnit.todo('a test', function (assert) { if (true) { assert.ok(true, \"skipped: true\"); return; } assert.ok(true); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test.each('a test', [1, 2], function (assert, data) { if (data) return; assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "noEarlyReturn",
+                    suggestions: [
+                        {
+                            messageId: "wrapInCondition",
+                            output: "QUnit.test.each('a test', [1, 2], function (assert, data) { if (!data) { assert.ok(true); } });",
+                        },
+                        {
+                            messageId: "addSkippedAssertion",
+                            output: "QUnit.test.each('a test', [1, 2], function (assert, data) { if (data) { assert.ok(true, \"skipped: data\"); return; } assert.ok(true); });",
+                        },
+                    ],
+                },
+            ],
+        },
         {
             code: "QUnit.test('a test', function (assert) { if (true) return; assert.ok(true); });",
             errors: [
                 {
                     messageId: "noEarlyReturn",
+                    suggestions: [
+                        {
+                            messageId: "useSkip",
+                            data: { callee: "QUnit.skip" },
+                            output: "QUnit.skip('a test', function (assert) { assert.ok(true); });",
+                        },
+                        {
+                            messageId: "wrapInCondition",
+                            output: "QUnit.test('a test', function (assert) { if (!true) { assert.ok(true); } });",
+                        },
+                        {
+                            messageId: "addSkippedAssertion",
+                            output: "QUnit.test('a test', function (assert) { if (true) { assert.ok(true, \"skipped: true\"); return; } assert.ok(true); });",
+                        },
+                    ],
                 },
             ],
         },
@@ -53,6 +104,21 @@ ruleTester.run("no-early-return", rule, {
             errors: [
                 {
                     messageId: "noEarlyReturn",
+                    suggestions: [
+                        {
+                            messageId: "useSkip",
+                            data: { callee: "QUnit.skip" },
+                            output: "QUnit.skip('a test', function (this: LocalTestContext, assert) { assert.ok(true); });",
+                        },
+                        {
+                            messageId: "wrapInCondition",
+                            output: "QUnit.test('a test', function (this: LocalTestContext, assert) { if (!true) { assert.ok(true); } });",
+                        },
+                        {
+                            messageId: "addSkippedAssertion",
+                            output: "QUnit.test('a test', function (this: LocalTestContext, assert) { if (true) { assert.ok(true, \"skipped: true\"); return; } assert.ok(true); });",
+                        },
+                    ],
                 },
             ],
         },
@@ -62,6 +128,21 @@ ruleTester.run("no-early-return", rule, {
             errors: [
                 {
                     messageId: "noEarlyReturn",
+                    suggestions: [
+                        {
+                            messageId: "useSkip",
+                            data: { callee: "QUnit.skip" },
+                            output: "QUnit.skip('a test', (assert) => { assert.ok(true); });",
+                        },
+                        {
+                            messageId: "wrapInCondition",
+                            output: "QUnit.test('a test', (assert) => { if (!true) { assert.ok(true); } });",
+                        },
+                        {
+                            messageId: "addSkippedAssertion",
+                            output: "QUnit.test('a test', (assert) => { if (true) { assert.ok(true, \"skipped: true\"); return; } assert.ok(true); });",
+                        },
+                    ],
                 },
             ],
         },
@@ -100,5 +181,321 @@ ruleTester.run("no-early-return", rule, {
                 },
             ],
         },
+
+        // Guards on module-level conditions can use QUnit.test.if()
+        {
+            code: "QUnit.test('a test', function (assert) { if (!supported) return; assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "noEarlyReturn",
+                    suggestions: [
+                        {
+                            messageId: "useTestIf",
+                            data: { callee: "QUnit.test" },
+                            output: "QUnit.test.if('a test', supported, function (assert) { assert.ok(true); });",
+                        },
+                        {
+                            messageId: "wrapInCondition",
+                            output: "QUnit.test('a test', function (assert) { if (supported) { assert.ok(true); } });",
+                        },
+                        {
+                            messageId: "addSkippedAssertion",
+                            output: "QUnit.test('a test', function (assert) { if (!supported) { assert.ok(true, \"skipped: !supported\"); return; } assert.ok(true); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('a test', function (assert) { if (a || b) { return; } assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "noEarlyReturn",
+                    suggestions: [
+                        {
+                            messageId: "useTestIf",
+                            data: { callee: "QUnit.test" },
+                            output: "QUnit.test.if('a test', !(a || b), function (assert) { assert.ok(true); });",
+                        },
+                        {
+                            messageId: "wrapInCondition",
+                            output: "QUnit.test('a test', function (assert) { if (!(a || b)) { assert.ok(true); } });",
+                        },
+                        {
+                            messageId: "addSkippedAssertion",
+                            output: "QUnit.test('a test', function (assert) { if (a || b) { assert.ok(true, \"skipped: a || b\"); return; } assert.ok(true); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('a test', function (assert) { if (!items.some((item) => item.ok)) return; assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "noEarlyReturn",
+                    suggestions: [
+                        {
+                            messageId: "useTestIf",
+                            data: { callee: "QUnit.test" },
+                            output: "QUnit.test.if('a test', items.some((item) => item.ok), function (assert) { assert.ok(true); });",
+                        },
+                        {
+                            messageId: "wrapInCondition",
+                            output: "QUnit.test('a test', function (assert) { if (items.some((item) => item.ok)) { assert.ok(true); } });",
+                        },
+                        {
+                            messageId: "addSkippedAssertion",
+                            output: "QUnit.test('a test', function (assert) { if (!items.some((item) => item.ok)) { assert.ok(true, \"skipped: !items.some((item) => item.ok)\"); return; } assert.ok(true); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('a test', function (assert) { if (!(a, b)) return; assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "noEarlyReturn",
+                    suggestions: [
+                        {
+                            messageId: "useTestIf",
+                            data: { callee: "QUnit.test" },
+                            output: "QUnit.test.if('a test', (a, b), function (assert) { assert.ok(true); });",
+                        },
+                        {
+                            messageId: "wrapInCondition",
+                            output: "QUnit.test('a test', function (assert) { if ((a, b)) { assert.ok(true); } });",
+                        },
+                        {
+                            messageId: "addSkippedAssertion",
+                            output: "QUnit.test('a test', function (assert) { if (!(a, b)) { assert.ok(true, \"skipped: !(a, b)\"); return; } assert.ok(true); });",
+                        },
+                    ],
+                },
+            ],
+        },
+
+        // Guards depending on the test itself cannot
+        {
+            code: "QUnit.test('a test', function (assert) { const x = 1; if (!x) return; assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "noEarlyReturn",
+                    suggestions: [
+                        {
+                            messageId: "wrapInCondition",
+                            output: "QUnit.test('a test', function (assert) { const x = 1; if (x) { assert.ok(true); } });",
+                        },
+                        {
+                            messageId: "addSkippedAssertion",
+                            output: "QUnit.test('a test', function (assert) { const x = 1; if (!x) { assert.ok(true, \"skipped: !x\"); return; } assert.ok(true); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('a test', function (assert) { if (!this.supported) return; assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "noEarlyReturn",
+                    suggestions: [
+                        {
+                            messageId: "wrapInCondition",
+                            output: "QUnit.test('a test', function (assert) { if (this.supported) { assert.ok(true); } });",
+                        },
+                        {
+                            messageId: "addSkippedAssertion",
+                            output: "QUnit.test('a test', function (assert) { if (!this.supported) { assert.ok(true, \"skipped: !this.supported\"); return; } assert.ok(true); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('a test', function (assert) { if (!isSupported(assert)) return; assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "noEarlyReturn",
+                    suggestions: [
+                        {
+                            messageId: "wrapInCondition",
+                            output: "QUnit.test('a test', function (assert) { if (isSupported(assert)) { assert.ok(true); } });",
+                        },
+                        {
+                            messageId: "addSkippedAssertion",
+                            output: "QUnit.test('a test', function (assert) { if (!isSupported(assert)) { assert.ok(true, \"skipped: !isSupported(assert)\"); return; } assert.ok(true); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('a test', async function (assert) { if (!(await isSupported())) return; assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "noEarlyReturn",
+                    suggestions: [
+                        {
+                            messageId: "wrapInCondition",
+                            output: "QUnit.test('a test', async function (assert) { if (await isSupported()) { assert.ok(true); } });",
+                        },
+                        {
+                            messageId: "addSkippedAssertion",
+                            output: "QUnit.test('a test', async function (assert) { if (!(await isSupported())) { assert.ok(true, \"skipped: !(await isSupported())\"); return; } assert.ok(true); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "test('a test', function (assert) { if (!supported) return; assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "noEarlyReturn",
+                    suggestions: [
+                        {
+                            messageId: "wrapInCondition",
+                            output: "test('a test', function (assert) { if (supported) { assert.ok(true); } });",
+                        },
+                        {
+                            messageId: "addSkippedAssertion",
+                            output: "test('a test', function (assert) { if (!supported) { assert.ok(true, \"skipped: !supported\"); return; } assert.ok(true); });",
+                        },
+                    ],
+                },
+            ],
+        },
+
+        // No suggestions for returns that are not guards
+        {
+            code: "QUnit.test('a test', function (assert) { if (!supported) { return; } else { foo(); } assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "noEarlyReturn",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('a test', function (assert) { if (!supported) return 1; assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "noEarlyReturn",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('a test', function (assert) { if (!supported) { foo(); return; } assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "noEarlyReturn",
+                    suggestions: [],
+                },
+            ],
+        },
+
+        // Multi-line tests keep their indentation
+        {
+            code: `
+                QUnit.test('a test', function (assert) {
+                    if (!featureSupported) {
+                        return;
+                    }
+
+                    assert.ok(true);
+                    if (x) {
+                        assert.ok(x);
+                    }
+                });
+            `,
+            errors: [
+                {
+                    messageId: "noEarlyReturn",
+                    suggestions: [
+                        {
+                            messageId: "useTestIf",
+                            data: { callee: "QUnit.test" },
+                            output: `
+                QUnit.test.if('a test', featureSupported, function (assert) {
+                    assert.ok(true);
+                    if (x) {
+                        assert.ok(x);
+                    }
+                });
+            `,
+                        },
+                        {
+                            messageId: "wrapInCondition",
+                            output: `
+                QUnit.test('a test', function (assert) {
+                    if (featureSupported) {
+                        assert.ok(true);
+                        if (x) {
+                            assert.ok(x);
+                        }
+                    }
+                });
+            `,
+                        },
+                        {
+                            messageId: "addSkippedAssertion",
+                            output: `
+                QUnit.test('a test', function (assert) {
+                    if (!featureSupported) {
+                        assert.ok(true, "skipped: !featureSupported");
+                        return;
+                    }
+
+                    assert.ok(true);
+                    if (x) {
+                        assert.ok(x);
+                    }
+                });
+            `,
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            // Re-indenting would change the multi-line template literal
+            code: `
+                QUnit.test('a test', function (assert) {
+                    if (!featureSupported) return;
+                    assert.equal(render(), \`<p>
+                    </p>\`);
+                });
+            `,
+            errors: [
+                {
+                    messageId: "noEarlyReturn",
+                    suggestions: [
+                        {
+                            messageId: "useTestIf",
+                            data: { callee: "QUnit.test" },
+                            output: `
+                QUnit.test.if('a test', featureSupported, function (assert) {
+                    assert.equal(render(), \`<p>
+                    </p>\`);
+                });
+            `,
+                        },
+                        {
+                            messageId: "addSkippedAssertion",
+                            output: `
+                QUnit.test('a test', function (assert) {
+                    if (!featureSupported) { assert.ok(true, "skipped: !featureSupported"); return; }
+                    assert.equal(render(), \`<p>
+                    </p>\`);
+                });
+            `,
+                        },
+                    ],
+                },
+            ],
+        },
     ],
 });
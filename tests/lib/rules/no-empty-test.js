@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Disallow tests that make no assertions.
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const rule = require("../../../lib/rules/no-empty-test"),
+    RuleTester = require("eslint").RuleTester,
+    outdent = require("outdent").default;
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+
+ruleTester.run("no-empty-test", rule, {
+    valid: [
+        // Assertions
+        "QUnit.test('name', function (assert) { assert.ok(true); });",
+        "QUnit.test('name', (foo) => { foo.strictEqual(a, b); });",
+        "QUnit.todo('name', function (assert) { assert.ok(false); });",
+        "QUnit.test.each('name', [1, 2], function (assert, value) { assert.ok(value); });",
+        "QUnit.test('name', function (assert) { assert.step('a'); assert.verifySteps(['a']); });",
+        "test('name', function () { ok(true); });",
+
+        // Assertions in nested functions
+        "QUnit.test('name', function (assert) { [1, 2].forEach((value) => { assert.ok(value); }); });",
+        "QUnit.test('name', async function (assert) { await assert.rejects(load()); });",
+
+        // Assertions after a conditional return are reachable
+        "QUnit.test('name', function (assert) { if (a) { return; } assert.ok(true); });",
+
+        // assert.expect(0) with a reason
+        outdent`
+          QUnit.test('name', function (assert) {
+              // Only checks that render() does not throw.
+              assert.expect(0);
+              render();
+          });
+        `,
+        "QUnit.test('name', function (assert) { assert.expect(0); // Smoke test\n});",
+        "QUnit.test('name', function (assert) { assert.expect(0 /* smoke test */); });",
+        "QUnit.test('name', function () { expect(0); /* smoke test */ });",
+        "QUnit.test('name', function () { expect(0); // eslint is not needed to check this\n});",
+
+        // Assertions in local helpers
+        {
+            code: outdent`
+              function checkItems(assert, items) {
+                  assert.strictEqual(items.length, 2);
+              }
+              QUnit.test('name', function (assert) {
+                  checkItems(assert, load());
+              });
+            `,
+            options: [{ countHelperAssertions: true }],
+        },
+        {
+            code: outdent`
+              QUnit.test('name', function (assert) {
+                  const check = (a) => { a.ok(true); };
+                  check(assert);
+              });
+            `,
+            options: [{ countHelperAssertions: true }],
+        },
+        {
+            // Helpers calling other helpers
+            code: outdent`
+              QUnit.test('name', function (assert) {
+                  checkAll(assert);
+              });
+              function checkAll(a) { check(a); }
+              function check(b) { b.ok(true); }
+            `,
+            options: [{ countHelperAssertions: true }],
+        },
+
+        // Tests without a callback function
+        "QUnit.test('name', callback);",
+
+        // Not a test
+        "QUnit.skip('name', function (assert) {});",
+        "QUnit.module('name', function () {});",
+        "foo('name', function (assert) {});",
+
+        // Test functions from the shared settings
+        {
+            code: "testInBrowser('name', function (assert) { assert.ok(true); });",
+            settings: { qunit: { testFunctions: ["testInBrowser"] } },
+        },
+    ],
+
+    invalid: [
+        {
+            code: "QUnit.test('name', function (assert) {});",
+            errors: [
+                {
+                    messageId: "noAssertions",
+                    line: 1,
+                    column: 1,
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', function (assert) { render(); });",
+            errors: [{ messageId: "noAssertions" }],
+        },
+        {
+            // Unreachable assertions
+            code: "QUnit.test('name', function (assert) { return; assert.ok(true); });",
+            errors: [{ messageId: "noAssertions" }],
+        },
+        {
+            code: "QUnit.test('name', function (assert) { if (a) { throw new Error(); } else { return; } assert.ok(true); });",
+            errors: [{ messageId: "noAssertions" }],
+        },
+        {
+            // The global expect() is not the test's expect() if the test has
+            // an assert parameter
+            code: "QUnit.test('name', function (assert) { expect(0); // smoke test\n});",
+            errors: [{ messageId: "noAssertions" }],
+        },
+        {
+            code: "QUnit.todo('name', (assert) => { render(); });",
+            errors: [{ messageId: "noAssertions" }],
+        },
+        {
+            code: "QUnit.only('name', function (assert) { render(); });",
+            errors: [{ messageId: "noAssertions" }],
+        },
+        {
+            code: "QUnit.test.each('name', [1, 2], function (assert, value) { render(value); });",
+            errors: [{ messageId: "noAssertions" }],
+        },
+        {
+            code: "test('name', function () { render(); });",
+            errors: [{ messageId: "noAssertions" }],
+        },
+
+        // Calls that are not assertions
+        {
+            code: "QUnit.test('name', function (assert) { assert.timeout(100); assert.expect(1); });",
+            errors: [{ messageId: "noAssertions" }],
+        },
+        {
+            code: "QUnit.test('name', function (assert) { other.ok(true); });",
+            errors: [{ messageId: "noAssertions" }],
+        },
+        {
+            code: "QUnit.test('name', function () { assert.ok(true); });",
+            errors: [{ messageId: "noAssertions" }],
+        },
+
+        // assert.expect(0) without a reason
+        {
+            code: outdent`
+              QUnit.test('name', function (assert) {
+                  assert.expect(0);
+                  render();
+              });
+            `,
+            errors: [
+                {
+                    messageId: "missingExpectZeroReason",
+                    line: 2,
+                    column: 5,
+                },
+            ],
+        },
+        {
+            code: outdent`
+              QUnit.test('name', function (assert) {
+                  assert.expect(0);
+                  render(); // Renders the component
+              });
+            `,
+            errors: [{ messageId: "missingExpectZeroReason" }],
+        },
+        {
+            code: "QUnit.test('name', function () { expect(0); });",
+            errors: [{ messageId: "missingExpectZeroReason" }],
+        },
+
+        // ESLint directive comments are not reasons
+        {
+            code: outdent`
+              QUnit.test('name', function (assert) {
+                  /* global render */
+                  assert.expect(0);
+                  render();
+              });
+            `,
+            errors: [{ messageId: "missingExpectZeroReason" }],
+        },
+        {
+            code: outdent`
+              QUnit.test('name', function (assert) {
+                  // eslint-disable-next-line no-undef
+                  assert.expect(0);
+                  render();
+              });
+            `,
+            errors: [{ messageId: "missingExpectZeroReason" }],
+        },
+        {
+            code: "QUnit.test('name', function (assert) { assert.expect(0); // eslint-disable-line no-undef\n});",
+            errors: [{ messageId: "missingExpectZeroReason" }],
+        },
+
+        // Helpers are only counted with the option
+        {
+            code: outdent`
+              function check(assert) {
+                  assert.ok(true);
+              }
+              QUnit.test('name', function (assert) {
+                  check(assert);
+              });
+            `,
+            errors: [{ messageId: "noAssertions", line: 4 }],
+        },
+
+        // Helpers that make no assertions or are not defined locally
+        {
+            code: outdent`
+              function check(assert, value) {
+                  other.ok(value, assert);
+              }
+              QUnit.test('name', function (assert) {
+                  check(assert, load());
+                  imported(assert);
+                  helpers.check(assert);
+                  check(load(), assert);
+                  check(...assert);
+              });
+            `,
+            options: [{ countHelperAssertions: true }],
+            errors: [{ messageId: "noAssertions" }],
+        },
+        {
+            code: outdent`
+              const notAFunction = 1;
+              let check;
+              function recurse(a) { recurse(a); }
+              function destructure({ ok }) { ok(true); }
+              QUnit.test('name', function (assert) {
+                  notAFunction(assert);
+                  check(assert);
+                  recurse(assert);
+                  destructure(assert);
+              });
+            `,
+            options: [{ countHelperAssertions: true }],
+            errors: [{ messageId: "noAssertions" }],
+        },
+
+        // Test functions from the shared settings
+        {
+            code: "testInBrowser('name', function (assert) {});",
+            errors: [{ messageId: "noAssertions" }],
+            settings: { qunit: { testFunctions: ["testInBrowser"] } },
+        },
+    ],
+});
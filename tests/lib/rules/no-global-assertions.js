@@ -51,6 +51,13 @@ ruleTester.run("no-global-assertions", rule, {
         testUtils.wrapInTest("assert.throws(function () {}, TypeError);"),
         testUtils.wrapInTest("assert.true(foo);"),
         testUtils.wrapInTest("assert.expect(1);"),
+        testUtils.wrapInTest("assert.rejects(promise);"),
+        testUtils.wrapInTest("assert.step('one');"),
+
+        // Assertions that QUnit never exposed as globals.
+        testUtils.wrapInTest("step('one');"),
+        testUtils.wrapInTest("timeout(100);"),
+        testUtils.wrapInTest("rejects(promise);"),
 
         // Global overridden by local import/declaration.
         {
@@ -65,58 +72,165 @@ ruleTester.run("no-global-assertions", rule, {
     invalid: [
         {
             code: testUtils.wrapInTest("ok(true);"),
+            output: testUtils.wrapInTest("assert.ok(true);"),
             languageOptions: { globals: { ok: true } },
             errors: [createError("ok")],
         },
         {
             code: testUtils.wrapInTest("equal(a, b);"),
+            output: testUtils.wrapInTest("assert.equal(a, b);"),
             languageOptions: { globals: { equal: true } },
             errors: [createError("equal")],
         },
         {
             code: testUtils.wrapInTest("strictEqual(a, b);"),
+            output: testUtils.wrapInTest("assert.strictEqual(a, b);"),
             languageOptions: { globals: { strictEqual: true } },
             errors: [createError("strictEqual")],
         },
         {
             code: testUtils.wrapInTest("deepEqual(a, b);"),
+            output: testUtils.wrapInTest("assert.deepEqual(a, b);"),
             languageOptions: { globals: { deepEqual: true } },
             errors: [createError("deepEqual")],
         },
         {
             code: testUtils.wrapInTest("propEqual(a, b);"),
+            output: testUtils.wrapInTest("assert.propEqual(a, b);"),
             languageOptions: { globals: { propEqual: true } },
             errors: [createError("propEqual")],
         },
         {
             code: testUtils.wrapInTest("notEqual(a, b);"),
+            output: testUtils.wrapInTest("assert.notEqual(a, b);"),
             languageOptions: { globals: { notEqual: true } },
             errors: [createError("notEqual")],
         },
         {
             code: testUtils.wrapInTest("notStrictEqual(a, b);"),
+            output: testUtils.wrapInTest("assert.notStrictEqual(a, b);"),
             languageOptions: { globals: { notStrictEqual: true } },
             errors: [createError("notStrictEqual")],
         },
         {
             code: testUtils.wrapInTest("notDeepEqual(a, b);"),
+            output: testUtils.wrapInTest("assert.notDeepEqual(a, b);"),
             languageOptions: { globals: { notDeepEqual: true } },
             errors: [createError("notDeepEqual")],
         },
         {
             code: testUtils.wrapInTest("notPropEqual(a, b);"),
+            output: testUtils.wrapInTest("assert.notPropEqual(a, b);"),
             languageOptions: { globals: { notPropEqual: true } },
             errors: [createError("notPropEqual")],
         },
         {
             code: testUtils.wrapInTest("raises(function () {}, TypeError);"),
+            output: testUtils.wrapInTest(
+                "assert.raises(function () {}, TypeError);",
+            ),
             languageOptions: { globals: { raises: true } },
             errors: [createError("raises")],
         },
         {
             code: testUtils.wrapInTest("throws(function () {}, TypeError);"),
+            output: testUtils.wrapInTest(
+                "assert.throws(function () {}, TypeError);",
+            ),
             languageOptions: { globals: { throws: true } },
             errors: [createError("throws")],
         },
+
+        // Fixes use the assert parameter of the enclosing test.
+        {
+            code: "QUnit.test('test', function (foo) { ok(true); });",
+            output: "QUnit.test('test', function (foo) { foo.ok(true); });",
+            languageOptions: { globals: { ok: true } },
+            errors: [createError("ok")],
+        },
+        {
+            code: "test('test', function () { ok(true); });",
+            output: "test('test', function (assert) { assert.ok(true); });",
+            languageOptions: { globals: { ok: true } },
+            errors: [createError("ok")],
+        },
+        {
+            code: "QUnit.test('test', () => { ok(true); });",
+            output: "QUnit.test('test', (assert) => { assert.ok(true); });",
+            languageOptions: { globals: { ok: true } },
+            errors: [createError("ok")],
+        },
+        {
+            code: "QUnit.test('test', async function () { await x; ok(true); });",
+            output: "QUnit.test('test', async function (assert) { await x; assert.ok(true); });",
+            languageOptions: { globals: { ok: true } },
+            errors: [createError("ok")],
+        },
+        {
+            code: "QUnit.test.each('test', [1, 2], function (foo, value) { equal(value, 1); });",
+            output: "QUnit.test.each('test', [1, 2], function (foo, value) { foo.equal(value, 1); });",
+            languageOptions: { globals: { equal: true } },
+            errors: [createError("equal")],
+        },
+        {
+            code: "QUnit.test('test', function () { setTimeout(function () { ok(true); }); });",
+            output: "QUnit.test('test', function (assert) { setTimeout(function () { assert.ok(true); }); });",
+            languageOptions: { globals: { ok: true } },
+            errors: [createError("ok")],
+        },
+        {
+            code: "QUnit.test('test', function (this: LocalTestContext) { ok(true); });",
+            output: "QUnit.test('test', function (this: LocalTestContext, assert) { assert.ok(true); });",
+            languageOptions: {
+                globals: { ok: true },
+                parser: require("@typescript-eslint/parser"),
+            },
+            errors: [createError("ok")],
+        },
+        {
+            // One fix per pass when the assert parameter has to be added.
+            code: "QUnit.test('test', function () { ok(a); ok(b); });",
+            output: "QUnit.test('test', function (assert) { assert.ok(a); ok(b); });",
+            languageOptions: { globals: { ok: true } },
+            errors: [createError("ok"), createError("ok")],
+        },
+
+        // No fix if the assert context cannot be resolved.
+        {
+            code: "ok(true);",
+            output: null,
+            languageOptions: { globals: { ok: true } },
+            errors: [createError("ok")],
+        },
+        {
+            code: "QUnit.module('module', { setup: function () { ok(true); } });",
+            output: null,
+            languageOptions: { globals: { ok: true } },
+            errors: [createError("ok")],
+        },
+        {
+            code: "QUnit.test(ok(true), function (assert) { });",
+            output: null,
+            languageOptions: { globals: { ok: true } },
+            errors: [createError("ok")],
+        },
+        {
+            code: "QUnit.test('test', function ({ ok: check }) { ok(true); });",
+            output: null,
+            languageOptions: { globals: { ok: true } },
+            errors: [createError("ok")],
+        },
+        {
+            code: "QUnit.test('test', function (assert) { [1].forEach(function (assert) { ok(assert); }); });",
+            output: null,
+            languageOptions: { globals: { ok: true } },
+            errors: [createError("ok")],
+        },
+        {
+            code: "var assert = require('assert'); QUnit.test('test', function () { ok(true); });",
+            output: null,
+            languageOptions: { globals: { ok: true } },
+            errors: [createError("ok")],
+        },
     ],
 });
@@ -60,6 +60,27 @@ ruleTester.run("no-global-expect", rule, {
     invalid: [
         {
             code: testUtils.wrapInTest("expect(1)"),
+            output: testUtils.wrapInTest("assert.expect(1)"),
+            languageOptions: { globals: { expect: true } },
+            errors: [
+                {
+                    messageId: "unexpectedGlobalExpect",
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('test', function () { expect(1); });",
+            output: "QUnit.test('test', function (assert) { assert.expect(1); });",
+            languageOptions: { globals: { expect: true } },
+            errors: [
+                {
+                    messageId: "unexpectedGlobalExpect",
+                },
+            ],
+        },
+        {
+            code: "expect(1);",
+            output: null,
             languageOptions: { globals: { expect: true } },
             errors: [
                 {
@@ -11,12 +11,37 @@
 //------------------------------------------------------------------------------
 
 const rule = require("../../../lib/rules/no-global-stop-start"),
-    RuleTester = require("eslint").RuleTester;
+    RuleTester = require("eslint").RuleTester,
+    outdent = require("outdent").default;
 
 //------------------------------------------------------------------------------
 // Tests
 //------------------------------------------------------------------------------
 
+/**
+ * @param {string} callee
+ * @param {string} [suggestionOutput]
+ * @returns {import('eslint').RuleTester.TestCaseError}
+ */
+function createError(callee, suggestionOutput) {
+    return {
+        messageId: "unexpectedGlobalStopStart",
+        data: {
+            callee,
+        },
+        suggestions: suggestionOutput
+            ? [
+                  {
+                      messageId: "migrateToAssertAsync",
+                      output: suggestionOutput,
+                  },
+              ]
+            : [],
+    };
+}
+
+const GLOBALS = { start: true, stop: true };
+
 const ruleTester = new RuleTester();
 ruleTester.run("no-global-stop-start", rule, {
     valid: [
@@ -33,6 +58,7 @@ ruleTester.run("no-global-stop-start", rule, {
     invalid: [
         {
             code: "stop();",
+            output: null,
             languageOptions: { globals: { stop: true } },
             errors: [
                 {
@@ -45,6 +71,7 @@ ruleTester.run("no-global-stop-start", rule, {
         },
         {
             code: "start();",
+            output: null,
             languageOptions: { globals: { start: true } },
             errors: [
                 {
@@ -55,5 +82,200 @@ ruleTester.run("no-global-stop-start", rule, {
                 },
             ],
         },
+
+        // Balanced stop()/start() calls in a test are migrated.
+        {
+            code: "QUnit.test('a', function (assert) { stop(); start(); });",
+            output: "QUnit.test('a', function (assert) { const done = assert.async(); done(); });",
+            languageOptions: { globals: GLOBALS },
+            errors: [createError("stop"), createError("start")],
+        },
+        {
+            // Legacy ES5 scripts declare the callback with var
+            code: "QUnit.test('a', function (assert) { stop(); start(); });",
+            output: "QUnit.test('a', function (assert) { var done = assert.async(); done(); });",
+            languageOptions: {
+                ecmaVersion: 5,
+                sourceType: "script",
+                globals: GLOBALS,
+            },
+            errors: [createError("stop"), createError("start")],
+        },
+        {
+            code: "QUnit.test('a', function () { stop(); QUnit.start(); });",
+            output: "QUnit.test('a', function (assert) { const done = assert.async(); done(); });",
+            languageOptions: { globals: GLOBALS },
+            errors: [createError("stop")],
+        },
+        {
+            code: "QUnit.test('a', function (foo) { stop(2); start(); start(); });",
+            output: "QUnit.test('a', function (foo) { const done = foo.async(2); done(); done(); });",
+            languageOptions: { globals: GLOBALS },
+            errors: [
+                createError("stop"),
+                createError("start"),
+                createError("start"),
+            ],
+        },
+        {
+            code: outdent`
+              QUnit.test('a', function (assert) {
+                  stop();
+                  // second request
+                  stop();
+                  request(a, b).then(start(), start());
+              });
+            `,
+            output: outdent`
+              QUnit.test('a', function (assert) {
+                  const done = assert.async(2);
+                  // second request
+                  request(a, b).then(done(), done());
+              });
+            `,
+            languageOptions: { globals: GLOBALS },
+            errors: [
+                createError("stop"),
+                createError("stop"),
+                createError("start"),
+                createError("start"),
+            ],
+        },
+
+        {
+            // Properties named start are not references to start()
+            code: "QUnit.test('a', function (assert) { stop(); server.start({ start: 1 }); start(); });",
+            output: "QUnit.test('a', function (assert) { const done = assert.async(); server.start({ start: 1 }); done(); });",
+            languageOptions: { globals: GLOBALS },
+            errors: [createError("stop"), createError("start")],
+        },
+
+        // Pairing across function boundaries is only suggested.
+        {
+            code: "QUnit.test('a', function (assert) { stop(); setTimeout(function () { start(); }); });",
+            output: null,
+            languageOptions: { globals: GLOBALS },
+            errors: [
+                createError(
+                    "stop",
+                    "QUnit.test('a', function (assert) { const done = assert.async(); setTimeout(function () { done(); }); });",
+                ),
+                createError(
+                    "start",
+                    "QUnit.test('a', function (assert) { const done = assert.async(); setTimeout(function () { done(); }); });",
+                ),
+            ],
+        },
+
+        // Conditional start() calls are only suggested.
+        {
+            code: "QUnit.test('a', function (assert) { stop(); if (x) { start(); } });",
+            output: null,
+            languageOptions: { globals: GLOBALS },
+            errors: [
+                createError(
+                    "stop",
+                    "QUnit.test('a', function (assert) { const done = assert.async(); if (x) { done(); } });",
+                ),
+                createError(
+                    "start",
+                    "QUnit.test('a', function (assert) { const done = assert.async(); if (x) { done(); } });",
+                ),
+            ],
+        },
+
+        // Calls that cannot be migrated.
+        {
+            // Start passed as a value
+            code: "QUnit.test('a', function (assert) { stop(); setTimeout(start); start(); });",
+            output: null,
+            languageOptions: { globals: GLOBALS },
+            errors: [createError("stop"), createError("start")],
+        },
+        {
+            // Stop passed as a value
+            code: "QUnit.test('a', function (assert) { stop(); start(); var s = stop; });",
+            output: null,
+            languageOptions: { globals: GLOBALS },
+            errors: [createError("stop"), createError("start")],
+        },
+        {
+            // Unbalanced
+            code: "QUnit.test('a', function (assert) { stop(); });",
+            output: null,
+            languageOptions: { globals: GLOBALS },
+            errors: [createError("stop")],
+        },
+        {
+            // Start before stop
+            code: "QUnit.test('a', function (assert) { start(); stop(); });",
+            output: null,
+            languageOptions: { globals: GLOBALS },
+            errors: [createError("start"), createError("stop")],
+        },
+        {
+            // Stop in a nested function
+            code: "QUnit.test('a', function (assert) { setup(function () { stop(); }); start(); });",
+            output: null,
+            languageOptions: { globals: GLOBALS },
+            errors: [createError("stop"), createError("start")],
+        },
+        {
+            // Stop in an expression
+            code: "QUnit.test('a', function (assert) { var x = stop(); start(); });",
+            output: null,
+            languageOptions: { globals: GLOBALS },
+            errors: [createError("stop"), createError("start")],
+        },
+        {
+            // Start with a semaphore argument
+            code: "QUnit.test('a', function (assert) { stop(2); start(2); });",
+            output: null,
+            languageOptions: { globals: GLOBALS },
+            errors: [createError("stop"), createError("start")],
+        },
+        {
+            // Non-literal semaphore
+            code: "QUnit.test('a', function (assert) { stop(count); start(); });",
+            output: null,
+            languageOptions: { globals: GLOBALS },
+            errors: [createError("stop"), createError("start")],
+        },
+        {
+            // Existing `done` identifier
+            code: "QUnit.test('a', function (assert) { stop(); done = start; start(); });",
+            output: null,
+            languageOptions: { globals: GLOBALS },
+            errors: [createError("stop"), createError("start")],
+        },
+        {
+            // Shadowed assert context
+            code: "var assert = require('assert'); QUnit.test('a', function () { stop(); start(); });",
+            output: null,
+            languageOptions: { globals: GLOBALS },
+            errors: [createError("stop"), createError("start")],
+        },
+        {
+            code: "QUnit.test('a', function (assert) { start(); });",
+            output: null,
+            languageOptions: { globals: GLOBALS },
+            errors: [createError("start")],
+        },
+        {
+            code: "QUnit.test('a', () => stop());",
+            output: null,
+            languageOptions: { globals: GLOBALS },
+            errors: [createError("stop")],
+        },
+        {
+            code: "asyncTest('a', function () { stop(); start(); start(); });",
+            output: null,
+            languageOptions: { globals: GLOBALS },
+            errors: [
+                createError("stop"),
+                createError("start"),
+                createError("start"),
+            ],
+        },
     ],
 });
@@ -38,6 +38,13 @@ ruleTester.run("no-hooks-from-ancestor-modules", rule, {
     valid: [
         "QUnit.testDone(function() {});",
         `
+        moduleFor("module-a", function (hooks) {
+            moduleFor("module-b", function () {
+                hooks.setupTest(function () {});
+            });
+        });
+        `,
+        `
         QUnit.module("module");
         `,
         `
@@ -146,6 +153,30 @@ ruleTester.run("no-hooks-from-ancestor-modules", rule, {
         });
         `,
         `
+        QUnit.module("first", function (hooks) {
+            hooks.before(function () {});
+            hooks.after(function () {});
+            QUnit.module("second", function (innerHooks) {
+                innerHooks.before(function () {});
+                innerHooks.after(function () {});
+            });
+        });
+        `,
+        `
+        QUnit.module("first", function () {
+            QUnit.module("second", function () {
+                QUnit.hooks.beforeEach(function () {});
+                QUnit.hooks.afterEach(function () {});
+            });
+        });
+        `,
+        `
+        import { module, hooks } from "qunit";
+        module("module", function (h) {
+            hooks.beforeEach(function () {});
+        });
+        `,
+        `
         function foo(name) {
             QUnit.module(name, function (hooks) {
                 hooks.beforeEach(function () {});
@@ -161,6 +192,58 @@ ruleTester.run("no-hooks-from-ancestor-modules", rule, {
     ],
 
     invalid: [
+        {
+            // Module functions and hook names from the shared settings
+            code: `
+                moduleFor("module-a", function (hooks) {
+                    moduleFor("module-b", function () {
+                        hooks.setupTest(function () {});
+                    });
+                });
+            `,
+            errors: [
+                createError({
+                    invokedMethodName: "setupTest",
+                    usedHooksIdentifierName: "hooks",
+                }),
+            ],
+            settings: {
+                qunit: {
+                    moduleFunctions: ["moduleFor"],
+                    hookNames: ["setupTest"],
+                },
+            },
+        },
+        {
+            code: `
+                QUnit.module("module-a", function (hooks) {
+                    QUnit.module("module-b", function () {
+                        hooks.before(function () {});
+                    });
+                });
+            `,
+            errors: [
+                createError({
+                    invokedMethodName: "before",
+                    usedHooksIdentifierName: "hooks",
+                }),
+            ],
+        },
+        {
+            code: `
+                QUnit.module("first", function (firstHooks) {
+                    QUnit.module("second", function (secondHooks) {
+                        firstHooks.after(function () {});
+                    });
+                });
+            `,
+            errors: [
+                createError({
+                    invokedMethodName: "after",
+                    usedHooksIdentifierName: "firstHooks",
+                }),
+            ],
+        },
         {
             code: `
                 QUnit.module("module-a", function (hooks) {
@@ -341,5 +424,23 @@ ruleTester.run("no-hooks-from-ancestor-modules", rule, {
                 }),
             ],
         },
+
+        // ESM imports
+        {
+            code: `
+                import { module as describe } from "qunit";
+                describe("parent module", function (hooks) {
+                    describe("child module", function (childHooks) {
+                        hooks.beforeEach(function () {});
+                    });
+                });
+            `,
+            errors: [
+                createError({
+                    invokedMethodName: "beforeEach",
+                    usedHooksIdentifierName: "hooks",
+                }),
+            ],
+        },
     ],
 });
@@ -134,9 +134,83 @@ ruleTester.run("no-identical-names", rule, {
               });
           });
         `,
+        // Data-driven tests expand into "title [key]" test names
+        outdent`
+          test.each("it1", [1, 2], function(assert, data) {});
+          test("it1", function() {});
+        `,
+        outdent`
+          test.each("it1", [1, 2], function(assert, data) {});
+          test("it1 [2]", function() {});
+        `,
+        outdent`
+          test.each("it1", dataset, function(assert, data) {});
+          test("it1 [0]", function() {});
+        `,
+        outdent`
+          test.each("it1", [1, 2], function(assert, data) {});
+          test.each("it2", [1, 2], function(assert, data) {});
+        `,
+        outdent`
+          test.each("it1", [1, 2], function(assert, data) {});
+          test.each("it1", { b: 1 }, function(assert, data) {});
+        `,
+
+        // Names are compared exactly by default
+        outdent`
+          test("Handles null", function() {});
+          test("handles null", function() {});
+          test("handles  null", function() {});
+        `,
+        {
+            code: outdent`
+              test("Handles null", function() {});
+              test("handles  null", function() {});
+            `,
+            options: [{ ignoreCase: true }],
+        },
+        {
+            code: outdent`
+              test("Handles null", function() {});
+              test("handles  null", function() {});
+            `,
+            options: [{ normalizeWhitespace: true }],
+        },
+
+        // Names that cannot be evaluated statically
+        outdent`
+          let prefix = "it";
+          prefix = getPrefix();
+          test(\`\${prefix} works\`, function() {});
+          test(\`\${prefix} works\`, function() {});
+          test(getName(), function() {});
+          test(getName(), function() {});
+          test({}, function() {});
+          test({}, function() {});
+          test(...names, function() {});
+          test(...names, function() {});
+        `,
     ],
 
     invalid: [
+        {
+            code: outdent`
+              import { module as describe, test as it } from "qunit";
+              describe("module1");
+              it("it1", function() {});
+              it("it1", function() {});
+            `,
+            errors: [
+                {
+                    messageId: "duplicateTest",
+                    data: {
+                        line: 3,
+                    },
+                    column: 4,
+                    line: 4,
+                },
+            ],
+        },
         {
             code: outdent`
               module("module1");
@@ -204,6 +278,42 @@ ruleTester.run("no-identical-names", rule, {
                 },
             ],
         },
+        {
+            code: outdent`
+              QUnit.module("module1");
+              QUnit.test("it1", function() {});
+              QUnit.module.only("module1");
+              QUnit.test("it2", function() {});
+            `,
+            errors: [
+                {
+                    messageId: "duplicateModule",
+                    data: {
+                        line: 1,
+                    },
+                    column: 19,
+                    line: 3,
+                },
+            ],
+        },
+        {
+            code: outdent`
+              QUnit.module.skip("module1", function() {
+                QUnit.test("it1", function() {});
+                QUnit.test("it1", function() {});
+              });
+            `,
+            errors: [
+                {
+                    messageId: "duplicateTest",
+                    data: {
+                        line: 2,
+                    },
+                    column: 14,
+                    line: 3,
+                },
+            ],
+        },
         {
             code: outdent`
               module("module1");
@@ -292,5 +402,212 @@ ruleTester.run("no-identical-names", rule, {
                 },
             ],
         },
+        {
+            code: outdent`
+              QUnit.test.each("it1", [1, 2], function(assert, data) {});
+              QUnit.test.each("it1", dataset, function(assert, data) {});
+            `,
+            errors: [
+                {
+                    messageId: "duplicateTest",
+                    data: {
+                        line: 1,
+                    },
+                    column: 17,
+                    line: 2,
+                },
+            ],
+        },
+        {
+            code: outdent`
+              QUnit.test.each("it1", [1, 2], function(assert, data) {});
+              QUnit.test.each("it1", [3], function(assert, data) {});
+            `,
+            errors: [
+                {
+                    messageId: "duplicateTest",
+                    data: {
+                        line: 1,
+                    },
+                    column: 17,
+                    line: 2,
+                },
+            ],
+        },
+        {
+            code: outdent`
+              QUnit.test.each("it1", [1, 2], function(assert, data) {});
+              QUnit.test("it1 [1]", function() {});
+            `,
+            errors: [
+                {
+                    messageId: "duplicateTest",
+                    data: {
+                        line: 1,
+                    },
+                    column: 12,
+                    line: 2,
+                },
+            ],
+        },
+        {
+            code: outdent`
+              test("it1 [b]", function() {});
+              only.each("it1", { a: 1, "b": 2 }, function(assert, data) {});
+            `,
+            errors: [
+                {
+                    messageId: "duplicateTest",
+                    data: {
+                        line: 1,
+                    },
+                    column: 11,
+                    line: 2,
+                },
+            ],
+        },
+        {
+            code: outdent`
+              QUnit.test("it1", function() {});
+              QUnit.todo("it1", function() {});
+            `,
+            errors: [
+                {
+                    messageId: "duplicateTest",
+                    data: {
+                        line: 1,
+                    },
+                    column: 12,
+                    line: 2,
+                },
+            ],
+        },
+
+        // Case-insensitive and whitespace-normalized comparison
+        {
+            code: outdent`
+              module("Parser");
+              test("Handles null", function() {});
+              test("handles null", function() {});
+              module("parser");
+            `,
+            options: [{ ignoreCase: true }],
+            errors: [
+                {
+                    messageId: "duplicateTest",
+                    data: {
+                        line: 2,
+                    },
+                    line: 3,
+                },
+                {
+                    messageId: "duplicateModule",
+                    data: {
+                        line: 1,
+                    },
+                    line: 4,
+                },
+            ],
+        },
+        {
+            code: outdent`
+              test("handles  null ", function() {});
+              test("handles\\tnull", function() {});
+              test.each(" it1", [1, 2], function(assert, data) {});
+              test("it1  [1]", function() {});
+            `,
+            options: [{ normalizeWhitespace: true }],
+            errors: [
+                {
+                    messageId: "duplicateTest",
+                    data: {
+                        line: 1,
+                    },
+                    line: 2,
+                },
+                {
+                    messageId: "duplicateTest",
+                    data: {
+                        line: 3,
+                    },
+                    line: 4,
+                },
+            ],
+        },
+        {
+            code: outdent`
+              module("Parser", function() {
+                  module(" PARSER", function() {});
+              });
+            `,
+            options: [{ ignoreCase: true, normalizeWhitespace: true }],
+            errors: [
+                {
+                    messageId: "duplicateModuleAncestor",
+                    data: {
+                        line: 1,
+                    },
+                    line: 2,
+                },
+            ],
+        },
+
+        // Names that are evaluated statically
+        {
+            code: outdent`
+              const PREFIX = "parser";
+              test(\`\${PREFIX} works\`, function() {});
+              test("parser works", function() {});
+              test(PREFIX + " works", function() {});
+              test(1, function() {});
+              test("1", function() {});
+            `,
+            errors: [
+                {
+                    messageId: "duplicateTest",
+                    data: {
+                        line: 2,
+                    },
+                    line: 3,
+                },
+                {
+                    messageId: "duplicateTest",
+                    data: {
+                        line: 2,
+                    },
+                    line: 4,
+                },
+                {
+                    messageId: "duplicateTest",
+                    data: {
+                        line: 5,
+                    },
+                    line: 6,
+                },
+            ],
+        },
+
+        // Top-level modules in flat style
+        {
+            code: outdent`
+              const NAME = "parser";
+              QUnit.module(NAME);
+              QUnit.test("it1", function() {});
+              QUnit.module("lexer", function() {
+                  QUnit.test("it1", function() {});
+              });
+              QUnit.module(\`\${NAME}\`);
+              QUnit.test("it2", function() {});
+            `,
+            errors: [
+                {
+                    messageId: "duplicateModule",
+                    data: {
+                        line: 2,
+                    },
+                    line: 7,
+                },
+            ],
+        },
     ],
 });
@@ -25,6 +25,8 @@ ruleTester.run("no-init", rule, {
 
         // Only QUnit.init() is reported
         "QUnit.reset()",
+        "Q.init()",
+        "foo.init()",
     ],
 
     invalid: [
@@ -36,5 +38,23 @@ ruleTester.run("no-init", rule, {
                 },
             ],
         },
+        {
+            code: "import Q from 'qunit'; Q.init();",
+            errors: [
+                {
+                    messageId: "noInit",
+                },
+            ],
+        },
+        {
+            // QUnit namespace from the shared settings
+            code: "Q.init();",
+            errors: [
+                {
+                    messageId: "noInit",
+                },
+            ],
+            settings: { qunit: { namespace: "Q" } },
+        },
     ],
 });
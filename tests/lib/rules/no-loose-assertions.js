@@ -39,6 +39,7 @@ ruleTester.run("no-loose-assertions", rule, {
     invalid: [
         {
             code: "QUnit.test('Name', function (assert) { assert.ok(a); });",
+            output: null,
             errors: [
                 {
                     messageId: "unexpectedLocalLooseAssertion",
@@ -51,6 +52,7 @@ ruleTester.run("no-loose-assertions", rule, {
         },
         {
             code: "QUnit.test('Name', (assert) => { assert.ok(a); });",
+            output: null,
             errors: [
                 {
                     messageId: "unexpectedLocalLooseAssertion",
@@ -63,6 +65,7 @@ ruleTester.run("no-loose-assertions", rule, {
         },
         {
             code: "QUnit.test('Name', function (foo) { foo.ok(a); });",
+            output: null,
             errors: [
                 {
                     messageId: "unexpectedLocalLooseAssertion",
@@ -75,6 +78,7 @@ ruleTester.run("no-loose-assertions", rule, {
         },
         {
             code: "QUnit.test('Name', function (assert) { assert.notOk(a); });",
+            output: null,
             errors: [
                 {
                     messageId: "unexpectedLocalLooseAssertion",
@@ -87,6 +91,7 @@ ruleTester.run("no-loose-assertions", rule, {
         },
         {
             code: "QUnit.test('Name', function (foo) { foo.notOk(a); });",
+            output: null,
             errors: [
                 {
                     messageId: "unexpectedLocalLooseAssertion",
@@ -99,6 +104,7 @@ ruleTester.run("no-loose-assertions", rule, {
         },
         {
             code: "QUnit.test('Name', function (assert) { ok(a, b); });",
+            output: null,
             errors: [
                 {
                     messageId: "unexpectedGlobalLooseAssertion",
@@ -108,6 +114,7 @@ ruleTester.run("no-loose-assertions", rule, {
         },
         {
             code: "QUnit.test('Name', function (assert) { notOk(a, b); });",
+            output: null,
             errors: [
                 {
                     messageId: "unexpectedGlobalLooseAssertion",
@@ -117,6 +124,7 @@ ruleTester.run("no-loose-assertions", rule, {
         },
         {
             code: "QUnit.test('Name', function () { ok(a, b); });",
+            output: null,
             errors: [
                 {
                     messageId: "unexpectedGlobalLooseAssertion",
@@ -126,6 +134,7 @@ ruleTester.run("no-loose-assertions", rule, {
         },
         {
             code: "QUnit.test('Name', function () { notOk(a, b); });",
+            output: null,
             errors: [
                 {
                     messageId: "unexpectedGlobalLooseAssertion",
@@ -135,6 +144,7 @@ ruleTester.run("no-loose-assertions", rule, {
         },
         {
             code: "QUnit.test('Name', function (assert) { assert.equal(a, b); });",
+            output: null,
             errors: [
                 {
                     messageId: "unexpectedLocalLooseAssertion",
@@ -147,6 +157,7 @@ ruleTester.run("no-loose-assertions", rule, {
         },
         {
             code: "QUnit.test('Name', function (foo) { foo.equal(a, b); });",
+            output: null,
             errors: [
                 {
                     messageId: "unexpectedLocalLooseAssertion",
@@ -159,6 +170,7 @@ ruleTester.run("no-loose-assertions", rule, {
         },
         {
             code: "QUnit.test('Name', function (assert) { equal(a, b); });",
+            output: null,
             errors: [
                 {
                     messageId: "unexpectedGlobalLooseAssertion",
@@ -175,6 +187,7 @@ ruleTester.run("no-loose-assertions", rule, {
                           assert.notEqual(a, b);
                       });
                   `,
+            output: null,
             errors: [
                 {
                     messageId: "unexpectedLocalLooseAssertion",
@@ -215,6 +228,7 @@ ruleTester.run("no-loose-assertions", rule, {
                           foo.notEqual(a, b);
                       });
                   `,
+            output: null,
             errors: [
                 {
                     messageId: "unexpectedLocalLooseAssertion",
@@ -255,6 +269,7 @@ ruleTester.run("no-loose-assertions", rule, {
                           notEqual(a, b);
                       });
                   `,
+            output: null,
             errors: [
                 {
                     messageId: "unexpectedGlobalLooseAssertion",
@@ -282,6 +297,7 @@ ruleTester.run("no-loose-assertions", rule, {
                           assert.equal(a, b);
                       });
                   `,
+            output: null,
             options: [["ok", { disallowed: "equal", recommended: ["ab"] }]],
             errors: [
                 {
@@ -304,6 +320,7 @@ ruleTester.run("no-loose-assertions", rule, {
                           foo.equal(a, b);
                       });
                   `,
+            output: null,
             options: [["ok", { disallowed: "equal", recommended: ["ab"] }]],
             errors: [
                 {
@@ -326,6 +343,7 @@ ruleTester.run("no-loose-assertions", rule, {
                           equal(a, b);
                       });
                   `,
+            output: null,
             options: [["ok", "equal"]],
             errors: [
                 {
@@ -348,6 +366,7 @@ ruleTester.run("no-loose-assertions", rule, {
                   `,
 
             // Extra "equal" and "ok" definitions to make sure they are properly ignored while parsing options
+            output: null,
             options: [
                 [
                     "ok",
@@ -366,5 +385,306 @@ ruleTester.run("no-loose-assertions", rule, {
                 },
             ],
         },
+
+        // Fixes and suggestions for configured replacements
+        {
+            code: "QUnit.test('Name', function (assert) { assert.equal(a, b); });",
+            output: "QUnit.test('Name', function (assert) { assert.strictEqual(a, b); });",
+            options: [[{ disallowed: "equal", recommended: ["strictEqual"] }]],
+            errors: [
+                {
+                    message: "Unexpected assert.equal. Use assert.strictEqual.",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function () { equal(a, b); });",
+            output: "QUnit.test('Name', function () { strictEqual(a, b); });",
+            options: [[{ disallowed: "equal", recommended: ["strictEqual"] }]],
+            errors: [
+                {
+                    message: "Unexpected equal. Use strictEqual.",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (foo) { foo.notEqual(a, b, 'message'); });",
+            output: "QUnit.test('Name', function (foo) { foo.notDeepEqual(a, b, 'message'); });",
+            options: [
+                [{ disallowed: "notEqual", recommended: ["notDeepEqual"] }],
+            ],
+            errors: [
+                {
+                    message: "Unexpected foo.notEqual. Use foo.notDeepEqual.",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.ok(a === b); });",
+            output: "QUnit.test('Name', function (assert) { assert.true(a === b); });",
+            options: [[{ disallowed: "ok", recommended: ["true"] }]],
+            errors: [
+                {
+                    message: "Unexpected assert.ok. Use assert.true.",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.notOk(!a && b < c); });",
+            output: "QUnit.test('Name', function (assert) { assert.false(!a && b < c); });",
+            options: [[{ disallowed: "notOk", recommended: ["false"] }]],
+            errors: [
+                {
+                    message: "Unexpected assert.notOk. Use assert.false.",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.ok(Array.isArray(a)); });",
+            output: "QUnit.test('Name', function (assert) { assert.true(Array.isArray(a)); });",
+            options: [[{ disallowed: "ok", recommended: ["true"] }]],
+            errors: [
+                {
+                    message: "Unexpected assert.ok. Use assert.true.",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.ok(Boolean(a)); });",
+            output: "QUnit.test('Name', function (assert) { assert.true(Boolean(a)); });",
+            options: [[{ disallowed: "ok", recommended: ["true"] }]],
+            errors: [
+                {
+                    message: "Unexpected assert.ok. Use assert.true.",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.ok(true); });",
+            output: "QUnit.test('Name', function (assert) { assert.true(true); });",
+            options: [[{ disallowed: "ok", recommended: ["true"] }]],
+            errors: [
+                {
+                    message: "Unexpected assert.ok. Use assert.true.",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.ok(a); });",
+            output: null,
+            options: [[{ disallowed: "ok", recommended: ["true"] }]],
+            errors: [
+                {
+                    message: "Unexpected assert.ok. Use assert.true.",
+                    suggestions: [
+                        {
+                            messageId: "useRecommendedAssertion",
+                            data: { replacement: "assert.true" },
+                            output: "QUnit.test('Name', function (assert) { assert.true(a); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.ok(a || b); });",
+            output: null,
+            options: [[{ disallowed: "ok", recommended: ["true"] }]],
+            errors: [
+                {
+                    message: "Unexpected assert.ok. Use assert.true.",
+                    suggestions: [
+                        {
+                            messageId: "useRecommendedAssertion",
+                            data: { replacement: "assert.true" },
+                            output: "QUnit.test('Name', function (assert) { assert.true(a || b); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            // Any object can define includes()
+            code: "QUnit.test('Name', function (assert) { assert.ok(a.includes(b)); });",
+            output: null,
+            options: [[{ disallowed: "ok", recommended: ["true"] }]],
+            errors: [
+                {
+                    message: "Unexpected assert.ok. Use assert.true.",
+                    suggestions: [
+                        {
+                            messageId: "useRecommendedAssertion",
+                            data: { replacement: "assert.true" },
+                            output: "QUnit.test('Name', function (assert) { assert.true(a.includes(b)); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.ok(-a); });",
+            output: null,
+            options: [[{ disallowed: "ok", recommended: ["true"] }]],
+            errors: [
+                {
+                    message: "Unexpected assert.ok. Use assert.true.",
+                    suggestions: [
+                        {
+                            messageId: "useRecommendedAssertion",
+                            data: { replacement: "assert.true" },
+                            output: "QUnit.test('Name', function (assert) { assert.true(-a); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.ok(); });",
+            output: null,
+            options: [[{ disallowed: "ok", recommended: ["true"] }]],
+            errors: [
+                {
+                    message: "Unexpected assert.ok. Use assert.true.",
+                    suggestions: [
+                        {
+                            messageId: "useRecommendedAssertion",
+                            data: { replacement: "assert.true" },
+                            output: "QUnit.test('Name', function (assert) { assert.true(); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.ok(a.b(c)); });",
+            output: null,
+            options: [[{ disallowed: "ok", recommended: ["true"] }]],
+            errors: [
+                {
+                    message: "Unexpected assert.ok. Use assert.true.",
+                    suggestions: [
+                        {
+                            messageId: "useRecommendedAssertion",
+                            data: { replacement: "assert.true" },
+                            output: "QUnit.test('Name', function (assert) { assert.true(a.b(c)); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.equal(a, b); });",
+            output: null,
+            options: [
+                [
+                    {
+                        disallowed: "equal",
+                        recommended: ["strictEqual", "deepEqual", "propEqual"],
+                    },
+                ],
+            ],
+            errors: [
+                {
+                    message:
+                        "Unexpected assert.equal. Use assert.strictEqual, assert.deepEqual, assert.propEqual.",
+                    suggestions: [
+                        {
+                            messageId: "useRecommendedAssertion",
+                            data: { replacement: "assert.strictEqual" },
+                            output: "QUnit.test('Name', function (assert) { assert.strictEqual(a, b); });",
+                        },
+                        {
+                            messageId: "useRecommendedAssertion",
+                            data: { replacement: "assert.deepEqual" },
+                            output: "QUnit.test('Name', function (assert) { assert.deepEqual(a, b); });",
+                        },
+                        {
+                            messageId: "useRecommendedAssertion",
+                            data: { replacement: "assert.propEqual" },
+                            output: "QUnit.test('Name', function (assert) { assert.propEqual(a, b); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function () { equal(a, b); });",
+            output: null,
+            options: [
+                [
+                    {
+                        disallowed: "equal",
+                        recommended: ["strictEqual", "deepEqual"],
+                    },
+                ],
+            ],
+            errors: [
+                {
+                    message: "Unexpected equal. Use strictEqual, deepEqual.",
+                    suggestions: [
+                        {
+                            messageId: "useRecommendedAssertion",
+                            data: { replacement: "strictEqual" },
+                            output: "QUnit.test('Name', function () { strictEqual(a, b); });",
+                        },
+                        {
+                            messageId: "useRecommendedAssertion",
+                            data: { replacement: "deepEqual" },
+                            output: "QUnit.test('Name', function () { deepEqual(a, b); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.ok(a); });",
+            output: null,
+            options: [[{ disallowed: "ok", recommended: ["strictEqual"] }]],
+            errors: [
+                {
+                    message: "Unexpected assert.ok. Use assert.strictEqual.",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function (assert) { assert.equal(a, b); });",
+            output: null,
+            options: [
+                [{ disallowed: "equal", recommended: ["strictEqual", "ab"] }],
+            ],
+            errors: [
+                {
+                    message:
+                        "Unexpected assert.equal. Use assert.strictEqual, assert.ab.",
+                    suggestions: [
+                        {
+                            messageId: "useRecommendedAssertion",
+                            data: { replacement: "assert.strictEqual" },
+                            output: "QUnit.test('Name', function (assert) { assert.strictEqual(a, b); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Name', function () { ok(a === b); });",
+            output: null,
+            options: [[{ disallowed: "ok", recommended: ["true"] }]],
+            errors: [
+                {
+                    message: "Unexpected ok. Use true.",
+                    suggestions: [],
+                },
+            ],
+        },
     ],
 });
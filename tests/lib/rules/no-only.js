@@ -23,9 +23,32 @@ ruleTester.run("no-only", rule, {
         "QUnit.test('Name', function() { });",
         "module.test('Name', function() { });",
         "test('Name', function() { });",
+
+        // Names imported from other modules are not QUnit APIs
+        "import { only as it } from 'other-lib'; it('Name', function() { });",
+
+        // Test and module functions from the shared settings
+        "testInBrowser.only('Name', function() { });",
+        "Q.only('Name', function() { });",
     ],
 
     invalid: [
+        {
+            code: "QUnit.only.each('Name', [1, 2], function() { });",
+            errors: [
+                {
+                    messageId: "noQUnitOnly",
+                },
+            ],
+        },
+        {
+            code: "import { only } from 'qunit'; only.each('Name', [1, 2], function() { });",
+            errors: [
+                {
+                    messageId: "noQUnitOnly",
+                },
+            ],
+        },
         {
             code: "QUnit.module.only('Name', function() { });",
             errors: [
@@ -66,5 +89,114 @@ ruleTester.run("no-only", rule, {
                 },
             ],
         },
+
+        // ESM imports
+        {
+            code: "import QUnit from 'qunit'; QUnit.only('Name', function() { });",
+            errors: [
+                {
+                    messageId: "noQUnitOnly",
+                },
+            ],
+        },
+        {
+            code: "import * as Q from 'qunit'; Q.only('Name', function() { });",
+            errors: [
+                {
+                    messageId: "noQUnitOnly",
+                },
+            ],
+        },
+        {
+            code: "import * as Q from 'qunit'; Q.module.only('Name', function() { });",
+            errors: [
+                {
+                    messageId: "noQUnitOnly",
+                },
+            ],
+        },
+        {
+            code: "import { test as it } from 'qunit'; it.only('Name', function() { });",
+            errors: [
+                {
+                    messageId: "noQUnitOnly",
+                },
+            ],
+        },
+        {
+            code: "import { only as focus } from 'qunit'; focus('Name', function() { });",
+            errors: [
+                {
+                    messageId: "noQUnitOnly",
+                },
+            ],
+        },
+
+        // CommonJS require
+        {
+            code: "const Q = require('qunit'); Q.only('Name', function() { });",
+            languageOptions: { sourceType: "script" },
+            errors: [
+                {
+                    messageId: "noQUnitOnly",
+                },
+            ],
+        },
+        {
+            code: "const { module: describe } = require('qunit'); describe.only('Name', function() { });",
+            languageOptions: { sourceType: "script" },
+            errors: [
+                {
+                    messageId: "noQUnitOnly",
+                },
+            ],
+        },
+        {
+            code: "const { only: focus = null } = require('qunit'); focus('Name', function() { });",
+            languageOptions: { sourceType: "script" },
+            errors: [
+                {
+                    messageId: "noQUnitOnly",
+                },
+            ],
+        },
+        {
+            code: "const focus = require('qunit').only; focus('Name', function() { });",
+            languageOptions: { sourceType: "script" },
+            errors: [
+                {
+                    messageId: "noQUnitOnly",
+                },
+            ],
+        },
+
+        // Test and module functions from the shared settings
+        {
+            code: "testInBrowser.only('Name', function() { });",
+            errors: [
+                {
+                    messageId: "noQUnitOnly",
+                },
+            ],
+            settings: { qunit: { testFunctions: ["testInBrowser"] } },
+        },
+        {
+            code: "moduleFor.only('Name', function() { });",
+            errors: [
+                {
+                    messageId: "noQUnitOnly",
+                },
+            ],
+            settings: { qunit: { moduleFunctions: ["moduleFor"] } },
+        },
+        {
+            code: "Q.only('Name', function() { });",
+            errors: [
+                {
+                    messageId: "noQUnitOnly",
+                },
+            ],
+            settings: { qunit: { namespace: "Q" } },
+        },
     ],
 });
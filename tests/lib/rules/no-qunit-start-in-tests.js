@@ -40,6 +40,10 @@ ruleTester.run("no-qunit-start-in-tests", rule, {
 
         // Must allow QUnit.start() in module properties that are not hooks
         'QUnit.module("a module", { notAHook: function() { QUnit.start(); } });',
+
+        // Must allow QUnit.start() in callbacks that are not global hooks
+        "QUnit.hooks.notAHook(function() { QUnit.start(); });",
+        "hooks.beforeEach(function() { QUnit.start(); });",
     ],
 
     invalid: [
@@ -65,6 +69,24 @@ ruleTester.run("no-qunit-start-in-tests", rule, {
             code: 'QUnit.module("module", { teardown: function() { QUnit.start(); } });',
             errors: [createError("teardown hook")],
         },
+        {
+            code: 'QUnit.module("module", { before: function() { QUnit.start(); } });',
+            errors: [createError("before hook")],
+        },
+        {
+            code: 'QUnit.module("module", { after: function() { QUnit.start(); } });',
+            errors: [createError("after hook")],
+        },
+
+        // Global hooks
+        {
+            code: "QUnit.hooks.beforeEach(function() { QUnit.start(); });",
+            errors: [createError("global beforeEach hook")],
+        },
+        {
+            code: "QUnit.hooks.afterEach(function() { QUnit.start(); });",
+            errors: [createError("global afterEach hook")],
+        },
 
         // Module hooks (new-style modules)
         /* Enable when supported
@@ -17,11 +17,15 @@ const rule = require("../../../lib/rules/no-qunit-stop"),
 
 const ruleTester = new RuleTester();
 ruleTester.run("no-qunit-stop", rule, {
-    valid: ["var done = assert.async();"],
+    valid: [
+        "var done = assert.async();",
+        "import * as Other from 'other-lib'; Other.stop();",
+    ],
 
     invalid: [
         {
             code: "QUnit.stop();",
+            output: null,
             errors: [
                 {
                     messageId: "noQUnitStop",
@@ -30,6 +34,82 @@ ruleTester.run("no-qunit-stop", rule, {
         },
         {
             code: "QUnit.stop(2);",
+            output: null,
+            errors: [
+                {
+                    messageId: "noQUnitStop",
+                },
+            ],
+        },
+        {
+            code: "import * as Q from 'qunit'; Q.stop();",
+            output: null,
+            errors: [
+                {
+                    messageId: "noQUnitStop",
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('a', function (assert) { QUnit.stop(); QUnit.start(); });",
+            output: "QUnit.test('a', function (assert) { const done = assert.async(); done(); });",
+            errors: [
+                {
+                    messageId: "noQUnitStop",
+                },
+            ],
+        },
+        {
+            code: "import * as Q from 'qunit'; Q.test('a', function () { Q.stop(2); Q.start(); Q.start(); });",
+            output: "import * as Q from 'qunit'; Q.test('a', function (assert) { const done = assert.async(2); done(); done(); });",
+            errors: [
+                {
+                    messageId: "noQUnitStop",
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('a', function (assert) { QUnit.stop(); fetch().then(() => QUnit.start()); });",
+            output: null,
+            errors: [
+                {
+                    messageId: "noQUnitStop",
+                    suggestions: [
+                        {
+                            messageId: "migrateToAssertAsync",
+                            output: "QUnit.test('a', function (assert) { const done = assert.async(); fetch().then(() => done()); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('a', function (assert) { QUnit.stop(); setTimeout(QUnit.start); QUnit.start(); });",
+            output: null,
+            errors: [
+                {
+                    messageId: "noQUnitStop",
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('a', function (assert) { QUnit.stop(); x ? QUnit.start() : fail(); });",
+            output: null,
+            errors: [
+                {
+                    messageId: "noQUnitStop",
+                    suggestions: [
+                        {
+                            messageId: "migrateToAssertAsync",
+                            output: "QUnit.test('a', function (assert) { const done = assert.async(); x ? done() : fail(); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('a', function (assert) { QUnit.stop(); });",
+            output: null,
             errors: [
                 {
                     messageId: "noQUnitStop",
@@ -30,6 +30,9 @@ ruleTester.run("no-reassign-log-callbacks", rule, {
 
         // Assigning to other QUnit properties is okay
         "QUnit.blah = function () { };",
+
+        // Assigning to properties of other objects is okay
+        "Q.log = function () { };",
     ],
 
     invalid: [
@@ -89,5 +92,15 @@ ruleTester.run("no-reassign-log-callbacks", rule, {
                 },
             ],
         },
+        {
+            // QUnit namespace from the shared settings
+            code: "Q.log = function () { };",
+            errors: [
+                {
+                    messageId: "noReassignLogCallbacks",
+                },
+            ],
+            settings: { qunit: { namespace: "Q" } },
+        },
     ],
 });
@@ -23,9 +23,14 @@ ruleTester.run("no-skip", rule, {
         "QUnit.test('Name', function() { });",
         "module.test('Name', function() { });",
         "test('Name', function() { });",
+        "import { skip as it } from 'other-lib'; it('Name', function() { });",
     ],
 
     invalid: [
+        {
+            code: "QUnit.skip.each('Name', [1, 2], function() { });",
+            errors: [{ messageId: "noQUnitSkip" }],
+        },
         {
             code: "QUnit.module.skip('Name', function() { });",
             errors: [{ messageId: "noQUnitSkip" }],
@@ -46,5 +51,15 @@ ruleTester.run("no-skip", rule, {
             code: "test.skip('Name', function() { });",
             errors: [{ messageId: "noQUnitSkip" }],
         },
+
+        // ESM imports
+        {
+            code: "import { module as describe } from 'qunit'; describe.skip('Name', function() { });",
+            errors: [{ messageId: "noQUnitSkip" }],
+        },
+        {
+            code: "import { 'skip' as pending } from 'qunit'; pending('Name', function() { });",
+            errors: [{ messageId: "noQUnitSkip" }],
+        },
     ],
 });
@@ -9,7 +9,8 @@
 //------------------------------------------------------------------------------
 
 const rule = require("../../../lib/rules/no-test-expect-argument"),
-    RuleTester = require("eslint").RuleTester;
+    RuleTester = require("eslint").RuleTester,
+    outdent = require("outdent").default;
 
 //------------------------------------------------------------------------------
 // Tests
@@ -35,11 +36,35 @@ ruleTester.run("no-test-expect-argument", rule, {
         "QUnit.test('test name', function (assert) { assert.expect(0); });",
         "asyncTest('test name', function (assert) { assert.expect(0); });",
         "QUnit.asyncTest('test name', function (assert) { assert.expect(0); });",
+
+        // Data-driven tests take a dataset as their second argument
+        "QUnit.test.each('test name', [1, 2], function (assert, data) { });",
+        "QUnit.only.each('test name', { a: 1 }, function (assert, data) { });",
     ],
 
     invalid: [
+        {
+            // Test function and assert identifier from the shared settings
+            code: "testInBrowser('test name', 1, function () { });",
+            output: "testInBrowser('test name', function (t) { t.expect(1); });",
+            errors: [
+                {
+                    messageId: "noExpectArgument",
+                    data: {
+                        callee: "testInBrowser",
+                    },
+                },
+            ],
+            settings: {
+                qunit: {
+                    testFunctions: ["testInBrowser"],
+                    assertIdentifier: "t",
+                },
+            },
+        },
         {
             code: "test('test name', 0, function () { });",
+            output: "test('test name', function (assert) { assert.expect(0); });",
             errors: [
                 {
                     messageId: "noExpectArgument",
@@ -51,6 +76,7 @@ ruleTester.run("no-test-expect-argument", rule, {
         },
         {
             code: "QUnit.test('test name', 0, function () { });",
+            output: "QUnit.test('test name', function (assert) { assert.expect(0); });",
             errors: [
                 {
                     messageId: "noExpectArgument",
@@ -62,6 +88,7 @@ ruleTester.run("no-test-expect-argument", rule, {
         },
         {
             code: "asyncTest('test name', 0, function () { });",
+            output: "asyncTest('test name', function (assert) { assert.expect(0); });",
             errors: [
                 {
                     messageId: "noExpectArgument",
@@ -73,6 +100,78 @@ ruleTester.run("no-test-expect-argument", rule, {
         },
         {
             code: "QUnit.asyncTest('test name', 0, function () { });",
+            output: "QUnit.asyncTest('test name', function (assert) { assert.expect(0); });",
+            errors: [
+                {
+                    messageId: "noExpectArgument",
+                    data: {
+                        callee: "QUnit.asyncTest",
+                    },
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('test name', 2, function (assert) { assert.ok(a); assert.ok(b); });",
+            output: "QUnit.test('test name', function (assert) { assert.expect(2); assert.ok(a); assert.ok(b); });",
+            errors: [
+                {
+                    messageId: "noExpectArgument",
+                    data: {
+                        callee: "QUnit.test",
+                    },
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('test name', 1, function (a) { a.ok(true); });",
+            output: "QUnit.test('test name', function (a) { a.expect(1); a.ok(true); });",
+            errors: [
+                {
+                    messageId: "noExpectArgument",
+                    data: {
+                        callee: "QUnit.test",
+                    },
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('test name', 1, (assert) => { assert.ok(true); });",
+            output: "QUnit.test('test name', (assert) => { assert.expect(1); assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "noExpectArgument",
+                    data: {
+                        callee: "QUnit.test",
+                    },
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('test name', COUNT, function () { ok(true); });",
+            output: "QUnit.test('test name', function (assert) { assert.expect(COUNT); ok(true); });",
+            errors: [
+                {
+                    messageId: "noExpectArgument",
+                    data: {
+                        callee: "QUnit.test",
+                    },
+                },
+            ],
+        },
+        {
+            code: `
+                QUnit.asyncTest('test name', 1, function (assert) {
+                    assert.ok(true);
+                    QUnit.start();
+                });
+            `,
+            output: `
+                QUnit.asyncTest('test name', function (assert) {
+                    assert.expect(1);
+                    assert.ok(true);
+                    QUnit.start();
+                });
+            `,
             errors: [
                 {
                     messageId: "noExpectArgument",
@@ -82,5 +181,189 @@ ruleTester.run("no-test-expect-argument", rule, {
                 },
             ],
         },
+        // TypeScript `this` parameter is kept first
+        {
+            code: "QUnit.test('test name', 1, function (this: any) { ok(true); });",
+            output: "QUnit.test('test name', function (this: any, assert) { assert.expect(1); ok(true); });",
+            languageOptions: {
+                parser: require("@typescript-eslint/parser"),
+            },
+            errors: [
+                {
+                    messageId: "noExpectArgument",
+                    data: {
+                        callee: "QUnit.test",
+                    },
+                },
+            ],
+        },
+        // No fix if the test already calls expect()
+        {
+            code: "QUnit.test('test name', 1, function (assert) { assert.expect(1); });",
+            output: null,
+            errors: [
+                {
+                    messageId: "noExpectArgument",
+                    data: {
+                        callee: "QUnit.test",
+                    },
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('test name', 1, function () { expect(1); });",
+            output: null,
+            errors: [
+                {
+                    messageId: "noExpectArgument",
+                    data: {
+                        callee: "QUnit.test",
+                    },
+                },
+            ],
+        },
+        // No fix without a block body or a resolvable assert context
+        {
+            code: "QUnit.test('test name', 1, (assert) => assert.ok(true));",
+            output: null,
+            errors: [
+                {
+                    messageId: "noExpectArgument",
+                    data: {
+                        callee: "QUnit.test",
+                    },
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('test name', 1, callback);",
+            output: null,
+            errors: [
+                {
+                    messageId: "noExpectArgument",
+                    data: {
+                        callee: "QUnit.test",
+                    },
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('test name', 1, function ({ ok }) { ok(true); });",
+            output: null,
+            errors: [
+                {
+                    messageId: "noExpectArgument",
+                    data: {
+                        callee: "QUnit.test",
+                    },
+                },
+            ],
+        },
+        {
+            // Empty callback body
+            code: "QUnit.test('test name', 0, function (assert) {});",
+            output: "QUnit.test('test name', function (assert) { assert.expect(0); });",
+            errors: [
+                {
+                    messageId: "noExpectArgument",
+                    data: {
+                        callee: "QUnit.test",
+                    },
+                },
+            ],
+        },
+        {
+            // Directives stay at the start of the callback body
+            code: "QUnit.test('test name', 1, function (assert) { 'use strict'; assert.ok(true); });",
+            output: "QUnit.test('test name', function (assert) { 'use strict'; assert.expect(1); assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "noExpectArgument",
+                    data: {
+                        callee: "QUnit.test",
+                    },
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('test name', 0, function (assert) { 'use strict'; });",
+            output: "QUnit.test('test name', function (assert) { 'use strict'; assert.expect(0); });",
+            errors: [
+                {
+                    messageId: "noExpectArgument",
+                    data: {
+                        callee: "QUnit.test",
+                    },
+                },
+            ],
+        },
+        {
+            code: outdent`
+              QUnit.test('test name', 1, function (assert) {
+                  "use strict";
+                  assert.ok(true);
+              });
+            `,
+            output: outdent`
+              QUnit.test('test name', function (assert) {
+                  "use strict";
+                  assert.expect(1);
+                  assert.ok(true);
+              });
+            `,
+            errors: [
+                {
+                    messageId: "noExpectArgument",
+                    data: {
+                        callee: "QUnit.test",
+                    },
+                },
+            ],
+        },
+        {
+            code: outdent`
+              QUnit.test('test name', 0, function (assert) {
+                  "use strict";
+              });
+            `,
+            output: outdent`
+              QUnit.test('test name', function (assert) {
+                  "use strict";
+                  assert.expect(0);
+              });
+            `,
+            errors: [
+                {
+                    messageId: "noExpectArgument",
+                    data: {
+                        callee: "QUnit.test",
+                    },
+                },
+            ],
+        },
+        {
+            code: "var assert = {}; QUnit.test('test name', 1, function () { ok(true); });",
+            output: null,
+            errors: [
+                {
+                    messageId: "noExpectArgument",
+                    data: {
+                        callee: "QUnit.test",
+                    },
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('test name', /* expected */ 1, function (assert) { assert.ok(true); });",
+            output: null,
+            errors: [
+                {
+                    messageId: "noExpectArgument",
+                    data: {
+                        callee: "QUnit.test",
+                    },
+                },
+            ],
+        },
     ],
 });
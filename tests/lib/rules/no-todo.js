@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Forbid the use of QUnit.todo
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const rule = require("../../../lib/rules/no-todo"),
+    RuleTester = require("eslint").RuleTester,
+    { outdent } = require("outdent");
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+
+ruleTester.run("no-todo", rule, {
+    valid: [
+        "QUnit.test('Name', function() { });",
+        "QUnit.module.test('Name', function() { });",
+        "test('Name', function() { });",
+        "QUnit.skip('Name', function() { });",
+        "import { todo as it } from 'other-lib'; it('Name', function() { });",
+
+        // Issue reference in the name
+        {
+            code: "QUnit.todo('Name (#123)', function() { });",
+            options: [{ allowWithIssueReference: true }],
+        },
+        {
+            code: "QUnit.todo('Name, see PROJ-42', function() { });",
+            options: [{ allowWithIssueReference: true }],
+        },
+        {
+            code: "QUnit.todo(`Name https://example.com/issues/1`, function() { });",
+            options: [{ allowWithIssueReference: true }],
+        },
+        {
+            code: "QUnit.todo.each('Name #5', [1, 2], function() { });",
+            options: [{ allowWithIssueReference: true }],
+        },
+
+        // Issue reference in a preceding comment
+        {
+            code: outdent`
+              // Blocked on #123
+              QUnit.todo('Name', function() { });
+            `,
+            options: [{ allowWithIssueReference: true }],
+        },
+        {
+            code: outdent`
+              /* https://example.com/issues/1 */
+              QUnit.module.todo('Name', function() { });
+            `,
+            options: [{ allowWithIssueReference: true }],
+        },
+        {
+            code: "register(/* #123 */ QUnit.todo('Name', function() { }));",
+            options: [{ allowWithIssueReference: true }],
+        },
+
+        // Custom issue pattern
+        {
+            code: "QUnit.todo('Name (bug 123)', function() { });",
+            options: [
+                {
+                    allowWithIssueReference: true,
+                    issuePattern: String.raw`bug \d+`,
+                },
+            ],
+        },
+    ],
+
+    invalid: [
+        {
+            code: "QUnit.todo('Name', function() { });",
+            errors: [{ messageId: "noQUnitTodo" }],
+        },
+        {
+            code: "QUnit.module.todo('Name', function() { });",
+            errors: [{ messageId: "noQUnitTodo" }],
+        },
+        {
+            code: "test.todo('Name', function() { });",
+            errors: [{ messageId: "noQUnitTodo" }],
+        },
+        {
+            code: "QUnit.todo.each('Name', [1, 2], function() { });",
+            errors: [{ messageId: "noQUnitTodo" }],
+        },
+        {
+            code: "import { todo as pending } from 'qunit'; pending('Name', function() { });",
+            errors: [{ messageId: "noQUnitTodo" }],
+        },
+        {
+            // Issue references are not allowed by default
+            code: "QUnit.todo('Name (#123)', function() { });",
+            errors: [{ messageId: "noQUnitTodo" }],
+        },
+
+        // Missing issue reference
+        {
+            code: "QUnit.todo('Name', function() { });",
+            options: [{ allowWithIssueReference: true }],
+            errors: [{ messageId: "noQUnitTodoWithoutIssue" }],
+        },
+        {
+            code: "QUnit.todo(name, function() { });",
+            options: [{ allowWithIssueReference: true }],
+            errors: [{ messageId: "noQUnitTodoWithoutIssue" }],
+        },
+        {
+            code: outdent`
+              // Not yet implemented
+              QUnit.todo('Name', function() { });
+            `,
+            options: [{ allowWithIssueReference: true }],
+            errors: [{ messageId: "noQUnitTodoWithoutIssue" }],
+        },
+        {
+            code: outdent`
+              // #123
+              setup();
+              QUnit.todo('Name', function() { });
+            `,
+            options: [{ allowWithIssueReference: true }],
+            errors: [{ messageId: "noQUnitTodoWithoutIssue" }],
+        },
+        {
+            code: "QUnit.todo('Name (#123)', function() { });",
+            options: [
+                {
+                    allowWithIssueReference: true,
+                    issuePattern: String.raw`bug \d+`,
+                },
+            ],
+            errors: [{ messageId: "noQUnitTodoWithoutIssue" }],
+        },
+    ],
+});
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Require assert.rejects() calls to be awaited or returned.
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const rule = require("../../../lib/rules/no-unawaited-rejects"),
+    RuleTester = require("eslint").RuleTester;
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * @param {string} assertVar
+ * @returns {{messageId: string, data: Record<string, string>}}
+ */
+function createError(assertVar = "assert") {
+    return {
+        messageId: "unawaitedRejects",
+        data: {
+            assertVar,
+        },
+    };
+}
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+
+ruleTester.run("no-unawaited-rejects", rule, {
+    valid: [
+        "QUnit.test('name', async function (assert) { await assert.rejects(promise); });",
+        "QUnit.test('name', function (assert) { return assert.rejects(promise); });",
+        "QUnit.test('name', (assert) => assert.rejects(promise));",
+        "QUnit.test('name', async (foo) => { await foo.rejects(promise, Error, 'message'); });",
+
+        // Result used in some other way
+        "QUnit.test('name', async function (assert) { const result = assert.rejects(promise); await result; });",
+        "QUnit.test('name', function (assert) { return Promise.all([assert.rejects(a), assert.rejects(b)]); });",
+
+        // Not the assert context of the test
+        "QUnit.test('name', function (assert) { other.rejects(promise); });",
+        "QUnit.test('name', function () { assert.rejects(promise); });",
+        "QUnit.test('name', function (assert) { assert.throws(fn); });",
+
+        // Outside of tests
+        "assert.rejects(promise);",
+        "QUnit.module('name', { someProp: function (assert) { assert.rejects(promise); } });",
+
+        // Hooks
+        "QUnit.module('name', { beforeEach: async function (assert) { await assert.rejects(promise); } });",
+        "QUnit.hooks.afterEach(function (assert) { return assert.rejects(promise); });",
+        "QUnit.module('name', function (hooks) { hooks.afterEach(function (assert) { return assert.rejects(promise); }); });",
+    ],
+
+    invalid: [
+        {
+            code: "QUnit.test('name', async function (assert) { assert.rejects(promise); });",
+            output: "QUnit.test('name', async function (assert) { await assert.rejects(promise); });",
+            errors: [createError()],
+        },
+        {
+            code: "QUnit.test('name', async (foo) => { foo.rejects(promise, Error); });",
+            output: "QUnit.test('name', async (foo) => { await foo.rejects(promise, Error); });",
+            errors: [createError("foo")],
+        },
+        {
+            // Not fixable when the callback is not async
+            code: "QUnit.test('name', function (assert) { assert.rejects(promise); });",
+            output: null,
+            errors: [createError()],
+        },
+        {
+            // Not fixable in nested functions, even if they are async
+            code: "QUnit.test('name', function (assert) { setup(async () => { assert.rejects(promise); }); });",
+            output: null,
+            errors: [createError()],
+        },
+        {
+            code: "QUnit.test('name', async function (assert) { [1].forEach(async () => { assert.rejects(promise); }); });",
+            output: null,
+            errors: [createError()],
+        },
+        {
+            code: "QUnit.test('name', async function (assert) { setup(function () { assert.rejects(promise); }); });",
+            output: null,
+            errors: [createError()],
+        },
+
+        // Hooks
+        {
+            code: "QUnit.module('name', { beforeEach: async function (assert) { assert.rejects(promise); } });",
+            output: "QUnit.module('name', { beforeEach: async function (assert) { await assert.rejects(promise); } });",
+            errors: [createError()],
+        },
+        {
+            code: "QUnit.module('name', { after(assert) { assert.rejects(promise); } });",
+            output: null,
+            errors: [createError()],
+        },
+        {
+            code: "QUnit.hooks.beforeEach(async function (assert) { assert.rejects(promise); });",
+            output: "QUnit.hooks.beforeEach(async function (assert) { await assert.rejects(promise); });",
+            errors: [createError()],
+        },
+        {
+            code: "QUnit.module('name', function (hooks) { hooks.beforeEach(async function (assert) { assert.rejects(promise); }); });",
+            output: "QUnit.module('name', function (hooks) { hooks.beforeEach(async function (assert) { await assert.rejects(promise); }); });",
+            errors: [createError()],
+        },
+
+        // ES module import
+        {
+            code: "import { test } from 'qunit'; test('name', async function (assert) { assert.rejects(promise); });",
+            output: "import { test } from 'qunit'; test('name', async function (assert) { await assert.rejects(promise); });",
+            errors: [createError()],
+        },
+    ],
+});
@@ -0,0 +1,323 @@
+/**
+ * @fileoverview Require async test callbacks and hooks to await something.
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const rule = require("../../../lib/rules/require-async-await-in-async-tests"),
+    RuleTester = require("eslint").RuleTester,
+    outdent = require("outdent").default,
+    { runTypedRuleTester } = require("../../testUtils");
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+
+ruleTester.run("require-async-await-in-async-tests", rule, {
+    valid: [
+        // Awaiting in the callback
+        "QUnit.test('name', async function (assert) { await promise; assert.ok(true); });",
+        "QUnit.test('name', async (assert) => { assert.ok(await load()); });",
+        "QUnit.test('name', async function (assert) { for await (const item of items) { assert.ok(item); } });",
+
+        // Returning a promise
+        "QUnit.test('name', async function (assert) { return load().then(() => assert.ok(true)); });",
+        "QUnit.test('name', async () => load());",
+        "QUnit.test('name', async function (assert) { return promise; });",
+        "QUnit.test('name', async function (assert) { return this.promise; });",
+        "QUnit.test('name', async function (assert) { return new Promise(setTimeout); });",
+        "QUnit.test('name', async function (assert) { return cached || load(); });",
+        "QUnit.test('name', async function (assert) { return ready ? null : load(); });",
+
+        // assert.rejects()
+        "QUnit.test('name', async function (assert) { assert.rejects(load()); });",
+        "QUnit.test('name', async function (foo) { foo.rejects(load()); });",
+
+        // Synchronous callbacks
+        "QUnit.test('name', function (assert) { assert.ok(true); });",
+        "QUnit.test('name', (assert) => { assert.ok(true); });",
+        "QUnit.module('name', { beforeEach: function () { setup(); } });",
+
+        // Hooks
+        "QUnit.module('name', { beforeEach: async function () { await setup(); } });",
+        "QUnit.hooks.afterEach(async function () { await teardown(); });",
+        "QUnit.module('name', function (hooks) { hooks.afterEach(async function () { await teardown(); }); });",
+
+        // Callbacks that are not functions
+        "QUnit.test('name', callback);",
+
+        // Not a test
+        "foo('name', async function (assert) { assert.ok(true); });",
+        "QUnit.module('name', async function () { });",
+        "moduleFor('name', { setupTest: async function () { setup(); } });",
+        "QUnit.hooks.setupTest(async () => { setup(); });",
+
+        // Floating thenables are only reported with type information
+        {
+            code: "QUnit.test('name', async function (assert) { await setup(); load(); });",
+            options: [{ checkThenables: true }],
+        },
+    ],
+
+    invalid: [
+        {
+            code: "QUnit.test('name', async function (assert) { assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "missingAwait",
+                    data: { kind: "test" },
+                    column: 20,
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', async (assert) => { load(); assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "missingAwait",
+                    data: { kind: "test" },
+                },
+            ],
+        },
+        {
+            code: "QUnit.only('name', async function (assert) { load().then(() => assert.ok(true)); });",
+            errors: [
+                {
+                    messageId: "missingAwait",
+                    data: { kind: "test" },
+                },
+            ],
+        },
+        {
+            code: "QUnit.test.each('name', [1, 2], async function (assert, data) { assert.ok(data); });",
+            errors: [
+                {
+                    messageId: "missingAwait",
+                    data: { kind: "test" },
+                },
+            ],
+        },
+
+        // Hooks
+        {
+            code: "QUnit.module('name', { beforeEach: async function () { setup(); } });",
+            errors: [
+                {
+                    messageId: "missingAwait",
+                    data: { kind: "hook" },
+                },
+            ],
+        },
+        {
+            code: "QUnit.hooks.beforeEach(async () => { setup(); });",
+            errors: [
+                {
+                    messageId: "missingAwait",
+                    data: { kind: "hook" },
+                },
+            ],
+        },
+        {
+            code: "QUnit.module('name', function (hooks) { hooks.beforeEach(async () => { setup(); }); });",
+            errors: [
+                {
+                    messageId: "missingAwait",
+                    data: { kind: "hook" },
+                },
+            ],
+        },
+
+        // Module functions and hook names from the shared settings
+        {
+            code: "moduleFor('name', { setupTest: async function () { setup(); } });",
+            errors: [
+                {
+                    messageId: "missingAwait",
+                    data: { kind: "hook" },
+                },
+            ],
+            settings: {
+                qunit: {
+                    moduleFunctions: ["moduleFor"],
+                    hookNames: ["setupTest"],
+                },
+            },
+        },
+        {
+            code: "QUnit.hooks.setupTest(async () => { setup(); });",
+            errors: [
+                {
+                    messageId: "missingAwait",
+                    data: { kind: "hook" },
+                },
+            ],
+            settings: { qunit: { hookNames: ["setupTest"] } },
+        },
+
+        // Awaits and returns in nested functions do not count
+        {
+            code: outdent`
+              QUnit.test('name', async function (assert) {
+                  items.forEach(async (item) => {
+                      await item.load();
+                  });
+                  load().then(function () {
+                      return assert.ok(true);
+                  });
+              });
+            `,
+            errors: [
+                {
+                    messageId: "missingAwait",
+                    data: { kind: "test" },
+                    line: 1,
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', async function (assert) { setTimeout(function () { assert.rejects(promise); }); });",
+            errors: [
+                {
+                    messageId: "missingAwait",
+                },
+            ],
+        },
+
+        // Returned values that cannot be promises do not count
+        {
+            code: "QUnit.test('name', async function (assert) { assert.ok(true); return 5; });",
+            errors: [
+                {
+                    messageId: "missingAwait",
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', async function (assert) { return assert.ok(x); });",
+            errors: [
+                {
+                    messageId: "missingAwait",
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', async function (assert) { return ready ? 'done' : !failed; });",
+            errors: [
+                {
+                    messageId: "missingAwait",
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', async function (assert) { return; });",
+            errors: [
+                {
+                    messageId: "missingAwait",
+                },
+            ],
+        },
+    ],
+});
+
+//------------------------------------------------------------------------------
+// Tests with type information
+//------------------------------------------------------------------------------
+
+const declarations = outdent`
+  declare const QUnit: any;
+  declare function load(): Promise<number>;
+  declare function maybeLoad(): Promise<number> | number;
+  declare function loadLike(): { then(callback: () => void): void };
+  declare function setup(): void;
+  declare const notThenable: { then: number };
+`;
+
+runTypedRuleTester("require-async-await-in-async-tests", rule, {
+    valid: [
+        {
+            code: `${declarations}\nQUnit.test('name', async function (assert) { await load(); setup(); });`,
+            options: [{ checkThenables: true }],
+        },
+        {
+            code: `${declarations}\nQUnit.test('name', async function (assert) { void load(); await load(); });`,
+            options: [{ checkThenables: true }],
+        },
+        {
+            code: `${declarations}\nQUnit.test('name', async function (assert) { await load(); [notThenable].map(String); });`,
+            options: [{ checkThenables: true }],
+        },
+
+        // Calls in nested functions and synchronous tests are not checked
+        {
+            code: `${declarations}\nQUnit.test('name', async function (assert) { await load(); setTimeout(() => { load(); }); });`,
+            options: [{ checkThenables: true }],
+        },
+        {
+            code: `${declarations}\nQUnit.test('name', function (assert) { load(); });`,
+            options: [{ checkThenables: true }],
+        },
+
+        // Returning a thenable
+        {
+            code: `${declarations}\nQUnit.test('name', async function (assert) { return maybeLoad(); });`,
+            options: [{ checkThenables: true }],
+        },
+
+        // The option is off by default
+        `${declarations}\nQUnit.test('name', async function (assert) { await load(); load(); });`,
+    ],
+
+    invalid: [
+        {
+            code: `${declarations}\nQUnit.test('name', async function (assert) { await setup(); load(); });`,
+            options: [{ checkThenables: true }],
+            errors: [
+                {
+                    messageId: "unawaitedThenable",
+                    line: 7,
+                    column: 61,
+                },
+            ],
+        },
+        {
+            code: `${declarations}\nQUnit.test('name', async function (assert) { await load(); maybeLoad(); loadLike(); });`,
+            options: [{ checkThenables: true }],
+            errors: [
+                {
+                    messageId: "unawaitedThenable",
+                    column: 60,
+                },
+                {
+                    messageId: "unawaitedThenable",
+                    column: 73,
+                },
+            ],
+        },
+        {
+            code: `${declarations}\nQUnit.test('name', async function (assert) { setup(); return notThenable; });`,
+            options: [{ checkThenables: true }],
+            errors: [
+                {
+                    messageId: "missingAwait",
+                },
+            ],
+        },
+        {
+            code: `${declarations}\nQUnit.test('name', async function (assert) { load(); });`,
+            options: [{ checkThenables: true }],
+            errors: [
+                {
+                    messageId: "missingAwait",
+                },
+                {
+                    messageId: "unawaitedThenable",
+                },
+            ],
+        },
+    ],
+});
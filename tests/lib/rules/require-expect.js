@@ -179,6 +179,18 @@ ruleTester.run("require-expect", rule, {
     ],
 
     invalid: [
+        // data-driven tests
+        {
+            code: "QUnit.test.each('name', [1, 2], function(assert, data) { assert.ok(data); });",
+            options: ["always"],
+            errors: [alwaysErrorMessage("assert.expect")],
+        },
+        {
+            code: "QUnit.todo.each('name', [1, 2], function(assert, data) { if (data) { assert.ok(data); } });",
+            options: ["except-simple"],
+            errors: [exceptSimpleErrorMessage("assert.expect")],
+        },
+
         // always - make sure expect is identified correctly
         {
             code: "test('name', function(assert) { other.assert.expect(0) });",
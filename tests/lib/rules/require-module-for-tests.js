@@ -0,0 +1,361 @@
+/**
+ * @fileoverview Require tests to be defined inside a module.
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const rule = require("../../../lib/rules/require-module-for-tests"),
+    RuleTester = require("eslint").RuleTester,
+    outdent = require("outdent").default;
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+
+ruleTester.run("require-module-for-tests", rule, {
+    valid: [
+        // Nested modules
+        "QUnit.module('module', function () { QUnit.test('test', function (assert) { assert.ok(true); }); });",
+        "QUnit.module('module', (hooks) => { QUnit.module('nested', () => { QUnit.test('test', () => {}); }); });",
+        "QUnit.module.only('module', function () { QUnit.test('test', function () {}); });",
+
+        // Flat modules
+        "QUnit.module('module'); QUnit.test('test', function () {});",
+        "QUnit.module('module', { beforeEach: function () {} }); QUnit.test('test', function () {});",
+        "QUnit.module.skip('module'); QUnit.test('test', function () {});",
+        "QUnit.module('first'); QUnit.module('second', function () {}); QUnit.test('test', function () {});",
+        "import { module, test } from 'qunit'; module('module'); test('test', function () {});",
+
+        // Tests in functions may be defined inside a module by the caller
+        "function defineTests() { QUnit.test('test', function () {}); }",
+        "[1, 2].forEach((value) => { QUnit.test('test ' + value, function () {}); });",
+
+        // Not a test
+        "foo('test', function () {});",
+
+        // Module functions from the shared settings
+        {
+            code: "moduleFor('module'); QUnit.test('test', function () {});",
+            settings: { qunit: { moduleFunctions: ["moduleFor"] } },
+        },
+    ],
+
+    invalid: [
+        {
+            filename: "tests/unit/login-test.js",
+            code: "QUnit.test('test', function (assert) { assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "missingModule",
+                    line: 1,
+                    column: 1,
+                    suggestions: [
+                        {
+                            messageId: "wrapInModule",
+                            data: { name: "login-test" },
+                            output: outdent`
+                              QUnit.module("login-test", function () {
+                                  QUnit.test('test', function (assert) { assert.ok(true); });
+                              });
+                            `,
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            filename: "login.spec.js",
+            code: outdent`
+              import { module, test } from "qunit";
+
+              test("first", function (assert) {
+                assert.ok(true);
+              });
+
+              const value = 1;
+
+              test("second", function (assert) {
+                assert.strictEqual(value, 1);
+              });
+            `,
+            errors: [
+                {
+                    messageId: "missingModule",
+                    line: 3,
+                    suggestions: [
+                        {
+                            messageId: "wrapInModule",
+                            output: outdent`
+                              import { module, test } from "qunit";
+
+                              module("login.spec", function () {
+                                test("first", function (assert) {
+                                  assert.ok(true);
+                                });
+
+                                const value = 1;
+
+                                test("second", function (assert) {
+                                  assert.strictEqual(value, 1);
+                                });
+                              });
+                            `,
+                        },
+                    ],
+                },
+                {
+                    messageId: "missingModule",
+                    line: 9,
+                    suggestions: [
+                        {
+                            messageId: "wrapInModule",
+                            output: outdent`
+                              import { module, test } from "qunit";
+
+                              module("login.spec", function () {
+                                test("first", function (assert) {
+                                  assert.ok(true);
+                                });
+
+                                const value = 1;
+
+                                test("second", function (assert) {
+                                  assert.strictEqual(value, 1);
+                                });
+                              });
+                            `,
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            // Default and namespace imports
+            filename: "login.js",
+            code: "import Q from 'qunit'; import { test } from 'qunit'; test('test', function () {});",
+            errors: [
+                {
+                    messageId: "missingModule",
+                    suggestions: [
+                        {
+                            messageId: "wrapInModule",
+                            output: "import Q from 'qunit'; import { test } from 'qunit'; Q.module(\"login\", function () {\n    test('test', function () {});\n});",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            // Required test functions
+            filename: "login.js",
+            code: "const { module: describe, test } = require('qunit'); test('test', function () {});",
+            errors: [
+                {
+                    messageId: "missingModule",
+                    suggestions: [
+                        {
+                            messageId: "wrapInModule",
+                            output: "const { module: describe, test } = require('qunit'); describe(\"login\", function () {\n    test('test', function () {});\n});",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            filename: "login.js",
+            code: "const Q = require('qunit'); const { test } = require('qunit'); test('test', function () {});",
+            errors: [
+                {
+                    messageId: "missingModule",
+                    suggestions: [
+                        {
+                            messageId: "wrapInModule",
+                            output: "const Q = require('qunit'); const { test } = require('qunit'); Q.module(\"login\", function () {\n    test('test', function () {});\n});",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            // Global test functions
+            filename: "login.js",
+            code: "test('test', function () {});",
+            errors: [
+                {
+                    messageId: "missingModule",
+                    suggestions: [
+                        {
+                            messageId: "wrapInModule",
+                            output: "QUnit.module(\"login\", function () {\n    test('test', function () {});\n});",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            // Tests before the first flat module
+            filename: "login.js",
+            code: "QUnit.test('test', function () {}); QUnit.module('module'); QUnit.test('other', function () {});",
+            errors: [
+                {
+                    messageId: "missingModule",
+                    column: 1,
+                    suggestions: [
+                        {
+                            messageId: "wrapInModule",
+                            output: "QUnit.module(\"login\", function () {\n    QUnit.test('test', function () {});\n}); QUnit.module('module'); QUnit.test('other', function () {});",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            // Tests after a nested module are in the implicit top-level module
+            filename: "login.js",
+            code: "QUnit.module('module', function () {}); QUnit.test.each('test', [1], function () {});",
+            errors: [
+                {
+                    messageId: "missingModule",
+                    column: 41,
+                    suggestions: [
+                        {
+                            messageId: "wrapInModule",
+                            output: "QUnit.module('module', function () {}); QUnit.module(\"login\", function () {\n    QUnit.test.each('test', [1], function () {});\n});",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            // Test functions from the shared settings
+            filename: "login.js",
+            code: "testInBrowser('test', function () {});",
+            errors: [
+                {
+                    messageId: "missingModule",
+                    suggestions: [
+                        {
+                            messageId: "wrapInModule",
+                            output: "QUnit.module(\"login\", function () {\n    testInBrowser('test', function () {});\n});",
+                        },
+                    ],
+                },
+            ],
+            settings: { qunit: { testFunctions: ["testInBrowser"] } },
+        },
+
+        // No suggestion if wrapping would nest modules
+        {
+            code: "QUnit.only('first', function () {}); QUnit.module('module', function () {}); QUnit.test('second', function () {});",
+            errors: [
+                {
+                    messageId: "missingModule",
+                    column: 1,
+                    suggestions: [],
+                },
+                {
+                    messageId: "missingModule",
+                    column: 78,
+                    suggestions: [],
+                },
+            ],
+        },
+
+        // No suggestion if a declaration is used after the tests
+        {
+            code: "QUnit.test('first', function () {}); const shared = 1; QUnit.test('second', function () {}); use(shared);",
+            errors: [
+                {
+                    messageId: "missingModule",
+                    suggestions: [],
+                },
+                {
+                    messageId: "missingModule",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('first', function () {}); export const shared = 1; QUnit.test('second', function () {});",
+            errors: [
+                {
+                    messageId: "missingModule",
+                    suggestions: [],
+                },
+                {
+                    messageId: "missingModule",
+                    suggestions: [],
+                },
+            ],
+        },
+
+        // No suggestion if the tests are not top-level statements
+        {
+            code: "if (enabled) { QUnit.test('test', function () {}); }",
+            errors: [
+                {
+                    messageId: "missingModule",
+                    suggestions: [],
+                },
+            ],
+        },
+
+        // Skipped tests
+        {
+            filename: "tests/unit/login-test.js",
+            code: "QUnit.skip('test', function (assert) { assert.ok(true); });",
+            errors: [
+                {
+                    messageId: "missingModule",
+                    suggestions: [
+                        {
+                            messageId: "wrapInModule",
+                            data: { name: "login-test" },
+                            output: outdent`
+                              QUnit.module("login-test", function () {
+                                  QUnit.skip('test', function (assert) { assert.ok(true); });
+                              });
+                            `,
+                        },
+                    ],
+                },
+            ],
+        },
+
+        // No suggestion if the module function cannot be determined
+        {
+            code: "import { test } from 'qunit'; test('test', function () {});",
+            errors: [
+                {
+                    messageId: "missingModule",
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            code: "const { test } = require('qunit'); test('test', function () {});",
+            errors: [
+                {
+                    messageId: "missingModule",
+                    suggestions: [],
+                },
+            ],
+        },
+
+        // No suggestion if re-indenting would change a template
+        {
+            code: "QUnit.test('test', function (assert) { assert.equal(value, `a\nb`); });",
+            errors: [
+                {
+                    messageId: "missingModule",
+                    suggestions: [],
+                },
+            ],
+        },
+    ],
+});
@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Require that steps recorded with assert.step() are verified.
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const rule = require("../../../lib/rules/require-verify-steps"),
+    RuleTester = require("eslint").RuleTester,
+    outdent = require("outdent").default;
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+
+ruleTester.run("require-verify-steps", rule, {
+    valid: [
+        "QUnit.test('name', function (assert) { assert.step('a'); assert.verifySteps(['a']); });",
+        "QUnit.test('name', function (assert) { assert.step('a'); assert.step('b'); assert.verifySteps(['a', 'b']); });",
+        "QUnit.test('name', function (assert) { assert.step('a'); assert.verifySteps(['a']); assert.step('b'); assert.verifySteps(['b']); });",
+        "QUnit.test('name', (assert) => { assert.step('a'); assert.verifySteps(['a']); });",
+        "QUnit.test('name', function (foo) { foo.step('a'); foo.verifySteps(['a']); });",
+        "QUnit.test('name', function (assert) { assert.ok(true); });",
+
+        // Steps recorded in callbacks, but verified in the test
+        outdent`
+          QUnit.test('name', async function (assert) {
+              emitter.on('change', () => assert.step('change'));
+              await emitter.emit('change');
+              assert.verifySteps(['change']);
+          });
+        `,
+
+        // Different assert context or no assert context
+        "QUnit.test('name', function (assert) { other.step('a'); });",
+        "QUnit.test('name', function () { assert.step('a'); });",
+        "QUnit.test('name');",
+
+        // Outside of tests
+        "assert.step('a');",
+
+        // Steps recorded in a hook that runs before the test can be verified by the test
+        "QUnit.module('name', { beforeEach: function (assert) { assert.step('setup'); } });",
+        "QUnit.module('name', { before: function (assert) { assert.step('setup'); } });",
+        "QUnit.module('name', { setup: function (assert) { assert.step('setup'); } });",
+        "QUnit.hooks.beforeEach(function (assert) { assert.step('setup'); });",
+        "QUnit.module('name', function (hooks) { hooks.beforeEach(function (assert) { assert.step('setup'); }); });",
+        "QUnit.module('name', { afterEach: function (assert) { assert.step('teardown'); assert.verifySteps(['teardown']); } });",
+
+        // Calls on objects that are not the hooks parameter of a module
+        "QUnit.module('name', function () { hooks.afterEach(function (assert) { assert.step('a'); }); });",
+        "foo('name', function (hooks) { hooks.afterEach(function (assert) { assert.step('a'); }); });",
+
+        // Module properties that aren't hooks
+        "QUnit.module('name', { someProp: function (assert) { assert.step('a'); } });",
+    ],
+
+    invalid: [
+        {
+            code: "QUnit.test('name', function (assert) { assert.step('a'); });",
+            errors: [
+                {
+                    messageId: "missingVerifySteps",
+                    data: { assertVar: "assert" },
+                    suggestions: [
+                        {
+                            messageId: "addVerifySteps",
+                            data: { assertVar: "assert", steps: "['a']" },
+                            output: "QUnit.test('name', function (assert) { assert.step('a'); assert.verifySteps(['a']); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: outdent`
+              QUnit.test('name', function (assert) {
+                  assert.step("a");
+                  assert.step(\`b\`);
+              });
+            `,
+            errors: [
+                {
+                    messageId: "missingVerifySteps",
+                    data: { assertVar: "assert" },
+                    suggestions: [
+                        {
+                            messageId: "addVerifySteps",
+                            data: { assertVar: "assert", steps: '["a", `b`]' },
+                            output: outdent`
+                              QUnit.test('name', function (assert) {
+                                  assert.step("a");
+                                  assert.step(\`b\`);
+                                  assert.verifySteps(["a", \`b\`]);
+                              });
+                            `,
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            // Insert before a trailing return statement
+            code: outdent`
+              QUnit.test('name', (foo) => {
+                  foo.step('a');
+                  return promise;
+              });
+            `,
+            errors: [
+                {
+                    messageId: "missingVerifySteps",
+                    data: { assertVar: "foo" },
+                    suggestions: [
+                        {
+                            messageId: "addVerifySteps",
+                            data: { assertVar: "foo", steps: "['a']" },
+                            output: outdent`
+                              QUnit.test('name', (foo) => {
+                                  foo.step('a');
+                                  foo.verifySteps(['a']);
+                                  return promise;
+                              });
+                            `,
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('name', function (assert) { assert.step('a'); assert.verifySteps(['a']); assert.step('b'); });",
+            errors: [
+                {
+                    messageId: "stepsAfterVerifySteps",
+                    data: { assertVar: "assert" },
+                    suggestions: [
+                        {
+                            messageId: "addVerifySteps",
+                            data: { assertVar: "assert", steps: "['b']" },
+                            output: "QUnit.test('name', function (assert) { assert.step('a'); assert.verifySteps(['a']); assert.step('b'); assert.verifySteps(['b']); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            // No suggestion for dynamic step names
+            code: "QUnit.test('name', function (assert) { assert.step(name); });",
+            errors: [
+                {
+                    messageId: "missingVerifySteps",
+                    data: { assertVar: "assert" },
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            // No suggestion for steps that are recorded conditionally
+            code: "QUnit.test('name', function (assert) { if (x) { assert.step('a'); } assert.step('b'); });",
+            errors: [
+                {
+                    messageId: "missingVerifySteps",
+                    data: { assertVar: "assert" },
+                    suggestions: [],
+                },
+            ],
+        },
+        {
+            // No suggestion for steps recorded in nested callbacks
+            code: "QUnit.test('name', function (assert) { promise.then(() => assert.step('a')); });",
+            errors: [
+                {
+                    messageId: "missingVerifySteps",
+                    data: { assertVar: "assert" },
+                    suggestions: [],
+                },
+            ],
+        },
+
+        // Hooks
+        {
+            code: "QUnit.module('name', { afterEach: function (assert) { assert.step('a'); } });",
+            errors: [
+                {
+                    messageId: "missingVerifySteps",
+                    data: { assertVar: "assert" },
+                    suggestions: [
+                        {
+                            messageId: "addVerifySteps",
+                            data: { assertVar: "assert", steps: "['a']" },
+                            output: "QUnit.module('name', { afterEach: function (assert) { assert.step('a'); assert.verifySteps(['a']); } });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.module('name', { after(assert) { assert.step('a'); } });",
+            errors: [
+                {
+                    messageId: "missingVerifySteps",
+                    data: { assertVar: "assert" },
+                    suggestions: [
+                        {
+                            messageId: "addVerifySteps",
+                            data: { assertVar: "assert", steps: "['a']" },
+                            output: "QUnit.module('name', { after(assert) { assert.step('a'); assert.verifySteps(['a']); } });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.hooks.afterEach(function (assert) { assert.step('a'); });",
+            errors: [
+                {
+                    messageId: "missingVerifySteps",
+                    data: { assertVar: "assert" },
+                    suggestions: [
+                        {
+                            messageId: "addVerifySteps",
+                            data: { assertVar: "assert", steps: "['a']" },
+                            output: "QUnit.hooks.afterEach(function (assert) { assert.step('a'); assert.verifySteps(['a']); });",
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            code: "QUnit.module('name', function (hooks) { hooks.afterEach(function (assert) { assert.step('a'); }); });",
+            errors: [
+                {
+                    messageId: "missingVerifySteps",
+                    data: { assertVar: "assert" },
+                    suggestions: [
+                        {
+                            messageId: "addVerifySteps",
+                            data: { assertVar: "assert", steps: "['a']" },
+                            output: "QUnit.module('name', function (hooks) { hooks.afterEach(function (assert) { assert.step('a'); assert.verifySteps(['a']); }); });",
+                        },
+                    ],
+                },
+            ],
+        },
+
+        // ES module import
+        {
+            code: "import { test } from 'qunit'; test('name', function (assert) { assert.step('a'); });",
+            errors: [
+                {
+                    messageId: "missingVerifySteps",
+                    data: { assertVar: "assert" },
+                    suggestions: [
+                        {
+                            messageId: "addVerifySteps",
+                            data: { assertVar: "assert", steps: "['a']" },
+                            output: "import { test } from 'qunit'; test('name', function (assert) { assert.step('a'); assert.verifySteps(['a']); });",
+                        },
+                    ],
+                },
+            ],
+        },
+    ],
+});
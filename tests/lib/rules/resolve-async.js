@@ -155,6 +155,15 @@ ruleTester.run("resolve-async", rule, {
         // module properties that aren't hooks should not be flagged
         "QUnit.module({ someProp: function () { QUnit.stop(); } });",
         "QUnit.module({ someProp: function (assert) { assert.async(); } });",
+
+        // data-driven tests
+        "QUnit.test.each('name', [1, 2], function (assert, data) { var done = assert.async(); done(); });",
+
+        // before/after hooks and global hooks
+        "QUnit.module('name', { before: function () { QUnit.stop(); QUnit.start(); } });",
+        "QUnit.module('name', { after: function (assert) { var done = assert.async(); done(); } });",
+        "QUnit.hooks.beforeEach(function (assert) { var done = assert.async(); done(); });",
+        "QUnit.hooks.afterEach(function () { QUnit.stop(); QUnit.start(); });",
     ],
 
     invalid: [
@@ -195,6 +204,26 @@ ruleTester.run("resolve-async", rule, {
             code: "QUnit.module('name', { beforeEach: function () { QUnit.stop(); } });",
             errors: [createNeedStartCallsMessage()],
         },
+        {
+            code: "QUnit.test.each('name', [1, 2], function (assert, data) { var done = assert.async(); });",
+            errors: [createAsyncCallbackNotCalledMessage()],
+        },
+        {
+            code: "QUnit.module('name', { before: function () { QUnit.stop(); } });",
+            errors: [createNeedStartCallsMessage()],
+        },
+        {
+            code: "QUnit.module('name', { after: function () { QUnit.stop(); } });",
+            errors: [createNeedStartCallsMessage()],
+        },
+        {
+            code: "QUnit.hooks.beforeEach(function () { QUnit.stop(); });",
+            errors: [createNeedStartCallsMessage()],
+        },
+        {
+            code: "QUnit.hooks.afterEach(function (assert) { var done = assert.async(); });",
+            errors: [createAsyncCallbackNotCalledMessage()],
+        },
         {
             code: "QUnit.module('name', { afterEach: function () { QUnit.stop(); } });",
             errors: [createNeedStartCallsMessage()],
@@ -493,5 +522,19 @@ ruleTester.run("resolve-async", rule, {
             code: "QUnit.module({ setup: function (foo) { var done = foo.async(); } });",
             errors: [createAsyncCallbackNotCalledMessage()],
         },
+
+        // ESM imports
+        {
+            code: "import { test as it } from 'qunit'; it('name', function (assert) { var done = assert.async(); });",
+            errors: [createAsyncCallbackNotCalledMessage()],
+        },
+        {
+            code: "import * as Q from 'qunit'; Q.test('name', function () { Q.stop(); });",
+            errors: [createNeedStartCallsMessage()],
+        },
+        {
+            code: "import { module as describe } from 'qunit'; describe('name', { beforeEach: function (assert) { var done = assert.async(); } });",
+            errors: [createAsyncCallbackNotCalledMessage()],
+        },
     ],
 });
@@ -0,0 +1,364 @@
+/**
+ * @fileoverview Enforce a format for test and module titles.
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const assert = require("node:assert"),
+    rule = require("../../../lib/rules/test-title-format"),
+    { Linter, RuleTester } = require("eslint"),
+    outdent = require("outdent").default;
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+
+ruleTester.run("test-title-format", rule, {
+    valid: [
+        // Trailing periods
+        "QUnit.test('renders the title', function () {});",
+        "QUnit.test('loads more...', function () {});",
+        {
+            code: "QUnit.test('Renders the title.', function () {});",
+            options: [{ noTrailingPeriod: false }],
+        },
+
+        // First letter
+        "QUnit.test('Renders the title', function () {});",
+        {
+            code: "QUnit.module('login', function () { QUnit.test('renders the title', function () {}); });",
+            options: [{ firstLetter: "lowercase" }],
+        },
+        {
+            code: "QUnit.test(`Renders the title`, function () {});",
+            options: [{ firstLetter: "uppercase" }],
+        },
+        {
+            code: "QUnit.test('404 page', function () {}); QUnit.test('', function () {});",
+            options: [{ firstLetter: "lowercase" }],
+        },
+
+        // Patterns
+        {
+            code: outdent`
+              QUnit.module('Login', function () {
+                  QUnit.module('when logged in', function () {
+                      QUnit.module('Anything', function () {
+                          QUnit.test('should render', function () {});
+                      });
+                  });
+              });
+            `,
+            options: [
+                {
+                    modulePatterns: ["^[A-Z]", "^when "],
+                    testPattern: "^should ",
+                },
+            ],
+        },
+        {
+            code: "QUnit.module('Login'); QUnit.module('Logout');",
+            options: [{ modulePatterns: ["^[A-Z]"] }],
+        },
+
+        // Module name repetition
+        "QUnit.module('login', function () { QUnit.test('login works', function () {}); });",
+        {
+            code: outdent`
+              QUnit.module('login', function () {
+                  QUnit.test('works', function () {});
+              });
+              QUnit.test('login works', function () {});
+              QUnit.module('logout');
+              QUnit.module('logout page');
+            `,
+            options: [{ noModuleNameRepetition: true }],
+        },
+        {
+            code: "QUnit.module(name, function () { QUnit.test('login works', function () {}); });",
+            options: [{ noModuleNameRepetition: true }],
+        },
+        {
+            // Module names are only matched as whole words
+            code: "QUnit.module('UI', function () { QUnit.test('builds the list', function () {}); });",
+            options: [{ noModuleNameRepetition: true }],
+        },
+
+        // Titles that are not static
+        {
+            // eslint-disable-next-line no-template-curly-in-string -- template literal in the test code
+            code: "QUnit.test(`Renders ${name}.`, function () {}); QUnit.test(title, function () {});",
+            options: [{ firstLetter: "lowercase", testPattern: "^should " }],
+        },
+
+        // Not a test
+        {
+            code: "foo('Renders the title.', function () {});",
+            options: [{ firstLetter: "lowercase" }],
+        },
+    ],
+
+    invalid: [
+        // Trailing periods
+        {
+            code: "QUnit.test('renders the title.', function () {});",
+            output: "QUnit.test('renders the title', function () {});",
+            errors: [
+                {
+                    messageId: "trailingPeriod",
+                    line: 1,
+                    column: 12,
+                },
+            ],
+        },
+        {
+            code: "QUnit.module(`Login.`, function () { QUnit.test.each('works.', [1], function () {}); });",
+            output: "QUnit.module(`Login`, function () { QUnit.test.each('works', [1], function () {}); });",
+            errors: [
+                { messageId: "trailingPeriod", column: 14 },
+                { messageId: "trailingPeriod", column: 54 },
+            ],
+        },
+        {
+            // Escape sequences are not fixed
+            code: String.raw`QUnit.test('renders\x2E', function () {}); QUnit.test('renders\.', function () {});`,
+            output: null,
+            errors: [
+                { messageId: "trailingPeriod" },
+                { messageId: "trailingPeriod" },
+            ],
+        },
+
+        {
+            // Abbreviations are not fixed
+            code: "QUnit.test('handles e.g.', function () {});",
+            output: null,
+            errors: [{ messageId: "trailingPeriod" }],
+        },
+
+        // First letter
+        {
+            code: "QUnit.test('Renders the title', function () {});",
+            output: "QUnit.test('renders the title', function () {});",
+            options: [{ firstLetter: "lowercase" }],
+            errors: [
+                {
+                    messageId: "wrongFirstLetter",
+                    data: { firstLetter: "lowercase" },
+                },
+            ],
+        },
+        {
+            code: "QUnit.module('login', function () { QUnit.test(\"renders\", function () {}); });",
+            output: "QUnit.module('Login', function () { QUnit.test(\"Renders\", function () {}); });",
+            options: [{ firstLetter: "uppercase" }],
+            errors: [
+                {
+                    messageId: "wrongFirstLetter",
+                    data: { firstLetter: "uppercase" },
+                },
+                {
+                    messageId: "wrongFirstLetter",
+                    data: { firstLetter: "uppercase" },
+                },
+            ],
+        },
+        {
+            code: "QUnit.test('Renders the title.', function () {});",
+            output: "QUnit.test('renders the title', function () {});",
+            options: [{ firstLetter: "lowercase" }],
+            errors: [
+                { messageId: "wrongFirstLetter" },
+                { messageId: "trailingPeriod" },
+            ],
+        },
+        {
+            // Acronyms and escape sequences are not fixed
+            code: String.raw`QUnit.test('URL parsing', function () {}); QUnit.test('\u0052enders', function () {}); QUnit.test('A test', function () {});`,
+            output: String.raw`QUnit.test('URL parsing', function () {}); QUnit.test('\u0052enders', function () {}); QUnit.test('a test', function () {});`,
+            options: [{ firstLetter: "lowercase" }],
+            errors: [
+                { messageId: "wrongFirstLetter" },
+                { messageId: "wrongFirstLetter" },
+                { messageId: "wrongFirstLetter" },
+            ],
+        },
+
+        // Patterns
+        {
+            code: outdent`
+              QUnit.module('login', function () {
+                  QUnit.module('logged in', function () {
+                      QUnit.test('renders', function () {});
+                  });
+              });
+            `,
+            output: null,
+            options: [
+                {
+                    modulePatterns: ["^[A-Z]", "^when "],
+                    testPattern: "^should ",
+                },
+            ],
+            errors: [
+                {
+                    messageId: "patternMismatch",
+                    data: { pattern: "^[A-Z]" },
+                    line: 1,
+                },
+                {
+                    messageId: "patternMismatch",
+                    data: { pattern: "^when " },
+                    line: 2,
+                },
+                {
+                    messageId: "patternMismatch",
+                    data: { pattern: "^should " },
+                    line: 3,
+                },
+            ],
+        },
+
+        {
+            // Module variants
+            code: outdent`
+              QUnit.module.only('login', function () {
+                  QUnit.module.skip('logged in', function () {});
+              });
+            `,
+            output: null,
+            options: [{ modulePatterns: ["^[A-Z]", "^when "] }],
+            errors: [
+                {
+                    messageId: "patternMismatch",
+                    data: { pattern: "^[A-Z]" },
+                    line: 1,
+                },
+                {
+                    messageId: "patternMismatch",
+                    data: { pattern: "^when " },
+                    line: 2,
+                },
+            ],
+        },
+
+        // Module name repetition
+        {
+            code: outdent`
+              QUnit.module('Login', function () {
+                  QUnit.test('login works', function () {});
+                  QUnit.module('login page', function () {
+                      QUnit.test('renders the login page', function () {});
+                  });
+              });
+            `,
+            output: null,
+            options: [{ noModuleNameRepetition: true }],
+            errors: [
+                {
+                    messageId: "moduleNameRepetition",
+                    data: { name: "Login" },
+                    line: 2,
+                },
+                {
+                    messageId: "moduleNameRepetition",
+                    data: { name: "Login" },
+                    line: 3,
+                },
+                {
+                    messageId: "moduleNameRepetition",
+                    data: { name: "login page" },
+                    line: 4,
+                },
+            ],
+        },
+        {
+            code: "QUnit.module('UI', function () { QUnit.test('renders the UI', function () {}); });",
+            output: null,
+            options: [{ noModuleNameRepetition: true }],
+            errors: [
+                {
+                    messageId: "moduleNameRepetition",
+                    data: { name: "UI" },
+                },
+            ],
+        },
+        {
+            code: outdent`
+              QUnit.module('login');
+              QUnit.test('login works', function () {});
+            `,
+            output: null,
+            options: [{ noModuleNameRepetition: true }],
+            errors: [
+                {
+                    messageId: "moduleNameRepetition",
+                    data: { name: "login" },
+                    line: 2,
+                },
+            ],
+        },
+
+        // Titles evaluated from constants are checked, but not fixed
+        {
+            code: outdent`
+              const TITLE = 'renders the title.';
+              QUnit.test(TITLE, function () {});
+              QUnit.test('Renders ' + 'the title', function () {});
+            `,
+            output: null,
+            options: [{ firstLetter: "lowercase" }],
+            errors: [
+                { messageId: "trailingPeriod", line: 2 },
+                { messageId: "wrongFirstLetter", line: 3 },
+            ],
+        },
+
+        // Module and test functions from the shared settings
+        {
+            code: "moduleFor('login.', function () { testInBrowser('works.', function () {}); });",
+            output: "moduleFor('login', function () { testInBrowser('works', function () {}); });",
+            errors: [
+                { messageId: "trailingPeriod" },
+                { messageId: "trailingPeriod" },
+            ],
+            settings: {
+                qunit: {
+                    moduleFunctions: ["moduleFor"],
+                    testFunctions: ["testInBrowser"],
+                },
+            },
+        },
+    ],
+});
+
+describe("test-title-format with invalid patterns", function () {
+    /**
+     * @param {object} options
+     */
+    function lint(options) {
+        new Linter().verify("QUnit.test('title', function () {});", {
+            plugins: { qunit: { rules: { "test-title-format": rule } } },
+            rules: { "qunit/test-title-format": ["error", options] },
+        });
+    }
+
+    it("reports an invalid testPattern", function () {
+        assert.throws(
+            () => lint({ testPattern: "(" }),
+            /Invalid regular expression in the testPattern option/u,
+        );
+    });
+
+    it("reports an invalid modulePatterns entry", function () {
+        assert.throws(
+            () => lint({ modulePatterns: ["^[A-Z]", "[z-a]"] }),
+            /Invalid regular expression in the modulePatterns option/u,
+        );
+    });
+});
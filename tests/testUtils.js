@@ -4,6 +4,9 @@
  */
 "use strict";
 
+const { RuleTester } = require("eslint"),
+    { describe } = require("mocha");
+
 /**
  * @param {string} assertionCode
  * @returns {string}
@@ -19,3 +22,38 @@ exports.wrapInTest = function (assertionCode) {
 exports.wrapInArrowTest = function (assertionCode) {
     return `QUnit.test('test', (assert) => { ${assertionCode} });`;
 };
+
+/**
+ * Language options for rule tests that need type information. The test cases
+ * are linted as part of a default TypeScript project, so no files or tsconfig
+ * need to exist on disk.
+ */
+exports.typedLanguageOptions = {
+    parser: require("@typescript-eslint/parser"),
+    parserOptions: {
+        projectService: {
+            allowDefaultProject: ["*.ts"],
+        },
+        tsconfigRootDir: __dirname,
+    },
+};
+
+/**
+ * Runs rule tests that need type information with {@link typedLanguageOptions}.
+ * @param {string} ruleName
+ * @param {import("eslint").Rule.RuleModule} rule
+ * @param {Parameters<import("eslint").RuleTester["run"]>[2]} tests
+ * @returns {void}
+ */
+exports.runTypedRuleTester = function (ruleName, rule, tests) {
+    const ruleTester = new RuleTester({
+        languageOptions: exports.typedLanguageOptions,
+    });
+
+    describe("with type information", function () {
+        // Creating the TypeScript program for the first test case is slow.
+        this.timeout(20_000);
+
+        ruleTester.run(ruleName, rule, tests);
+    });
+};